@@ -28,6 +28,7 @@ function initializeTables() {
         confidence REAL DEFAULT 0.5,
         first_seen TEXT NOT NULL,
         last_seen TEXT NOT NULL,
+        valid_until TEXT,
         metadata TEXT
       )
     `);
@@ -44,6 +45,10 @@ function initializeTables() {
         geo_location TEXT,
         payload_size INTEGER,
         metadata TEXT,
+        aggregation_key TEXT,
+        first_seen TEXT,
+        last_seen TEXT,
+        direction TEXT,
         FOREIGN KEY (indicator_id) REFERENCES indicators(id)
       )
     `);
@@ -106,14 +111,320 @@ function initializeTables() {
       )
     `);
 
+    // Field-mapping profiles for bulk uploads
+    db.run(`
+      CREATE TABLE IF NOT EXISTS mapping_profiles (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        format TEXT,
+        mappings TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Events rejected by validation, kept for inspection and replay
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        id TEXT PRIMARY KEY,
+        source TEXT,
+        raw_payload TEXT NOT NULL,
+        normalized TEXT,
+        errors TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        replay_count INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Durable spool for queued ingestion
+    db.run(`
+      CREATE TABLE IF NOT EXISTS ingest_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        enqueued_at TEXT NOT NULL,
+        locked_at TEXT
+      )
+    `);
+
+    // Event taxonomy: canonical types, aliases (source '' = global) and unmapped raw types
+    db.run(`
+      CREATE TABLE IF NOT EXISTS event_types (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS event_type_aliases (
+        alias TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT '',
+        event_type TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (alias, source),
+        FOREIGN KEY (event_type) REFERENCES event_types(name)
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS unmapped_event_types (
+        raw_type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        count INTEGER DEFAULT 0,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        PRIMARY KEY (raw_type, source)
+      )
+    `);
+
+    // Registered ingestion sources; reliability is an Admiralty code (A-F)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sources (
+        name TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        owner TEXT,
+        description TEXT,
+        reliability TEXT NOT NULL DEFAULT 'F',
+        enabled INTEGER NOT NULL DEFAULT 1,
+        api_key_hash TEXT,
+        api_key_hint TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Scheduled blocklist feeds, their pull history and the entries of the latest pull
+    db.run(`
+      CREATE TABLE IF NOT EXISTS feeds (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        url TEXT,
+        path TEXT,
+        format TEXT NOT NULL,
+        schedule TEXT,
+        indicator_type TEXT NOT NULL DEFAULT 'auto',
+        confidence REAL DEFAULT 0.5,
+        source TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        options TEXT,
+        last_pull_at TEXT,
+        last_status TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS feed_pulls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        feed TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        status TEXT NOT NULL,
+        entries INTEGER DEFAULT 0,
+        added INTEGER DEFAULT 0,
+        removed INTEGER DEFAULT 0,
+        invalid INTEGER DEFAULT 0,
+        content_hash TEXT,
+        error TEXT
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS feed_entries (
+        feed TEXT NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        indicator_id TEXT NOT NULL,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        PRIMARY KEY (feed, type, value)
+      )
+    `);
+
+    // ASN of each enriched IP indicator, for ASN-level reputation features
+    db.run(`
+      CREATE TABLE IF NOT EXISTS indicator_asns (
+        indicator_id TEXT PRIMARY KEY,
+        asn INTEGER NOT NULL,
+        as_org TEXT,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (indicator_id) REFERENCES indicators(id)
+      )
+    `);
+
+    // Asset inventory: internal hosts and subnets with their owner and business criticality
+    db.run(`
+      CREATE TABLE IF NOT EXISTS assets (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        address TEXT NOT NULL UNIQUE,
+        hostname TEXT,
+        name TEXT,
+        owner TEXT,
+        criticality TEXT NOT NULL DEFAULT 'medium',
+        description TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Name servers of each WHOIS-enriched domain, for shared-nameserver features
+    db.run(`
+      CREATE TABLE IF NOT EXISTS domain_nameservers (
+        indicator_id TEXT NOT NULL,
+        nameserver TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (indicator_id, nameserver),
+        FOREIGN KEY (indicator_id) REFERENCES indicators(id)
+      )
+    `);
+
+    // Passive DNS: resolutions observed in DNS events
+    db.run(`
+      CREATE TABLE IF NOT EXISTS passive_dns (
+        query TEXT NOT NULL,
+        rrtype TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (query, rrtype, answer)
+      )
+    `);
+
+    // Managed watchlists and their entries (exact values, CIDRs, domains, wildcards and regexes)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS watchlists (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        severity TEXT NOT NULL DEFAULT 'high',
+        score INTEGER NOT NULL DEFAULT 35,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        owner TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS watchlist_entries (
+        id TEXT PRIMARY KEY,
+        watchlist TEXT NOT NULL,
+        match_type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        indicator_type TEXT,
+        reason TEXT,
+        owner TEXT,
+        expires_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (watchlist, match_type, value),
+        FOREIGN KEY (watchlist) REFERENCES watchlists(name)
+      )
+    `);
+
+    // Allowlisted indicators and per-rule suppressions, with who added them and why
+    db.run(`
+      CREATE TABLE IF NOT EXISTS allowlist_entries (
+        id TEXT PRIMARY KEY,
+        match_type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        indicator_type TEXT,
+        reason TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        expires_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (match_type, value)
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS suppression_rules (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT NOT NULL,
+        match_type TEXT,
+        value TEXT,
+        indicator_type TEXT,
+        reason TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        expires_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Audit trail of the rule matches and alerts hidden by allowlists and suppressions
+    db.run(`
+      CREATE TABLE IF NOT EXISTS suppressed_matches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        suppression_kind TEXT NOT NULL,
+        suppression_id TEXT NOT NULL,
+        indicator_id TEXT,
+        indicator_type TEXT,
+        indicator_value TEXT,
+        event_id TEXT,
+        event_type TEXT,
+        rule_id TEXT,
+        rule_name TEXT,
+        score REAL DEFAULT 0,
+        alert_suppressed INTEGER NOT NULL DEFAULT 0,
+        final_risk_score REAL,
+        severity TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    // Columns added after the initial schema
+    addColumnIfMissing('indicators', 'valid_until', 'TEXT');
+    addColumnIfMissing('events', 'aggregation_key', 'TEXT');
+    addColumnIfMissing('events', 'first_seen', 'TEXT');
+    addColumnIfMissing('events', 'last_seen', 'TEXT');
+    addColumnIfMissing('events', 'direction', 'TEXT');
+
     // Create indexes
     db.run('CREATE INDEX IF NOT EXISTS idx_indicators_value ON indicators(value)');
     db.run('CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_events_indicator ON events(indicator_id, event_type)');
     db.run('CREATE INDEX IF NOT EXISTS idx_alerts_severity ON alerts(severity)');
     db.run('CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_alerts_indicator ON alerts(indicator_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_ingest_queue_due ON ingest_queue(status, next_attempt_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_dead_letters_status ON dead_letters(status, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_feed_pulls_feed ON feed_pulls(feed, id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_feed_entries_indicator ON feed_entries(indicator_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_indicator_asns_asn ON indicator_asns(asn)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_graph_edges_source ON graph_edges(source_node, target_node)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_passive_dns_answer ON passive_dns(answer)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_domain_nameservers_nameserver ON domain_nameservers(nameserver)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_watchlist_entries_expires ON watchlist_entries(expires_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_suppressed_matches_suppression ON suppressed_matches(suppression_id, created_at)');
 
     console.log('Database tables initialized');
   });
 }
 
+/**
+ * Add a column to an existing table when an older database lacks it
+ */
+function addColumnIfMissing(table, column, definition) {
+  db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+    if (err) {
+      console.error(`Error inspecting ${table}:`, err);
+      return;
+    }
+    if (!columns.some(c => c.name === column)) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  });
+}
+
 export default db;
\ No newline at end of file
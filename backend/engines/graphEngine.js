@@ -88,9 +88,9 @@ class GraphEngine {
           await this.addNode(row.indicator_value, row.indicator_type);
         }
 
-        // Create edges based on common patterns
+        // Create edges based on common patterns. Domain resolves_to IP edges
+        // are added by the passive DNS store as resolutions are observed.
         const ipNodes = Array.from(this.nodes.values()).filter(n => n.entity_type === 'IP');
-        const domainNodes = Array.from(this.nodes.values()).filter(n => n.entity_type === 'domain');
 
         // Connect IPs that appear in similar timeframes
         for (let i = 0; i < ipNodes.length; i++) {
@@ -106,15 +106,6 @@ class GraphEngine {
           }
         }
 
-        // Connect IPs to domains
-        for (const ip of ipNodes.slice(0, 10)) {
-          for (const domain of domainNodes.slice(0, 5)) {
-            if (Math.random() > 0.6) {
-              await this.addEdge(ip.id, domain.id, 'resolves_to', 0.7);
-            }
-          }
-        }
-
         resolve();
       });
     });
@@ -188,6 +179,25 @@ class GraphEngine {
     });
   }
 
+  /**
+   * Add an edge unless the same relation between the two nodes already exists.
+   * Returns the new edge's id, or null when there was one already.
+   */
+  async addEdgeOnce(sourceId, targetId, relationType, weight = 1.0) {
+    const existing = await new Promise((resolve, reject) => {
+      db.get(
+        'SELECT id FROM graph_edges WHERE source_node = ? AND target_node = ? AND relation_type = ?',
+        [sourceId, targetId, relationType],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+
+    return existing ? null : this.addEdge(sourceId, targetId, relationType, weight);
+  }
+
   /**
    * Calculate PageRank
    */
@@ -126,6 +126,12 @@ class IsolationForest {
     // Very rapid events
     if (features[9] > 0.8) anomalyScore += 0.25;
 
+    // Hosted in an ASN with a bad record
+    if (features[10] > 0.6) anomalyScore += 0.2;
+
+    // Domain registered within the last few weeks
+    if (features[11] > 0.9) anomalyScore += 0.25;
+
     // Normalize to 0-1 range
     return Math.min(anomalyScore, 1);
   }
@@ -198,6 +204,24 @@ class RandomForestClassifier {
       weight += 1;
     }
 
+    // Tree 9: ASN reputation, so a new IP in a bad network is not scored clean
+    if (features[10] > 0.5) {
+      maliciousScore += 0.7;
+      weight += 1;
+    }
+
+    // Tree 10: Young domain, more so with high entropy
+    if (features[11] > 0.9) {
+      maliciousScore += features[7] > 0.6 ? 0.85 : 0.65;
+      weight += 1;
+    }
+
+    // Tree 11: Name servers shared with known-bad domains
+    if (features[12] > 0.4) {
+      maliciousScore += 0.7;
+      weight += 1;
+    }
+
     // Average across trees
     if (weight === 0) return 0;
     
@@ -1,9 +1,14 @@
 import db from '../db.js';
 import featureEngine from '../services/features.js';
+import suppressionService from '../services/suppressions.js';
+import { idsSeverity } from '../services/severity.js';
 
 class RuleEngine {
   constructor() {
     this.rules = this.initializeRules();
+    // Scores for detections raised by external engines such as Suricata, keyed by
+    // idsSeverity: priority 1 (high) scores 40 down to 10 for priority 4 and unset
+    this.externalSeverityScores = { high: 40, medium: 30, low: 20, info: 10 };
   }
 
   initializeRules() {
@@ -17,7 +22,7 @@ class RuleEngine {
           const sshEvents = events.filter(e => 
             e.event_type === 'failed_login' && e.port === 22
           );
-          const recentAttempts = sshEvents.reduce((sum, e) => sum + e.frequency, 0);
+          const recentAttempts = featureEngine.countEvents(sshEvents);
           return recentAttempts > 200;
         }
       },
@@ -84,7 +89,37 @@ class RuleEngine {
         severity: 'high',
         score: 35,
         condition: (features, events) => {
-          return features.blacklist_score > 50;
+          // Watchlist hits are scored per list below; this covers reported reputation
+          return features.blacklist_score > 50 && features.watchlist_matches.length === 0;
+        }
+      },
+      {
+        id: 'hostile_asn',
+        name: 'Hosted in a Hostile ASN',
+        severity: 'medium',
+        score: 20,
+        condition: (features, events) => {
+          // Several bad neighbours, or a small network where they are at least half of those seen
+          return features.asn_malicious_ip_count >= 5 ||
+                 (features.asn_malicious_ip_count >= 2 && features.asn_malicious_share >= 0.5);
+        }
+      },
+      {
+        id: 'newly_registered_domain',
+        name: 'Newly Registered Domain',
+        severity: 'medium',
+        score: 20,
+        condition: (features, events) => {
+          return features.is_newly_registered === true;
+        }
+      },
+      {
+        id: 'malicious_nameserver_neighbours',
+        name: 'Name Servers Shared with Malicious Domains',
+        severity: 'medium',
+        score: 15,
+        condition: (features, events) => {
+          return features.shared_nameserver_malicious >= 2;
         }
       },
       {
@@ -107,7 +142,7 @@ class RuleEngine {
         score: 33,
         condition: (features, events) => {
           const dnsEvents = events.filter(e => e.event_type === 'dns_query');
-          return dnsEvents.length > 100 && features.dns_entropy > 4.5;
+          return featureEngine.countEvents(dnsEvents) > 100 && features.dns_entropy > 4.5;
         }
       },
       {
@@ -117,7 +152,17 @@ class RuleEngine {
         score: 20,
         condition: (features, events) => {
           const scanEvents = events.filter(e => e.event_type === 'port_scan');
-          return scanEvents.length > 10;
+          return featureEngine.countEvents(scanEvents) > 10;
+        }
+      },
+      {
+        id: 'vulnerability_exploitation',
+        name: 'Known Vulnerability Exploitation',
+        severity: 'high',
+        score: 30,
+        condition: (features, events) => {
+          return features.indicator_type === 'cve' &&
+                 events.some(e => e.event_type === 'ids_alert' || e.event_type === 'exploit_attempt');
         }
       },
       {
@@ -144,35 +189,50 @@ class RuleEngine {
         return { score: 0, matchedRules: [], explanation: [] };
       }
 
-      let totalScore = 0;
       const matchedRules = [];
-      const explanation = [];
 
       for (const rule of this.rules) {
         try {
           if (rule.condition(features, events)) {
-            totalScore += rule.score;
             matchedRules.push({
               id: rule.id,
               name: rule.name,
               severity: rule.severity,
               score: rule.score
             });
-            explanation.push(`${rule.name} (${rule.severity}, +${rule.score})`);
           }
         } catch (error) {
           console.error(`Error evaluating rule ${rule.id}:`, error);
         }
       }
 
+      // IDS detections carried on events count as matched rules too, as do watchlist hits
+      matchedRules.push(...this.evaluateExternalDetections(events), ...this.evaluateWatchlistMatches(features));
+
+      // Rules hidden by an allowlist entry or suppression are reported but do not score
+      const indicator = await featureEngine.getIndicator(indicatorId);
+      const review = await suppressionService.review({
+        indicator_type: indicator.type,
+        indicator_value: indicator.value,
+        metadata: featureEngine.parseMetadata(indicator)
+      }, matchedRules);
+
+      const totalScore = review.rules.reduce((total, rule) => total + rule.score, 0);
+      const explanation = review.rules.map(rule => `${rule.name} (${rule.severity}, +${rule.score})`);
+      review.suppressed.forEach(({ rule, kind, suppression }) => {
+        explanation.push(`${rule.name} suppressed by ${kind} ${suppression.id}: ${suppression.reason}`);
+      });
+
       // Normalize score to 0-100
       const normalizedScore = Math.min(totalScore, 100);
 
       return {
         score: normalizedScore,
-        matchedRules,
+        matchedRules: review.rules,
+        suppressedRules: review.suppressed,
+        allowlisted: review.allowlisted,
         explanation,
-        ruleCount: matchedRules.length
+        ruleCount: review.rules.length
       };
     } catch (error) {
       console.error('Rule evaluation error:', error);
@@ -180,6 +240,60 @@ class RuleEngine {
     }
   }
 
+  /**
+   * Turn external detections (e.g. Suricata signatures) stored in event
+   * metadata into matched rules, one per distinct signature
+   */
+  evaluateExternalDetections(events) {
+    const detections = new Map();
+
+    events.forEach(event => {
+      let metadata;
+      try {
+        metadata = JSON.parse(event.metadata || '{}');
+      } catch (e) {
+        return;
+      }
+
+      const detection = metadata.detection;
+      if (!detection || detection.signature_id === undefined) return;
+
+      const id = `${detection.engine}:${detection.signature_id}`;
+      const existing = detections.get(id);
+      if (existing) {
+        existing.hits += event.frequency || 1;
+        existing.category = existing.category || detection.category || null;
+        return;
+      }
+
+      const severity = idsSeverity(detection.severity);
+      detections.set(id, {
+        id,
+        name: detection.signature || `${detection.engine} signature ${detection.signature_id}`,
+        severity,
+        score: this.externalSeverityScores[severity],
+        category: detection.category || null,
+        engine: detection.engine,
+        hits: event.frequency || 1
+      });
+    });
+
+    return Array.from(detections.values());
+  }
+
+  /**
+   * One matched rule per watchlist the indicator is on, scored by the list
+   */
+  evaluateWatchlistMatches(features) {
+    return (features.watchlist_matches || []).map(match => ({
+      id: `watchlist:${match.watchlist}`,
+      name: `Watchlist Match: ${match.watchlist}`,
+      severity: match.severity,
+      score: match.score,
+      entries: match.entries
+    }));
+  }
+
   getIndicatorEvents(indicatorId) {
     return new Promise((resolve, reject) => {
       db.all(
@@ -1,4 +1,5 @@
 import express from 'express';
+import { Readable } from 'stream';
 import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
 import db from './db.js';
@@ -10,6 +11,31 @@ import GraphEngine from './services/graph.js';
 import RiskAggregator from './services/risk.js';
 import MitreMapper from './services/mitre.js';
 import ForecastEngine from './services/forecast.js';
+import normalizer from './services/normalizer.js';
+import validator from './services/validator.js';
+import deadLetterQueue from './services/deadLetter.js';
+import syslogReceiver from './services/syslog.js';
+import stixImporter from './services/stix.js';
+import profileStore from './services/profiles.js';
+import bulkUploadService from './services/upload.js';
+import zeekParser from './services/zeek.js';
+import suricataParser from './services/suricata.js';
+import windowsEventParser from './services/windows.js';
+import mispConnector from './services/misp.js';
+import taxiiServer, { TAXII_MEDIA_TYPE } from './services/taxii.js';
+import indicatorParser from './services/indicators.js';
+import iocExtractor from './services/iocExtractor.js';
+import taxonomy from './services/taxonomy.js';
+import sourceRegistry from './services/sources.js';
+import feedScheduler from './services/feeds.js';
+import geoIp from './services/geoip.js';
+import asnService from './services/asn.js';
+import assetInventory from './services/assets.js';
+import passiveDns from './services/passiveDns.js';
+import whoisService from './services/whois.js';
+import enrichmentPipeline from './services/enrichment.js';
+import watchlistService from './services/watchlists.js';
+import suppressionService from './services/suppressions.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,6 +52,8 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Raw CEF/LEEF lines may be posted as text/plain, Windows event exports as XML
+app.use(express.text({ type: ['text/plain', 'text/xml', 'application/xml'], limit: '10mb' }));
 
 // Initialize services
 const ingestionService = new IngestionService();
@@ -43,6 +71,28 @@ app.use((req, res, next) => {
   next();
 });
 
+// ?defang=true rewrites indicator values in JSON responses (hxxp://evil[.]com) so
+// they can be pasted into tickets. TAXII responses are sent as STIX and are left intact.
+app.use((req, res, next) => {
+  if (!['true', '1'].includes(String(req.query.defang).toLowerCase())) return next();
+
+  const json = res.json.bind(res);
+  res.json = body => json(iocExtractor.defangObject(body));
+  next();
+});
+
+// Ingestion requests may identify their source with an X-API-Key header
+app.post(['/analyze', '/ingest/*', '/import/*', '/extract/iocs*'], authenticateSource);
+
+// Configuration may be read freely, but changing it needs the X-Admin-Key header:
+// sources and their keys, feeds, watchlists, allowlists and suppressions, assets,
+// the taxonomy, mapping profiles and syslog listeners
+app.use(
+  ['/sources', '/feeds', '/watchlists', '/allowlist', '/suppressions', '/assets', '/taxonomy', '/profiles',
+    '/syslog/listeners'],
+  (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? next() : requireAdmin(req, res, next))
+);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -125,31 +175,48 @@ app.post('/analyze', async (req, res) => {
   try {
     const rawEvent = req.body;
     
-    // Step 1: Normalize event
-    const normalizedEvent = ingestionService.normalizeEvent(rawEvent);
+    // Step 1: Normalize and validate event
+    const { normalized: normalizedEvent, errors, deadLetterId } = await normalizeAndValidate(rawEvent, req.source);
+    if (errors.length > 0) {
+      return res.status(422).json({
+        error: 'Event failed validation',
+        errors,
+        dead_letter_id: deadLetterId
+      });
+    }
     
     // Step 2: Extract features
     const features = await featureExtractor.extractFeatures(normalizedEvent);
     
     // Step 3: Store or update indicator
-    const indicatorId = await storeIndicator(normalizedEvent);
+    const indicatorId = await ingestionService.storeIndicator(normalizedEvent);
+    await enrichmentPipeline.link(normalizedEvent, indicatorId);
     
     // Step 4: Store event
-    const eventId = await storeEvent(normalizedEvent, indicatorId, features);
+    const eventId = await ingestionService.storeEvent(normalizedEvent, indicatorId);
+    await passiveDns.record(normalizedEvent);
     
-    // Step 5: Run correlation engines
-    const ruleScore = await ruleEngine.evaluate(normalizedEvent, features);
+    // Step 5: Run correlation engines; allowlisted indicators and suppressed rules do not score
+    const ruleScore = await suppressionService.apply(
+      normalizedEvent,
+      await ruleEngine.evaluate(normalizedEvent, features)
+    );
     const mlScore = await mlEngine.detectAnomaly(features);
     const graphScore = await graphEngine.calculateRisk(normalizedEvent, indicatorId);
     
-    // Step 6: Aggregate risk
-    const riskResult = riskAggregator.aggregate(ruleScore, mlScore, graphScore);
+    // Step 6: Aggregate risk, weighted by the criticality of the asset involved; allowlisted indicators score 0
+    const riskResult = suppressionService.adjustRisk(
+      ruleScore,
+      assetInventory.weightRisk(riskAggregator.aggregate(ruleScore, mlScore, graphScore), normalizedEvent)
+    );
     
     // Step 7: Map to MITRE ATT&CK
     const mitreStage = mitreMapper.mapEventToMitre(normalizedEvent);
     
-    // Step 8: Store alert
-    const alertId = await storeAlert(
+    // Step 8: Store alert, unless the indicator is allowlisted or every rule it matched was suppressed.
+    // Hidden matches are kept for audit either way.
+    const alertSuppressed = suppressionService.suppressesAlert(ruleScore);
+    const alertId = alertSuppressed ? null : await storeAlert(
       indicatorId,
       ruleScore,
       mlScore,
@@ -157,6 +224,7 @@ app.post('/analyze', async (req, res) => {
       riskResult,
       mitreStage
     );
+    await suppressionService.record(normalizedEvent, { indicatorId, eventId, ruleScore, riskResult, alertSuppressed });
     
     // Step 9: Update graph
     await graphEngine.updateGraph(normalizedEvent, indicatorId);
@@ -170,8 +238,19 @@ app.post('/analyze', async (req, res) => {
       graph_score: graphScore.score,
       final_risk_score: riskResult.final_score,
       severity: riskResult.severity,
+      direction: normalizedEvent.metadata?.direction || null,
+      asset: normalizedEvent.metadata?.asset || null,
+      criticality_weight: riskResult.criticality_weight || 1.0,
       mitre_stage: mitreStage,
       triggered_rules: ruleScore.triggered_rules,
+      alert_suppressed: alertSuppressed,
+      allowlisted: ruleScore.allowlisted || null,
+      suppressed_rules: (ruleScore.suppressed_rules || []).map(({ rule, kind, suppression }) => ({
+        rule_id: rule.id,
+        kind,
+        suppression_id: suppression.id,
+        reason: suppression.reason
+      })),
       features: features
     });
     
@@ -268,20 +347,38 @@ app.post('/ingest/batch', async (req, res) => {
     
     const results = [];
     
-    for (const event of events) {
+    for (const [index, event] of events.entries()) {
       try {
-        const normalized = ingestionService.normalizeEvent(event);
+        const { normalized, errors, deadLetterId } = await normalizeAndValidate(event, req.source);
+        if (errors.length > 0) {
+          results.push({
+            index,
+            success: false,
+            stage: 'validation',
+            error: `Validation failed: ${errors.map(e => `${e.field}: ${e.reason}`).join('; ')}`,
+            errors,
+            dead_letter_id: deadLetterId
+          });
+          continue;
+        }
+
         const features = await featureExtractor.extractFeatures(normalized);
-        const indicatorId = await storeIndicator(normalized);
-        const eventId = await storeEvent(normalized, indicatorId, features);
+        const indicatorId = await ingestionService.storeIndicator(normalized);
+        await enrichmentPipeline.link(normalized, indicatorId);
+        const eventId = await ingestionService.storeEvent(normalized, indicatorId);
+        await passiveDns.record(normalized);
         
-        const ruleScore = await ruleEngine.evaluate(normalized, features);
+        const ruleScore = await suppressionService.apply(normalized, await ruleEngine.evaluate(normalized, features));
         const mlScore = await mlEngine.detectAnomaly(features);
         const graphScore = await graphEngine.calculateRisk(normalized, indicatorId);
-        const riskResult = riskAggregator.aggregate(ruleScore, mlScore, graphScore);
+        const riskResult = suppressionService.adjustRisk(
+          ruleScore,
+          assetInventory.weightRisk(riskAggregator.aggregate(ruleScore, mlScore, graphScore), normalized)
+        );
         const mitreStage = mitreMapper.mapEventToMitre(normalized);
         
-        const alertId = await storeAlert(
+        const alertSuppressed = suppressionService.suppressesAlert(ruleScore);
+        const alertId = alertSuppressed ? null : await storeAlert(
           indicatorId,
           ruleScore,
           mlScore,
@@ -289,12 +386,13 @@ app.post('/ingest/batch', async (req, res) => {
           riskResult,
           mitreStage
         );
+        await suppressionService.record(normalized, { indicatorId, eventId, ruleScore, riskResult, alertSuppressed });
         
         await graphEngine.updateGraph(normalized, indicatorId);
         
-        results.push({ success: true, alert_id: alertId });
+        results.push({ index, success: true, alert_id: alertId, alert_suppressed: alertSuppressed });
       } catch (error) {
-        results.push({ success: false, error: error.message });
+        results.push({ index, success: false, stage: 'processing', error: error.message });
       }
     }
     
@@ -311,185 +409,1611 @@ app.post('/ingest/batch', async (req, res) => {
   }
 });
 
-// Helper functions for database operations
-function storeIndicator(event) {
-  return new Promise((resolve, reject) => {
-    const { indicator_type, indicator_value, source } = event;
-    const now = new Date().toISOString();
-    
-    // Check if indicator exists
-    db.get(
-      'SELECT id FROM indicators WHERE value = ? AND type = ?',
-      [indicator_value, indicator_type],
-      (err, row) => {
-        if (err) return reject(err);
-        
-        if (row) {
-          // Update last_seen
-          db.run(
-            'UPDATE indicators SET last_seen = ? WHERE id = ?',
-            [now, row.id],
-            (err) => {
-              if (err) return reject(err);
-              resolve(row.id);
-            }
-          );
-        } else {
-          // Insert new indicator
-          const id = uuidv4();
-          db.run(
-            `INSERT INTO indicators (id, type, value, source, confidence, first_seen, last_seen)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [id, indicator_type, indicator_value, source, 0.5, now, now],
-            (err) => {
-              if (err) return reject(err);
-              resolve(id);
-            }
-          );
-        }
-      }
-    );
-  });
-}
+// Queue events for asynchronous ingestion; 429 when the queue is full
+app.post('/ingest/queue', async (req, res) => {
+  const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+  let accepted = 0;
 
-function storeEvent(event, indicatorId, features) {
-  return new Promise((resolve, reject) => {
-    const id = uuidv4();
-    const { event_type, timestamp, metadata } = event;
-    
-    db.run(
-      `INSERT INTO events 
-       (id, indicator_id, event_type, timestamp, frequency, port, geo_location, payload_size)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id,
-        indicatorId,
-        event_type,
-        timestamp || new Date().toISOString(),
-        features.frequency || 1,
-        metadata?.port || null,
-        metadata?.geo || null,
-        metadata?.payload_size || null
-      ],
-      (err) => {
-        if (err) return reject(err);
-        resolve(id);
-      }
-    );
-  });
-}
+  try {
+    for (const event of events) {
+      await ingestionService.queueEvent(attributeToSource(event, req.source));
+      accepted++;
+    }
+    res.status(202).json({ accepted, queue_depth: ingestionService.queueDepth });
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      res.set('Retry-After', String(Math.ceil(ingestionService.flushInterval / 1000)));
+      return res.status(429).json({
+        error: error.message,
+        accepted,
+        rejected: events.length - accepted
+      });
+    }
+    console.error('Error queueing events:', error);
+    res.status(500).json({ error: 'Failed to queue events', accepted });
+  }
+});
 
-function storeAlert(indicatorId, ruleScore, mlScore, graphScore, riskResult, mitreStage) {
-  return new Promise((resolve, reject) => {
-    const id = uuidv4();
-    
-    db.run(
-      `INSERT INTO alerts 
-       (id, indicator_id, rule_score, ml_score, graph_score, final_risk_score, severity, mitre_stage, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id,
-        indicatorId,
-        ruleScore.score,
-        mlScore.score,
-        graphScore.score,
-        riskResult.final_score,
-        riskResult.severity,
-        mitreStage,
-        new Date().toISOString()
-      ],
-      (err) => {
-        if (err) return reject(err);
-        resolve(id);
-      }
-    );
-  });
-}
+// Ingestion queue depth, lag and counters
+app.get('/ingest/queue/stats', async (req, res) => {
+  try {
+    res.json(await ingestionService.getQueueStats());
+  } catch (error) {
+    console.error('Error fetching queue stats:', error);
+    res.status(500).json({ error: 'Failed to fetch queue stats' });
+  }
+});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error', details: err.message });
+// List dead-lettered events
+app.get('/dead-letters', async (req, res) => {
+  try {
+    const entries = await deadLetterQueue.list({
+      status: req.query.status,
+      source: req.query.source,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('==============================================');
-  console.log('  ThreatSim Intelligence Engine - Backend');
-  console.log('==============================================');
-  console.log(`Server running on http://0.0.0.0:${PORT}`);
-  console.log(`Health check: http://0.0.0.0:${PORT}/health`);
-  console.log('==============================================');
-  
-  // Generate some sample data on startup
-  setTimeout(() => {
-    console.log('Generating sample threat data...');
-    generateSampleData();
-  }, 2000);
+// Dead-letter counts by status
+app.get('/dead-letters/stats', async (req, res) => {
+  try {
+    res.json(await deadLetterQueue.stats());
+  } catch (error) {
+    console.error('Error fetching dead letter stats:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter stats' });
+  }
 });
 
-// Generate sample threat data
-async function generateSampleData() {
-  const sampleEvents = [
-    {
-      indicator_type: 'IP',
-      indicator_value: '192.168.1.100',
-      event_type: 'failed_login',
-      timestamp: new Date().toISOString(),
-      source: 'auth_log',
-      metadata: { port: 22, geo: 'RU', attempts: 350 }
-    },
-    {
-      indicator_type: 'IP',
-      indicator_value: '10.0.0.50',
-      event_type: 'port_scan',
-      timestamp: new Date().toISOString(),
-      source: 'firewall',
-      metadata: { port: 445, geo: 'CN', attempts: 500 }
-    },
-    {
-      indicator_type: 'Domain',
-      indicator_value: 'malicious-c2.example.com',
-      event_type: 'dns_beacon',
-      timestamp: new Date().toISOString(),
-      source: 'dns_log',
-      metadata: { geo: 'US', attempts: 120 }
-    },
-    {
-      indicator_type: 'IP',
-      indicator_value: '172.16.0.25',
-      event_type: 'data_exfiltration',
-      timestamp: new Date().toISOString(),
-      source: 'netflow',
-      metadata: { port: 443, geo: 'KP', payload_size: 50000000 }
-    },
-    {
-      indicator_type: 'Hash',
-      indicator_value: 'a3f5e9c8d1b2f4e6c7a8b9d0e1f2a3b4',
-      event_type: 'malware_execution',
-      timestamp: new Date().toISOString(),
-      source: 'edr',
-      metadata: { geo: 'IR' }
+// Inspect a dead-lettered event
+app.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const entry = await deadLetterQueue.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead letter not found' });
     }
-  ];
-  
-  for (const event of sampleEvents) {
-    try {
-      const normalized = ingestionService.normalizeEvent(event);
-      const features = await featureExtractor.extractFeatures(normalized);
-      const indicatorId = await storeIndicator(normalized);
-      await storeEvent(normalized, indicatorId, features);
-      
-      const ruleScore = await ruleEngine.evaluate(normalized, features);
-      const mlScore = await mlEngine.detectAnomaly(features);
-      const graphScore = await graphEngine.calculateRisk(normalized, indicatorId);
-      const riskResult = riskAggregator.aggregate(ruleScore, mlScore, graphScore);
-      const mitreStage = mitreMapper.mapEventToMitre(normalized);
-      
-      await storeAlert(indicatorId, ruleScore, mlScore, graphScore, riskResult, mitreStage);
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching dead letter:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter' });
+  }
+});
+
+// Replay a dead-lettered event; a JSON body replaces the stored raw payload
+app.post('/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const hasCorrection = req.body && (typeof req.body === 'string' || Object.keys(req.body).length > 0);
+    const result = await ingestionService.replayDeadLetter(req.params.id, hasCorrection ? req.body : undefined);
+    if (!result) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.status(result.success ? 200 : 422).json(result);
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    res.status(500).json({ error: 'Failed to replay dead letter' });
+  }
+});
+
+// Discard a dead-lettered event
+app.delete('/dead-letters/:id', async (req, res) => {
+  try {
+    const discarded = await deadLetterQueue.discard(req.params.id);
+    if (!discarded) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({ error: 'Failed to discard dead letter' });
+  }
+});
+
+// Import a STIX 2.1 bundle
+app.post('/import/stix', async (req, res) => {
+  try {
+    const summary = await stixImporter.importBundle(req.body, { source: req.source || req.query.source });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error importing STIX bundle:', error);
+    res.status(400).json({ error: 'Failed to import STIX bundle', details: error.message });
+  }
+});
+
+// List field-mapping profiles
+app.get('/profiles', async (req, res) => {
+  try {
+    res.json(await profileStore.list());
+  } catch (error) {
+    console.error('Error fetching mapping profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch mapping profiles' });
+  }
+});
+
+// Get a field-mapping profile
+app.get('/profiles/:name', async (req, res) => {
+  try {
+    const profile = await profileStore.get(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching mapping profile:', error);
+    res.status(500).json({ error: 'Failed to fetch mapping profile' });
+  }
+});
+
+// Create or replace a field-mapping profile
+app.put('/profiles/:name', async (req, res) => {
+  try {
+    const profile = await profileStore.save({ ...req.body, name: req.params.name });
+    res.json(profile);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving mapping profile:', error);
+    res.status(500).json({ error: 'Failed to save mapping profile' });
+  }
+});
+
+// Delete a field-mapping profile
+app.delete('/profiles/:name', async (req, res) => {
+  try {
+    const removed = await profileStore.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+    res.status(500).json({ error: 'Failed to delete mapping profile' });
+  }
+});
+
+// List canonical event types with their aliases
+app.get('/taxonomy/event-types', async (req, res) => {
+  try {
+    res.json(await taxonomy.listEventTypes());
+  } catch (error) {
+    console.error('Error fetching event types:', error);
+    res.status(500).json({ error: 'Failed to fetch event types' });
+  }
+});
+
+// Create or update a canonical event type
+app.put('/taxonomy/event-types/:name', async (req, res) => {
+  try {
+    res.json(await taxonomy.saveEventType(req.params.name, req.body));
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving event type:', error);
+    res.status(500).json({ error: 'Failed to save event type' });
+  }
+});
+
+// Delete a canonical event type and its aliases
+app.delete('/taxonomy/event-types/:name', async (req, res) => {
+  try {
+    const removed = await taxonomy.removeEventType(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting event type:', error);
+    res.status(500).json({ error: 'Failed to delete event type' });
+  }
+});
+
+// List aliases; ?source= narrows to one source ('' for global aliases)
+app.get('/taxonomy/aliases', async (req, res) => {
+  try {
+    res.json(await taxonomy.listAliases({ source: req.query.source }));
+  } catch (error) {
+    console.error('Error fetching event type aliases:', error);
+    res.status(500).json({ error: 'Failed to fetch event type aliases' });
+  }
+});
+
+// Create or repoint an alias: { event_type, source? }
+app.put('/taxonomy/aliases/:alias', async (req, res) => {
+  try {
+    res.json(await taxonomy.saveAlias(req.params.alias, req.body));
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving event type alias:', error);
+    res.status(500).json({ error: 'Failed to save event type alias' });
+  }
+});
+
+// Delete an alias; ?source= selects a per-source override
+app.delete('/taxonomy/aliases/:alias', async (req, res) => {
+  try {
+    const removed = await taxonomy.removeAlias(req.params.alias, req.query.source);
+    if (!removed) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting event type alias:', error);
+    res.status(500).json({ error: 'Failed to delete event type alias' });
+  }
+});
+
+// Raw event types that matched nothing in the taxonomy
+app.get('/taxonomy/unmapped', async (req, res) => {
+  try {
+    res.json(await taxonomy.listUnmapped({ source: req.query.source, limit: req.query.limit }));
+  } catch (error) {
+    console.error('Error fetching unmapped event types:', error);
+    res.status(500).json({ error: 'Failed to fetch unmapped event types' });
+  }
+});
+
+// Dismiss an unmapped raw type without aliasing it
+app.delete('/taxonomy/unmapped/:rawType', async (req, res) => {
+  try {
+    const removed = await taxonomy.dismissUnmapped(req.params.rawType, req.query.source);
+    if (!removed) {
+      return res.status(404).json({ error: 'Unmapped event type not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error dismissing unmapped event type:', error);
+    res.status(500).json({ error: 'Failed to dismiss unmapped event type' });
+  }
+});
+
+// List registered ingestion sources
+app.get('/sources', async (req, res) => {
+  try {
+    res.json(await sourceRegistry.list());
+  } catch (error) {
+    console.error('Error fetching sources:', error);
+    res.status(500).json({ error: 'Failed to fetch sources' });
+  }
+});
+
+// Get a single source
+app.get('/sources/:name', async (req, res) => {
+  try {
+    const source = await sourceRegistry.get(req.params.name);
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    res.json(source);
+  } catch (error) {
+    console.error('Error fetching source:', error);
+    res.status(500).json({ error: 'Failed to fetch source' });
+  }
+});
+
+// Register or update a source: { type, owner, description, reliability (A-F), enabled }
+app.put('/sources/:name', async (req, res) => {
+  try {
+    res.json(await sourceRegistry.save(req.params.name, req.body));
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving source:', error);
+    res.status(500).json({ error: 'Failed to save source' });
+  }
+});
+
+// Unregister a source; its events are rejected from then on
+app.delete('/sources/:name', async (req, res) => {
+  try {
+    const removed = await sourceRegistry.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting source:', error);
+    res.status(500).json({ error: 'Failed to delete source' });
+  }
+});
+
+// Issue a new API key for a source. The key is only shown in this response.
+app.post('/sources/:name/credential', async (req, res) => {
+  try {
+    const credential = await sourceRegistry.rotateCredential(req.params.name);
+    if (!credential) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    res.status(201).json(credential);
+  } catch (error) {
+    console.error('Error issuing source credential:', error);
+    res.status(500).json({ error: 'Failed to issue source credential' });
+  }
+});
+
+// Revoke a source's API key
+app.delete('/sources/:name/credential', async (req, res) => {
+  try {
+    const revoked = await sourceRegistry.revokeCredential(req.params.name);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking source credential:', error);
+    res.status(500).json({ error: 'Failed to revoke source credential' });
+  }
+});
+
+// List blocklist feed definitions with their last pull status
+app.get('/feeds', async (req, res) => {
+  try {
+    res.json(await feedScheduler.list());
+  } catch (error) {
+    console.error('Error fetching feeds:', error);
+    res.status(500).json({ error: 'Failed to fetch feeds' });
+  }
+});
+
+// Get a single feed definition
+app.get('/feeds/:name', async (req, res) => {
+  try {
+    const feed = await feedScheduler.get(req.params.name);
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    res.json(feed);
+  } catch (error) {
+    console.error('Error fetching feed:', error);
+    res.status(500).json({ error: 'Failed to fetch feed' });
+  }
+});
+
+// Create or replace a feed definition; it is rescheduled immediately
+app.put('/feeds/:name', async (req, res) => {
+  try {
+    const feed = await feedScheduler.save({ ...req.body, name: req.params.name });
+    res.json(feed);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving feed:', error);
+    res.status(500).json({ error: 'Failed to save feed' });
+  }
+});
+
+// Delete a feed definition and its pull history
+app.delete('/feeds/:name', async (req, res) => {
+  try {
+    const removed = await feedScheduler.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting feed:', error);
+    res.status(500).json({ error: 'Failed to delete feed' });
+  }
+});
+
+// Pull a feed now instead of waiting for its schedule
+app.post('/feeds/:name/pull', async (req, res) => {
+  try {
+    const pull = await feedScheduler.pull(req.params.name);
+    if (!pull) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    res.status(pull.status === 'failed' ? 502 : 200).json(pull);
+  } catch (error) {
+    console.error('Error pulling feed:', error);
+    res.status(500).json({ error: 'Failed to pull feed' });
+  }
+});
+
+// Pull history of a feed, newest first
+app.get('/feeds/:name/pulls', async (req, res) => {
+  try {
+    res.json(await feedScheduler.listPulls(req.params.name, { limit: req.query.limit }));
+  } catch (error) {
+    console.error('Error fetching feed pulls:', error);
+    res.status(500).json({ error: 'Failed to fetch feed pulls' });
+  }
+});
+
+// GeoIP database status and lookup cache statistics
+app.get('/geoip', (req, res) => {
+  res.json(geoIp.status());
+});
+
+// Look up the location of an IP address
+app.get('/geoip/:ip', (req, res) => {
+  const ip = indicatorParser.canonicalize('IP', req.params.ip);
+  if (!ip || ip.type !== 'IP') {
+    return res.status(400).json({ error: `"${req.params.ip}" is not a valid IP address` });
+  }
+  if (!geoIp.status().loaded) {
+    return res.status(503).json({ error: 'No GeoIP database is loaded' });
+  }
+
+  const location = geoIp.lookup(ip.value);
+  if (!location) {
+    return res.status(404).json({ error: 'Address not found in the GeoIP database' });
+  }
+  res.json({ ip: ip.value, ...location });
+});
+
+// Reload the GeoIP database from disk now instead of waiting for the file watcher
+app.post('/geoip/reload', async (req, res) => {
+  try {
+    await geoIp.reload();
+    res.json(geoIp.status());
+  } catch (error) {
+    console.error('Error reloading GeoIP database:', error);
+    res.status(400).json({ error: 'Failed to reload GeoIP database', details: error.message });
+  }
+});
+
+// ASN database status and lookup cache statistics
+app.get('/asn', (req, res) => {
+  res.json(asnService.status());
+});
+
+// Look up the ASN of an IP address
+app.get('/asn/:ip', (req, res) => {
+  const ip = indicatorParser.canonicalize('IP', req.params.ip);
+  if (!ip || ip.type !== 'IP') {
+    return res.status(400).json({ error: `"${req.params.ip}" is not a valid IP address` });
+  }
+  if (!asnService.status().loaded) {
+    return res.status(503).json({ error: 'No ASN database is loaded' });
+  }
+
+  const result = asnService.lookup(ip.value);
+  if (!result) {
+    return res.status(404).json({ error: 'Address not found in the ASN database' });
+  }
+  res.json({ ip: ip.value, ...result });
+});
+
+// Reload the ASN database from disk
+app.post('/asn/reload', async (req, res) => {
+  try {
+    await asnService.reload();
+    res.json(asnService.status());
+  } catch (error) {
+    console.error('Error reloading ASN database:', error);
+    res.status(400).json({ error: 'Failed to reload ASN database', details: error.message });
+  }
+});
+
+// List inventory assets, optionally filtered by kind (host, subnet), owner or criticality
+app.get('/assets', async (req, res) => {
+  try {
+    const { kind, owner, criticality } = req.query;
+    res.json(await assetInventory.list({ kind, owner, criticality }));
+  } catch (error) {
+    console.error('Error fetching assets:', error);
+    res.status(500).json({ error: 'Failed to fetch assets' });
+  }
+});
+
+// Classify an address as internal, external or reserved, with the asset it belongs to
+app.get('/assets/classify/:ip', async (req, res) => {
+  try {
+    await assetInventory.ensureLoaded();
+    const classification = assetInventory.classify(req.params.ip);
+    if (!classification) {
+      return res.status(400).json({ error: `"${req.params.ip}" is not a valid IP address` });
+    }
+    res.json(classification);
+  } catch (error) {
+    console.error('Error classifying address:', error);
+    res.status(500).json({ error: 'Failed to classify address' });
+  }
+});
+
+// Get a single asset
+app.get('/assets/:id', async (req, res) => {
+  try {
+    const asset = await assetInventory.get(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(asset);
+  } catch (error) {
+    console.error('Error fetching asset:', error);
+    res.status(500).json({ error: 'Failed to fetch asset' });
+  }
+});
+
+// Add a host or subnet: { address (IP or CIDR), hostname, name, owner, criticality, description }.
+// An address already in the inventory is updated instead.
+app.post('/assets', async (req, res) => {
+  try {
+    res.status(201).json(await assetInventory.create(req.body));
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving asset:', error);
+    res.status(500).json({ error: 'Failed to save asset' });
+  }
+});
+
+// Update an asset; omitted fields are left unchanged
+app.put('/assets/:id', async (req, res) => {
+  try {
+    const asset = await assetInventory.update(req.params.id, req.body);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(asset);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving asset:', error);
+    res.status(500).json({ error: 'Failed to save asset' });
+  }
+});
+
+app.delete('/assets/:id', async (req, res) => {
+  try {
+    const removed = await assetInventory.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting asset:', error);
+    res.status(500).json({ error: 'Failed to delete asset' });
+  }
+});
+
+// Import assets from a CSV sent as the raw body. The header names the columns:
+// address, hostname, name, owner, criticality, description.
+app.post('/assets/import', async (req, res) => {
+  try {
+    const input = typeof req.body === 'string' ? Readable.from([req.body]) : req;
+    res.json(await assetInventory.importCSV(input));
+  } catch (error) {
+    console.error('Error importing assets:', error);
+    res.status(400).json({ error: 'Failed to import assets', details: error.message });
+  }
+});
+
+// WHOIS database status
+app.get('/whois', (req, res) => {
+  res.json(whoisService.status());
+});
+
+// Look up the WHOIS record of a domain (or of its registered parent domain)
+app.get('/whois/:domain', (req, res) => {
+  const domain = indicatorParser.canonicalize('domain', req.params.domain);
+  if (!domain || domain.type !== 'domain') {
+    return res.status(400).json({ error: `"${req.params.domain}" is not a valid domain` });
+  }
+  if (!whoisService.status().loaded) {
+    return res.status(503).json({ error: 'No WHOIS database is loaded' });
+  }
+
+  const record = whoisService.lookup(domain.value);
+  if (!record) {
+    return res.status(404).json({ error: 'Domain not found in the WHOIS database' });
+  }
+  const ageDays = whoisService.ageDays(record);
+  res.json({
+    ...record,
+    domain_age_days: ageDays,
+    is_newly_registered: whoisService.isNewlyRegistered(ageDays)
+  });
+});
+
+// Reload the WHOIS database from disk
+app.post('/whois/reload', async (req, res) => {
+  try {
+    await whoisService.reload();
+    res.json(whoisService.status());
+  } catch (error) {
+    console.error('Error reloading WHOIS database:', error);
+    res.status(400).json({ error: 'Failed to reload WHOIS database', details: error.message });
+  }
+});
+
+// Passive DNS: what a domain has resolved to (?rrtype=A&since=ISO-8601&limit=100)
+app.get('/passive-dns/domain/:domain', async (req, res) => {
+  const domain = indicatorParser.canonicalize('domain', req.params.domain);
+  if (!domain || domain.type !== 'domain') {
+    return res.status(400).json({ error: `"${req.params.domain}" is not a valid domain` });
+  }
+
+  try {
+    const records = await passiveDns.resolutions(domain.value, {
+      rrtype: req.query.rrtype,
+      since: req.query.since,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json({ domain: domain.value, records });
+  } catch (error) {
+    console.error('Error fetching passive DNS records:', error);
+    res.status(500).json({ error: 'Failed to fetch passive DNS records' });
+  }
+});
+
+// Passive DNS: the domains seen resolving to an address
+app.get('/passive-dns/ip/:ip', async (req, res) => {
+  const ip = indicatorParser.canonicalize('IP', req.params.ip);
+  if (!ip || ip.type !== 'IP') {
+    return res.status(400).json({ error: `"${req.params.ip}" is not a valid IP address` });
+  }
+
+  try {
+    const records = await passiveDns.reverse(ip.value, {
+      since: req.query.since,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json({ ip: ip.value, records });
+  } catch (error) {
+    console.error('Error fetching passive DNS records:', error);
+    res.status(500).json({ error: 'Failed to fetch passive DNS records' });
+  }
+});
+
+// Registered enrichers with their TTLs, timeouts and run statistics
+app.get('/enrichment', (req, res) => {
+  res.json(enrichmentPipeline.status());
+});
+
+// Drop cached enrichment lookups (?enricher=geoip for one enricher)
+app.delete('/enrichment/cache', (req, res) => {
+  const name = req.query.enricher || null;
+  if (name && !enrichmentPipeline.enrichers.has(name)) {
+    return res.status(404).json({ error: `Unknown enricher "${name}"` });
+  }
+  res.json({ removed: enrichmentPipeline.clearCache(name) });
+});
+
+// Re-run enrichment on a stored indicator, bypassing the cache.
+// Body: { "enrichers": ["whois"] } to limit it to some enrichers.
+app.post('/indicators/:id/enrich', async (req, res) => {
+  const only = req.body?.enrichers;
+  if (only !== undefined && (!Array.isArray(only) || only.some(name => !enrichmentPipeline.enrichers.has(name)))) {
+    return res.status(400).json({
+      error: 'Invalid enrichers',
+      details: `enrichers must be a list of: ${Array.from(enrichmentPipeline.enrichers.keys()).join(', ')}`
+    });
+  }
+
+  try {
+    const result = await enrichmentPipeline.reenrich(req.params.id, { only: only || null });
+    if (!result) {
+      return res.status(404).json({ error: 'Indicator not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error re-enriching indicator:', error);
+    res.status(500).json({ error: 'Failed to re-enrich indicator' });
+  }
+});
+
+// List watchlists with their entry counts
+app.get('/watchlists', async (req, res) => {
+  try {
+    res.json(await watchlistService.list());
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlists' });
+  }
+});
+
+// Which watchlists a value is on (?value=...&type=domain; the type is detected when omitted)
+app.get('/watchlists/match', async (req, res) => {
+  const value = typeof req.query.value === 'string' ? req.query.value : '';
+  const indicator = req.query.type
+    ? indicatorParser.canonicalize(req.query.type, value)
+    : indicatorParser.detect(value);
+  if (!indicator) {
+    return res.status(400).json({ error: `"${value}" is not a valid ${req.query.type || 'indicator'}` });
+  }
+
+  try {
+    await watchlistService.ensureLoaded();
+    res.json({
+      type: indicator.type,
+      value: indicator.value,
+      matches: watchlistService.match(indicator.type, indicator.value, indicator.attributes)
+    });
+  } catch (error) {
+    console.error('Error matching watchlists:', error);
+    res.status(500).json({ error: 'Failed to match watchlists' });
+  }
+});
+
+// Get a single watchlist
+app.get('/watchlists/:name', async (req, res) => {
+  try {
+    const watchlist = await watchlistService.get(req.params.name);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(watchlist);
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlist' });
+  }
+});
+
+// Create or update a watchlist: { description, severity, score, enabled, owner }
+app.put('/watchlists/:name', async (req, res) => {
+  try {
+    res.json(await watchlistService.save(req.params.name, req.body || {}));
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error saving watchlist:', error);
+    res.status(500).json({ error: 'Failed to save watchlist' });
+  }
+});
+
+// Delete a watchlist and all its entries
+app.delete('/watchlists/:name', async (req, res) => {
+  try {
+    const removed = await watchlistService.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({ error: 'Failed to delete watchlist' });
+  }
+});
+
+// Entries of a watchlist (?match_type=cidr&q=example&active=true&limit=100&offset=0)
+app.get('/watchlists/:name/entries', async (req, res) => {
+  try {
+    const entries = await watchlistService.listEntries(req.params.name, {
+      matchType: req.query.match_type,
+      search: req.query.q,
+      active: req.query.active === 'true',
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    });
+    if (!entries) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching watchlist entries:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlist entries' });
+  }
+});
+
+// Add an entry: { value, match_type, type, reason, owner, expires_at }.
+// An entry with the same match type and value is updated instead.
+app.post('/watchlists/:name/entries', async (req, res) => {
+  try {
+    const result = await watchlistService.addEntry(req.params.name, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.status(result.created ? 201 : 200).json(result.entry);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error adding watchlist entry:', error);
+    res.status(500).json({ error: 'Failed to add watchlist entry' });
+  }
+});
+
+// Get a single watchlist entry
+app.get('/watchlists/:name/entries/:id', async (req, res) => {
+  try {
+    const entry = await watchlistService.getEntry(req.params.name, req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching watchlist entry:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlist entry' });
+  }
+});
+
+// Update a watchlist entry; omitted fields keep their values
+app.put('/watchlists/:name/entries/:id', async (req, res) => {
+  try {
+    const entry = await watchlistService.updateEntry(req.params.name, req.params.id, req.body || {});
+    if (!entry) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error updating watchlist entry:', error);
+    res.status(500).json({ error: 'Failed to update watchlist entry' });
+  }
+});
+
+app.delete('/watchlists/:name/entries/:id', async (req, res) => {
+  try {
+    const removed = await watchlistService.removeEntry(req.params.name, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting watchlist entry:', error);
+    res.status(500).json({ error: 'Failed to delete watchlist entry' });
+  }
+});
+
+// Bulk-import watchlist entries. The body is a JSON array (of values or entry
+// objects), or a raw CSV with a header naming the columns (value, match_type,
+// type, reason, owner, expires_at) or plain list of one value per line.
+// Query parameters of the same names fill fields the rows leave out.
+app.post('/watchlists/:name/import', async (req, res) => {
+  const defaults = {};
+  ['match_type', 'type', 'reason', 'owner', 'expires_at'].forEach(field => {
+    if (typeof req.query[field] === 'string') defaults[field] = req.query[field];
+  });
+
+  try {
+    let items;
+    if (Array.isArray(req.body) || Array.isArray(req.body?.entries)) {
+      items = (Array.isArray(req.body) ? req.body : req.body.entries).map((item, i) => ({
+        line: i + 1,
+        fields: item && typeof item === 'object' ? item : { value: String(item ?? '') }
+      }));
+    } else {
+      const input = typeof req.body === 'string' ? Readable.from([req.body]) : req;
+      items = watchlistService.readImport(input);
+    }
+
+    const summary = await watchlistService.importEntries(req.params.name, items, defaults);
+    if (!summary) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error('Error importing watchlist entries:', error);
+    res.status(400).json({ error: 'Failed to import watchlist entries', details: error.message });
+  }
+});
+
+// Allowlist entries (?active=true leaves out expired ones)
+app.get('/allowlist', async (req, res) => {
+  try {
+    res.json(await suppressionService.listAllowlist({ active: req.query.active === 'true' }));
+  } catch (error) {
+    console.error('Error fetching allowlist:', error);
+    res.status(500).json({ error: 'Failed to fetch allowlist' });
+  }
+});
+
+// Get a single allowlist entry
+app.get('/allowlist/:id', async (req, res) => {
+  try {
+    const entry = await suppressionService.getAllowlistEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching allowlist entry:', error);
+    res.status(500).json({ error: 'Failed to fetch allowlist entry' });
+  }
+});
+
+// Allowlist an indicator, CIDR or domain: { value, match_type, type, reason, created_by, expires_at }.
+// An entry for the same value is updated instead.
+app.post('/allowlist', async (req, res) => {
+  try {
+    const { entry, created } = await suppressionService.allow(req.body || {});
+    res.status(created ? 201 : 200).json(entry);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error adding allowlist entry:', error);
+    res.status(500).json({ error: 'Failed to add allowlist entry' });
+  }
+});
+
+// Update an allowlist entry; omitted fields keep their values
+app.put('/allowlist/:id', async (req, res) => {
+  try {
+    const entry = await suppressionService.updateAllowlistEntry(req.params.id, req.body || {});
+    if (!entry) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error updating allowlist entry:', error);
+    res.status(500).json({ error: 'Failed to update allowlist entry' });
+  }
+});
+
+app.delete('/allowlist/:id', async (req, res) => {
+  try {
+    const removed = await suppressionService.removeAllowlistEntry(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting allowlist entry:', error);
+    res.status(500).json({ error: 'Failed to delete allowlist entry' });
+  }
+});
+
+// Rule suppressions (?rule_id=port_scan_detection&active=true)
+app.get('/suppressions', async (req, res) => {
+  try {
+    res.json(await suppressionService.listSuppressions({
+      ruleId: req.query.rule_id,
+      active: req.query.active === 'true'
+    }));
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({ error: 'Failed to fetch suppressions' });
+  }
+});
+
+// What each allowlist entry and suppression has hidden (?since=ISO-8601)
+app.get('/suppressions/impact', async (req, res) => {
+  try {
+    res.json(await suppressionService.impact({ since: req.query.since }));
+  } catch (error) {
+    console.error('Error building suppression impact report:', error);
+    res.status(500).json({ error: 'Failed to build suppression impact report' });
+  }
+});
+
+// The matches one allowlist entry or suppression has hidden, newest first
+app.get('/suppressions/impact/:id', async (req, res) => {
+  try {
+    const hidden = await suppressionService.hidden(req.params.id, { limit: parseInt(req.query.limit) || 100 });
+    if (!hidden) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    res.json(hidden);
+  } catch (error) {
+    console.error('Error fetching suppressed matches:', error);
+    res.status(500).json({ error: 'Failed to fetch suppressed matches' });
+  }
+});
+
+// Get a single suppression
+app.get('/suppressions/:id', async (req, res) => {
+  try {
+    const suppression = await suppressionService.getSuppression(req.params.id);
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    res.json(suppression);
+  } catch (error) {
+    console.error('Error fetching suppression:', error);
+    res.status(500).json({ error: 'Failed to fetch suppression' });
+  }
+});
+
+// Suppress a rule: { rule_id, value, match_type, type, reason, created_by, expires_at }.
+// Without a value the rule is suppressed for every indicator.
+app.post('/suppressions', async (req, res) => {
+  try {
+    res.status(201).json(await suppressionService.suppress(req.body || {}));
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error adding suppression:', error);
+    res.status(500).json({ error: 'Failed to add suppression' });
+  }
+});
+
+// Update a suppression; omitted fields keep their values
+app.put('/suppressions/:id', async (req, res) => {
+  try {
+    const suppression = await suppressionService.updateSuppression(req.params.id, req.body || {});
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    res.json(suppression);
+  } catch (error) {
+    if (error.details) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error updating suppression:', error);
+    res.status(500).json({ error: 'Failed to update suppression' });
+  }
+});
+
+app.delete('/suppressions/:id', async (req, res) => {
+  try {
+    const removed = await suppressionService.removeSuppression(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting suppression:', error);
+    res.status(500).json({ error: 'Failed to delete suppression' });
+  }
+});
+
+// Upload a CSV or JSON-lines file and ingest it through a mapping profile.
+// The body is the raw file, e.g. Content-Type: text/csv or application/x-ndjson.
+app.post('/ingest/upload', async (req, res) => {
+  if (!req.query.profile) {
+    return res.status(400).json({ error: 'profile query parameter is required' });
+  }
+
+  try {
+    // text/plain bodies are already buffered by express.text
+    const input = typeof req.body === 'string' ? Readable.from([req.body]) : req;
+    const summary = await bulkUploadService.ingestStream(input, {
+      profileName: req.query.profile,
+      format: req.query.format,
+      source: req.source
+    });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error ingesting upload:', error);
+    res.status(400).json({ error: 'Failed to ingest upload', details: error.message });
+  }
+});
+
+// Ingest a Zeek conn/dns/http/ssl/files log (TSV or JSON lines) sent as the raw body
+app.post('/ingest/zeek', async (req, res) => {
+  if (req.query.log && !['conn', 'dns', 'http', 'ssl', 'files'].includes(req.query.log)) {
+    return res.status(400).json({ error: 'log must be one of conn, dns, http, ssl, files' });
+  }
+
+  try {
+    const input = typeof req.body === 'string' ? Readable.from([req.body]) : req;
+    const summary = await zeekParser.ingestStream(input, {
+      logType: req.query.log,
+      source: req.source || req.query.source || 'zeek'
+    });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error ingesting Zeek log:', error);
+    res.status(400).json({ error: 'Failed to ingest Zeek log', details: error.message });
+  }
+});
+
+// Ingest Suricata eve.json lines sent as the raw body
+app.post('/ingest/suricata', async (req, res) => {
+  try {
+    const input = typeof req.body === 'string' ? Readable.from([req.body]) : req;
+    const summary = await suricataParser.ingestStream(input, { source: req.source || req.query.source || 'suricata' });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error ingesting Suricata EVE log:', error);
+    res.status(400).json({ error: 'Failed to ingest Suricata EVE log', details: error.message });
+  }
+});
+
+// Ingest Sysmon / Windows Security events as XML, JSON or JSON lines
+app.post('/ingest/windows', async (req, res) => {
+  try {
+    const summary = await windowsEventParser.ingest(req.body, { source: req.source || req.query.source });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error ingesting Windows events:', error);
+    res.status(400).json({ error: 'Failed to ingest Windows events', details: error.message });
+  }
+});
+
+// Import a MISP event
+app.post('/import/misp', async (req, res) => {
+  try {
+    const summary = await mispConnector.importEvent(req.body, { source: req.source || req.query.source });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error importing MISP event:', error);
+    res.status(400).json({ error: 'Failed to import MISP event', details: error.message });
+  }
+});
+
+// Extract IOCs from free text (text/plain, or JSON { text }); ingest=true stores them
+app.post('/extract/iocs', async (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body.text;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Request body must be text, or JSON with a "text" field' });
+  }
+
+  const options = typeof req.body === 'object' ? { ...req.query, ...req.body } : req.query;
+  const ingest = options.ingest === true || ['true', '1'].includes(String(options.ingest));
+
+  try {
+    const { candidates, dropped } = iocExtractor.extract(text);
+    if (!ingest) {
+      return res.json({ candidates, dropped });
+    }
+
+    const settings = parseIocIngestOptions(options, req.source);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+    const results = await iocExtractor.ingest(candidates, settings);
+    res.json({ candidates, dropped, ingested: results });
+  } catch (error) {
+    console.error('Error extracting IOCs:', error);
+    res.status(500).json({ error: 'Failed to extract IOCs' });
+  }
+});
+
+// Ingest reviewed IOC candidates: { candidates: [{ type, value }], source, confidence }
+app.post('/extract/iocs/ingest', async (req, res) => {
+  if (!Array.isArray(req.body.candidates)) {
+    return res.status(400).json({ error: 'candidates must be an array' });
+  }
+
+  const settings = parseIocIngestOptions(req.body, req.source);
+  if (settings.error) {
+    return res.status(400).json({ error: settings.error });
+  }
+
+  try {
+    const results = await iocExtractor.ingest(req.body.candidates, settings);
+    res.json({
+      total: results.length,
+      successful: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    });
+  } catch (error) {
+    console.error('Error ingesting IOCs:', error);
+    res.status(500).json({ error: 'Failed to ingest IOCs' });
+  }
+});
+
+// Export indicators as a MISP event
+app.get('/export/misp', async (req, res) => {
+  try {
+    const event = await mispConnector.exportIndicators({
+      type: req.query.type,
+      minConfidence: req.query.min_confidence,
+      since: req.query.since,
+      limit: req.query.limit
+    });
+    res.json(event);
+  } catch (error) {
+    console.error('Error exporting MISP event:', error);
+    res.status(500).json({ error: 'Failed to export MISP event' });
+  }
+});
+
+// Export an alert's context as a MISP event
+app.get('/export/misp/alert/:id', async (req, res) => {
+  try {
+    const event = await mispConnector.exportAlert(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json(event);
+  } catch (error) {
+    console.error('Error exporting alert as MISP event:', error);
+    res.status(500).json({ error: 'Failed to export MISP event' });
+  }
+});
+
+// TAXII 2.1 helpers
+function sendTaxii(res, body, status = 200) {
+  res.status(status).type(TAXII_MEDIA_TYPE).send(JSON.stringify(body));
+}
+
+function sendTaxiiError(res, status, title, description) {
+  sendTaxii(res, { title, description, http_status: String(status) }, status);
+}
+
+async function resolveTaxiiCollection(req, res) {
+  const collection = await taxiiServer.getCollection(req.params.collectionId);
+  if (!collection) {
+    sendTaxiiError(res, 404, 'Collection not found', `No collection with id ${req.params.collectionId}`);
+  }
+  return collection;
+}
+
+function taxiiObjectOptions(req) {
+  return {
+    addedAfter: req.query.added_after,
+    limit: req.query.limit,
+    next: req.query.next
+  };
+}
+
+function setTaxiiDateHeaders(res, firstAdded, lastAdded) {
+  if (firstAdded) res.set('X-TAXII-Date-Added-First', firstAdded);
+  if (lastAdded) res.set('X-TAXII-Date-Added-Last', lastAdded);
+}
+
+// TAXII discovery
+app.get('/taxii2/', (req, res) => {
+  sendTaxii(res, taxiiServer.getDiscovery());
+});
+
+// TAXII API root
+app.get('/taxii2/api/', (req, res) => {
+  sendTaxii(res, taxiiServer.getApiRoot());
+});
+
+// TAXII collections
+app.get('/taxii2/api/collections/', async (req, res) => {
+  try {
+    sendTaxii(res, { collections: await taxiiServer.getCollections() });
+  } catch (error) {
+    console.error('Error fetching TAXII collections:', error);
+    sendTaxiiError(res, 500, 'Failed to fetch collections', error.message);
+  }
+});
+
+app.get('/taxii2/api/collections/:collectionId/', async (req, res) => {
+  try {
+    const collection = await resolveTaxiiCollection(req, res);
+    if (collection) sendTaxii(res, collection);
+  } catch (error) {
+    console.error('Error fetching TAXII collection:', error);
+    sendTaxiiError(res, 500, 'Failed to fetch collection', error.message);
+  }
+});
+
+// TAXII collection objects
+app.get('/taxii2/api/collections/:collectionId/objects/', async (req, res) => {
+  try {
+    const collection = await resolveTaxiiCollection(req, res);
+    if (!collection) return;
+
+    const { envelope, firstAdded, lastAdded } = await taxiiServer.getObjects(collection, taxiiObjectOptions(req));
+    setTaxiiDateHeaders(res, firstAdded, lastAdded);
+    sendTaxii(res, envelope);
+  } catch (error) {
+    console.error('Error fetching TAXII objects:', error);
+    sendTaxiiError(res, 500, 'Failed to fetch objects', error.message);
+  }
+});
+
+app.get('/taxii2/api/collections/:collectionId/objects/:objectId/', async (req, res) => {
+  try {
+    const collection = await resolveTaxiiCollection(req, res);
+    if (!collection) return;
+
+    const [, objectUuid] = req.params.objectId.split('--');
+    const { envelope, firstAdded, lastAdded } = await taxiiServer.getObjects(collection, {
+      ...taxiiObjectOptions(req),
+      matchId: objectUuid
+    });
+    const objects = (envelope.objects || []).filter(o => o.id === req.params.objectId);
+
+    if (objects.length === 0) {
+      return sendTaxiiError(res, 404, 'Object not found', `No object with id ${req.params.objectId}`);
+    }
+
+    setTaxiiDateHeaders(res, firstAdded, lastAdded);
+    sendTaxii(res, { more: false, objects: objects.slice(0, 1) });
+  } catch (error) {
+    console.error('Error fetching TAXII object:', error);
+    sendTaxiiError(res, 500, 'Failed to fetch object', error.message);
+  }
+});
+
+// TAXII collection manifest
+app.get('/taxii2/api/collections/:collectionId/manifest/', async (req, res) => {
+  try {
+    const collection = await resolveTaxiiCollection(req, res);
+    if (!collection) return;
+
+    const { envelope, firstAdded, lastAdded } = await taxiiServer.getManifest(collection, taxiiObjectOptions(req));
+    setTaxiiDateHeaders(res, firstAdded, lastAdded);
+    sendTaxii(res, envelope);
+  } catch (error) {
+    console.error('Error fetching TAXII manifest:', error);
+    sendTaxiiError(res, 500, 'Failed to fetch manifest', error.message);
+  }
+});
+
+// Get syslog listener status
+app.get('/syslog/listeners', (req, res) => {
+  res.json(syslogReceiver.getListeners());
+});
+
+// Start a syslog listener
+app.post('/syslog/listeners', async (req, res) => {
+  try {
+    const listener = await syslogReceiver.addListener(req.body);
+    res.status(201).json(listener);
+  } catch (error) {
+    console.error('Error starting syslog listener:', error);
+    res.status(400).json({ error: 'Failed to start syslog listener', details: error.message });
+  }
+});
+
+// Stop a syslog listener
+app.delete('/syslog/listeners/:id', async (req, res) => {
+  const removed = await syslogReceiver.removeListener(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Listener not found' });
+  }
+  res.json({ success: true });
+});
+
+// Source and confidence for IOCs ingested from free text
+function parseIocIngestOptions(options, authenticatedSource) {
+  const source = authenticatedSource || options.source;
+  if (typeof source !== 'string' || !source.trim()) {
+    return { error: 'source is required when ingesting IOCs' };
+  }
+
+  const rejection = sourceRegistry.check(source.trim());
+  if (rejection) {
+    return { error: rejection };
+  }
+
+  const confidence = options.confidence === undefined ? 0.5 : Number(options.confidence);
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    return { error: 'confidence must be between 0 and 1' };
+  }
+
+  return { source: source.trim(), confidence, reference: options.reference };
+}
+
+// X-API-Key identifies the sending source, and authenticated requests are
+// attributed to it whatever their events claim. Set SOURCE_REQUIRE_API_KEY=true
+// to refuse unauthenticated ingestion.
+async function authenticateSource(req, res, next) {
+  try {
+    await sourceRegistry.ensureLoaded();
+  } catch (error) {
+    return next(error);
+  }
+
+  const apiKey = req.get('X-API-Key');
+  if (!apiKey) {
+    return sourceRegistry.requireCredentials
+      ? res.status(401).json({ error: 'X-API-Key header is required' })
+      : next();
+  }
+
+  const source = sourceRegistry.authenticate(apiKey);
+  if (!source) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (!source.enabled) {
+    return res.status(403).json({ error: `Source "${source.name}" is disabled` });
+  }
+
+  req.source = source.name;
+  next();
+}
+
+// X-Admin-Key must match ADMIN_KEY; with no admin key configured the
+// configuration can only be read
+function requireAdmin(req, res, next) {
+  if (!sourceRegistry.adminKeyHash) {
+    return res.status(403).json({ error: 'Administration is disabled (set ADMIN_KEY)' });
+  }
+  if (!req.get('X-Admin-Key')) {
+    return res.status(401).json({ error: 'X-Admin-Key header is required' });
+  }
+  if (!sourceRegistry.isAdmin(req.get('X-Admin-Key'))) {
+    return res.status(403).json({ error: 'Invalid admin key' });
+  }
+  next();
+}
+
+// Stamp an authenticated source onto a queued event. Raw strings (CEF, LEEF)
+// are normalized first since there is no field to overwrite; one that does not
+// parse is queued as is and dead-lettered when processed.
+function attributeToSource(event, source) {
+  if (!source) return event;
+  if (event && typeof event === 'object' && !Array.isArray(event)) {
+    return { ...event, source };
+  }
+  try {
+    return { ...normalizer.normalizeEvent(event), source };
+  } catch (error) {
+    return event;
+  }
+}
+
+// Helper functions for database operations
+
+// Normalize and validate an event; invalid events are dead-lettered
+// and valid ones are weighted by source reliability and run through the enrichment pipeline
+async function normalizeAndValidate(rawEvent, authenticatedSource) {
+  await sourceRegistry.ensureLoaded();
+  let normalized;
+  try {
+    normalized = normalizer.normalizeEvent(rawEvent);
+  } catch (error) {
+    // Unparseable input is rejected like any other invalid event
+    const errors = validator.parseErrors(error);
+    return { normalized: null, errors, deadLetterId: await deadLetterQueue.add(rawEvent, null, errors) };
+  }
+  if (authenticatedSource) {
+    normalized.source = authenticatedSource;
+  }
+
+  const errors = validator.validate(normalized, rawEvent);
+  const deadLetterId = errors.length > 0
+    ? await deadLetterQueue.add(rawEvent, normalized, errors)
+    : null;
+  if (errors.length === 0) {
+    sourceRegistry.applyReliability(normalized);
+    await enrichmentPipeline.enrich(normalized);
+  }
+  return { normalized, errors, deadLetterId };
+}
+
+function storeAlert(indicatorId, ruleScore, mlScore, graphScore, riskResult, mitreStage) {
+  return new Promise((resolve, reject) => {
+    const id = uuidv4();
+    
+    db.run(
+      `INSERT INTO alerts 
+       (id, indicator_id, rule_score, ml_score, graph_score, final_risk_score, severity, mitre_stage, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        indicatorId,
+        ruleScore.score,
+        mlScore.score,
+        graphScore.score,
+        riskResult.final_score,
+        riskResult.severity,
+        mitreStage,
+        new Date().toISOString()
+      ],
+      (err) => {
+        if (err) return reject(err);
+        resolve(id);
+      }
+    );
+  });
+}
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Internal server error', details: err.message });
+});
+
+// Start server
+app.listen(PORT, '0.0.0.0', () => {
+  console.log('==============================================');
+  console.log('  ThreatSim Intelligence Engine - Backend');
+  console.log('==============================================');
+  console.log(`Server running on http://0.0.0.0:${PORT}`);
+  console.log(`Health check: http://0.0.0.0:${PORT}/health`);
+  console.log('==============================================');
+  
+  // Load the event taxonomy (seeded with defaults on first run)
+  taxonomy.load().catch(error => console.error('Error loading event taxonomy:', error));
+
+  // Load the source registry (seeded with the bundled parsers and feeds on first run)
+  sourceRegistry.ensureLoaded().catch(error => console.error('Error loading source registry:', error));
+
+  // Load the asset inventory used to classify addresses and weight risk
+  assetInventory.ensureLoaded().catch(error => console.error('Error loading asset inventory:', error));
+
+  // Index the watchlists matched during feature extraction
+  watchlistService.ensureLoaded().catch(error => console.error('Error loading watchlists:', error));
+
+  // Load the allowlist and rule suppressions applied before alerts are raised
+  suppressionService.ensureLoaded().catch(error => console.error('Error loading suppressions:', error));
+
+  // Load the offline GeoIP database (GEOIP_DATABASE); it is reloaded when the file changes
+  geoIp.load().catch(error => console.error('Error loading GeoIP database:', error));
+
+  // Load the offline ASN database (ASN_DATABASE), watched the same way
+  asnService.load().catch(error => console.error('Error loading ASN database:', error));
+
+  // Load the offline WHOIS/RDAP dump (WHOIS_DATABASE), watched the same way
+  whoisService.load().catch(error => console.error('Error loading WHOIS database:', error));
+
+  // Start syslog listeners configured via SYSLOG_PORT / SYSLOG_LISTENERS
+  syslogReceiver.start();
+
+  // Schedule blocklist feed pulls (definitions from the API or FEED_DEFINITIONS)
+  feedScheduler.start().catch(error => console.error('Error starting feed scheduler:', error));
+  
+  // Generate some sample data on startup
+  setTimeout(() => {
+    console.log('Generating sample threat data...');
+    generateSampleData();
+  }, 2000);
+});
+
+// Generate sample threat data
+async function generateSampleData() {
+  const sampleEvents = [
+    {
+      indicator_type: 'IP',
+      indicator_value: '192.168.1.100',
+      event_type: 'failed_login',
+      timestamp: new Date().toISOString(),
+      source: 'auth_log',
+      metadata: { port: 22, geo: 'RU', attempts: 350 }
+    },
+    {
+      indicator_type: 'IP',
+      indicator_value: '10.0.0.50',
+      event_type: 'port_scan',
+      timestamp: new Date().toISOString(),
+      source: 'firewall',
+      metadata: { port: 445, geo: 'CN', attempts: 500 }
+    },
+    {
+      indicator_type: 'Domain',
+      indicator_value: 'malicious-c2.example.com',
+      event_type: 'dns_beacon',
+      timestamp: new Date().toISOString(),
+      source: 'dns_log',
+      metadata: { geo: 'US', attempts: 120 }
+    },
+    {
+      indicator_type: 'IP',
+      indicator_value: '172.16.0.25',
+      event_type: 'data_exfiltration',
+      timestamp: new Date().toISOString(),
+      source: 'netflow',
+      metadata: { port: 443, geo: 'KP', payload_size: 50000000 }
+    },
+    {
+      indicator_type: 'Hash',
+      indicator_value: 'a3f5e9c8d1b2f4e6c7a8b9d0e1f2a3b4',
+      event_type: 'malware_execution',
+      timestamp: new Date().toISOString(),
+      source: 'edr',
+      metadata: { geo: 'IR' }
+    }
+  ];
+  
+  for (const event of sampleEvents) {
+    try {
+      const normalized = ingestionService.normalizeEvent(event);
+      const features = await featureExtractor.extractFeatures(normalized);
+      const indicatorId = await ingestionService.storeIndicator(normalized);
+      const eventId = await ingestionService.storeEvent(normalized, indicatorId);
+      
+      // Scored like /analyze, so allowlists and suppressions apply to sample data too
+      const ruleScore = await suppressionService.apply(normalized, await ruleEngine.evaluate(normalized, features));
+      const mlScore = await mlEngine.detectAnomaly(features);
+      const graphScore = await graphEngine.calculateRisk(normalized, indicatorId);
+      const riskResult = suppressionService.adjustRisk(
+        ruleScore,
+        assetInventory.weightRisk(riskAggregator.aggregate(ruleScore, mlScore, graphScore), normalized)
+      );
+      const mitreStage = mitreMapper.mapEventToMitre(normalized);
+      
+      const alertSuppressed = suppressionService.suppressesAlert(ruleScore);
+      if (!alertSuppressed) {
+        await storeAlert(indicatorId, ruleScore, mlScore, graphScore, riskResult, mitreStage);
+      }
+      await suppressionService.record(normalized, { indicatorId, eventId, ruleScore, riskResult, alertSuppressed });
       await graphEngine.updateGraph(normalized, indicatorId);
       
-      console.log(`✓ Generated alert for ${event.indicator_value}`);
+      console.log(alertSuppressed
+        ? `✓ Alert for ${event.indicator_value} suppressed`
+        : `✓ Generated alert for ${event.indicator_value}`);
     } catch (error) {
       console.error(`✗ Error generating sample for ${event.indicator_value}:`, error.message);
     }
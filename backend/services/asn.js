@@ -0,0 +1,108 @@
+import db from '../db.js';
+import IpDatabase from './ipDatabase.js';
+import graphEngine from '../engines/graphEngine.js';
+
+/**
+ * Offline ASN lookups from ASN_DATABASE: a GeoLite2-ASN style .mmdb file, or
+ * a CSV/TSV of IP ranges such as iptoasn.com's ip2asn (start, end, ASN,
+ * country, description). Each IP indicator is tied to its ASN in the
+ * indicator_asns table and in the graph (ip belongs_to asn).
+ */
+class AsnService {
+  constructor() {
+    this.database = new IpDatabase({
+      name: 'ASN',
+      columns: {
+        asn: ['asn', 'as_number', 'autonomous_system_number', 'as'],
+        as_org: ['as_org', 'as_name', 'as_description', 'organization', 'autonomous_system_organization', 'org']
+      },
+      defaultColumns: (process.env.ASN_CSV_COLUMNS || 'start_ip,end_ip,asn,country,as_org')
+        .split(',')
+        .map(column => column.trim()),
+      fromRecord: record => this.toResult(record.autonomous_system_number, record.autonomous_system_organization),
+      fromRow: row => this.toResult(row.asn, row.as_org),
+      cacheSize: parseInt(process.env.ASN_CACHE_SIZE) || 10000,
+      watchIntervalMs: parseInt(process.env.ASN_WATCH_INTERVAL_MS) || 30000
+    });
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  async load(filePath = process.env.ASN_DATABASE) {
+    if (!filePath) {
+      console.log('ASN enrichment disabled (set ASN_DATABASE to an .mmdb or CSV file)');
+      return;
+    }
+    await this.database.load(filePath);
+    console.log(`ASN database loaded from ${filePath}`);
+  }
+
+  reload() {
+    if (!this.database.filePath) {
+      return Promise.reject(new Error('No ASN database is configured'));
+    }
+    return this.database.open(this.database.filePath);
+  }
+
+  lookup(ip) {
+    return this.database.lookup(ip);
+  }
+
+  /**
+   * Add a looked-up asn and as_org to an IP indicator's metadata
+   */
+  apply(metadata, result) {
+    metadata.asn = result.asn;
+    if (result.as_org) metadata.as_org = result.as_org;
+  }
+
+  /**
+   * Record a stored indicator's ASN membership and its belongs_to edge
+   */
+  async link(event, indicatorId) {
+    const asn = event.metadata?.asn;
+    if (!asn || !indicatorId) return;
+
+    await this.run(
+      `INSERT INTO indicator_asns (indicator_id, asn, as_org, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(indicator_id) DO UPDATE SET
+         asn = excluded.asn,
+         as_org = excluded.as_org,
+         updated_at = excluded.updated_at`,
+      [indicatorId, asn, event.metadata.as_org || null, new Date().toISOString()]
+    );
+
+    const ipNode = await graphEngine.addNode(event.indicator_value, 'IP');
+    const asnNode = await graphEngine.addNode(`AS${asn}`, 'asn');
+    await graphEngine.addEdgeOnce(ipNode, asnNode, 'belongs_to', 1.0);
+  }
+
+  status() {
+    return this.database.status();
+  }
+
+  stop() {
+    this.database.unwatch();
+  }
+
+  toResult(asnValue, organization) {
+    const asn = parseInt(String(asnValue ?? '').replace(/^AS/i, ''));
+    // ip2asn marks unrouted space as AS0
+    if (!Number.isFinite(asn) || asn <= 0) return null;
+
+    const org = typeof organization === 'string' && organization.trim() && organization !== 'Not routed'
+      ? organization.trim()
+      : null;
+    return org ? { asn, as_org: org } : { asn };
+  }
+}
+
+export default new AsnService();
@@ -0,0 +1,453 @@
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import indicatorParser from './indicators.js';
+import { parseCSVRow } from './csv.js';
+
+// Special-purpose ranges (RFC 6890), most specific first where they overlap
+const SPECIAL_RANGES = [
+  ['10.0.0.0/8', 'private'],
+  ['172.16.0.0/12', 'private'],
+  ['192.168.0.0/16', 'private'],
+  ['fc00::/7', 'private'],
+  ['100.64.0.0/10', 'shared'],
+  ['127.0.0.0/8', 'loopback'],
+  ['::1/128', 'loopback'],
+  ['169.254.0.0/16', 'link_local'],
+  ['fe80::/10', 'link_local'],
+  ['192.0.2.0/24', 'documentation'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['2001:db8::/32', 'documentation'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['0.0.0.0/8', 'unspecified'],
+  ['::/128', 'unspecified'],
+  ['224.0.0.0/4', 'multicast'],
+  ['ff00::/8', 'multicast'],
+  ['255.255.255.255/32', 'broadcast'],
+  ['192.0.0.0/24', 'reserved'],
+  ['240.0.0.0/4', 'reserved']
+];
+
+// Special ranges that address hosts on our own side of the perimeter
+const INTERNAL_CATEGORIES = ['private', 'shared', 'loopback', 'link_local'];
+
+const CRITICALITIES = ['low', 'medium', 'high', 'critical'];
+
+// Multiplier applied to the risk of alerts involving an asset of each criticality
+const CRITICALITY_WEIGHTS = {
+  low: 0.75,
+  medium: 1.0,
+  high: 1.25,
+  critical: 1.5
+};
+
+const DIRECTIONS = ['inbound', 'outbound', 'lateral'];
+
+// Metadata fields parsers use for the two ends of a connection
+const SOURCE_ADDRESS_FIELDS = ['src', 'src_ip', 'source_ip', 'orig_h', 'source_address'];
+const DESTINATION_ADDRESS_FIELDS = ['dst', 'dest_ip', 'dst_ip', 'destination_ip', 'resp_h', 'destination_address'];
+
+// CSV import header names for each asset field
+const CSV_COLUMNS = {
+  address: ['address', 'ip', 'ip_address', 'cidr', 'subnet', 'network'],
+  hostname: ['hostname', 'host', 'fqdn'],
+  name: ['name', 'asset', 'asset_name'],
+  owner: ['owner', 'team', 'contact'],
+  criticality: ['criticality', 'business_criticality', 'tier'],
+  description: ['description', 'notes']
+};
+
+const SEVERITY_THRESHOLDS = [
+  [80, 'Critical'],
+  [60, 'High'],
+  [40, 'Medium']
+];
+
+/**
+ * Inventory of internal hosts and subnets, and classification of addresses as
+ * internal, external or reserved. Like the source registry, the inventory is
+ * held in memory so events can be classified synchronously during enrichment.
+ *
+ * Besides inventory subnets and the private ranges, INTERNAL_NETWORKS (a comma
+ * separated list of CIDRs) marks public space the organisation owns as internal.
+ */
+class AssetInventory {
+  constructor() {
+    this.assets = [];
+    this.loaded = false;
+    this.loading = null;
+    this.internalNetworks = (process.env.INTERNAL_NETWORKS || '')
+      .split(',')
+      .map(cidr => indicatorParser.canonicalize('cidr', cidr.trim()))
+      .filter(Boolean)
+      .map(cidr => cidr.value);
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async load() {
+    const rows = await this.all('SELECT * FROM assets');
+    // Hosts before subnets, then longest prefix first, so the first match is the most specific
+    this.assets = rows
+      .map(row => ({ ...row, prefix: row.kind === 'subnet' ? parseInt(row.address.split('/')[1]) : Infinity }))
+      .sort((a, b) => b.prefix - a.prefix);
+    this.loaded = true;
+  }
+
+  ensureLoaded() {
+    if (this.loaded) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * The most specific inventory entry covering an address, or null
+   */
+  match(ip) {
+    return this.assets.find(asset =>
+      asset.kind === 'host' ? asset.address === ip : indicatorParser.cidrContains(asset.address, ip)
+    ) || null;
+  }
+
+  /**
+   * Classify an address: { address, scope, category, asset }. Scope is
+   * internal, external or reserved (documentation, multicast and the like);
+   * null when the value is not an IP address.
+   */
+  classify(value) {
+    const ip = indicatorParser.canonicalize('IP', String(value ?? ''));
+    if (!ip || ip.type !== 'IP') return null;
+
+    const address = ip.value;
+    const special = SPECIAL_RANGES.find(([cidr]) => indicatorParser.cidrContains(cidr, address));
+    const category = special ? special[1] : 'public';
+    const asset = this.match(address);
+
+    let scope;
+    if (asset || INTERNAL_CATEGORIES.includes(category) ||
+        this.internalNetworks.some(cidr => indicatorParser.cidrContains(cidr, address))) {
+      scope = 'internal';
+    } else {
+      scope = category === 'public' ? 'external' : 'reserved';
+    }
+
+    return { address, scope, category, asset: asset ? this.toPublic(asset) : null };
+  }
+
+  isInternal(value) {
+    return this.classify(value)?.scope === 'internal';
+  }
+
+  /**
+   * Direction of traffic between two classified ends, or null when either end
+   * is unknown or reserved, or both are external
+   */
+  direction(source, destination) {
+    if (!source || !destination) return null;
+    if (source.scope === 'internal' && destination.scope === 'internal') return 'lateral';
+    if (source.scope === 'external' && destination.scope === 'internal') return 'inbound';
+    if (source.scope === 'internal' && destination.scope === 'external') return 'outbound';
+    return null;
+  }
+
+  /**
+   * Describe where an event sits: the indicator's address scope, the traffic
+   * direction and the most critical inventory asset involved. A valid direction
+   * supplied by the sender is kept. When only one end of a connection is named,
+   * an IP indicator that differs from it is taken as the other end.
+   */
+  describe(event) {
+    const metadata = event.metadata || {};
+    const isIP = indicatorParser.resolveType(event.indicator_type) === 'IP';
+    const indicator = isIP ? this.classify(event.indicator_value) : null;
+
+    let sourceAddress = SOURCE_ADDRESS_FIELDS.map(field => metadata[field]).find(Boolean) || null;
+    let destinationAddress = DESTINATION_ADDRESS_FIELDS.map(field => metadata[field]).find(Boolean) || null;
+    if (indicator) {
+      if (sourceAddress && !destinationAddress && sourceAddress !== indicator.address) {
+        destinationAddress = indicator.address;
+      } else if (destinationAddress && !sourceAddress && destinationAddress !== indicator.address) {
+        sourceAddress = indicator.address;
+      }
+    }
+
+    const source = sourceAddress ? this.classify(sourceAddress) : null;
+    const destination = destinationAddress ? this.classify(destinationAddress) : null;
+
+    const supplied = typeof metadata.direction === 'string' ? metadata.direction.toLowerCase() : null;
+    const asset = [indicator, source, destination]
+      .map(end => end?.asset)
+      .filter(Boolean)
+      .sort((a, b) => CRITICALITY_WEIGHTS[b.criticality] - CRITICALITY_WEIGHTS[a.criticality])[0];
+
+    return {
+      address_scope: indicator?.scope || null,
+      address_category: indicator?.category || null,
+      direction: DIRECTIONS.includes(supplied) ? supplied : this.direction(source, destination),
+      asset: asset
+        ? { id: asset.id, name: asset.name, address: asset.address, criticality: asset.criticality }
+        : null
+    };
+  }
+
+  /**
+   * Write a description from describe() into event metadata
+   */
+  apply(metadata, description) {
+    if (description.address_scope) {
+      metadata.address_scope = description.address_scope;
+      metadata.address_category = description.address_category;
+    }
+    if (description.direction) metadata.direction = description.direction;
+    else delete metadata.direction;
+    if (description.asset) metadata.asset = description.asset;
+  }
+
+  /**
+   * Scale an aggregated risk result by the criticality of the internal asset
+   * the event involves, re-deriving its severity from the weighted score
+   */
+  weightRisk(riskResult, event) {
+    const criticality = event.metadata?.asset?.criticality;
+    const weight = CRITICALITY_WEIGHTS[criticality];
+    if (!weight || weight === 1.0) return riskResult;
+
+    const finalScore = Math.min(100, Math.round(riskResult.final_score * weight));
+    const severity = SEVERITY_THRESHOLDS.find(([threshold]) => finalScore >= threshold)?.[1] || 'Low';
+    return {
+      ...riskResult,
+      final_score: finalScore,
+      severity,
+      unweighted_score: riskResult.final_score,
+      asset_criticality: criticality,
+      criticality_weight: weight
+    };
+  }
+
+  toPublic(asset) {
+    if (!asset) return null;
+    const { prefix, ...rest } = asset;
+    return { ...rest, criticality_weight: CRITICALITY_WEIGHTS[asset.criticality] };
+  }
+
+  async list({ kind, owner, criticality } = {}) {
+    await this.ensureLoaded();
+    return this.assets
+      .filter(asset => !kind || asset.kind === kind)
+      .filter(asset => !owner || asset.owner === owner)
+      .filter(asset => !criticality || asset.criticality === criticality)
+      .sort((a, b) => a.address.localeCompare(b.address))
+      .map(asset => this.toPublic(asset));
+  }
+
+  async get(id) {
+    await this.ensureLoaded();
+    return this.toPublic(this.assets.find(asset => asset.id === id));
+  }
+
+  /**
+   * Check asset fields and resolve the address to a host or subnet.
+   * Returns { asset, errors }.
+   */
+  validate(fields, existing = null) {
+    const errors = [];
+    const asset = {
+      kind: existing?.kind,
+      address: existing?.address,
+      hostname: existing?.hostname ?? null,
+      name: existing?.name ?? null,
+      owner: existing?.owner ?? null,
+      criticality: existing?.criticality || 'medium',
+      description: existing?.description ?? null
+    };
+
+    if (fields.address !== undefined || !existing) {
+      const text = String(fields.address ?? '').trim();
+      const parsed = text.includes('/')
+        ? indicatorParser.canonicalize('cidr', text)
+        : indicatorParser.canonicalize('IP', text);
+
+      if (!parsed || !['IP', 'cidr'].includes(parsed.type)) {
+        errors.push('address must be an IP address or a CIDR range');
+      } else if (parsed.type === 'cidr' && parsed.attributes.prefix === (parsed.attributes.ip_version === 4 ? 32 : 128)) {
+        asset.kind = 'host';
+        asset.address = parsed.value.split('/')[0];
+      } else {
+        asset.kind = parsed.type === 'IP' ? 'host' : 'subnet';
+        asset.address = parsed.value;
+      }
+    }
+
+    if (fields.criticality !== undefined) {
+      const criticality = String(fields.criticality).trim().toLowerCase();
+      if (!CRITICALITIES.includes(criticality)) {
+        errors.push(`criticality must be one of: ${CRITICALITIES.join(', ')}`);
+      }
+      asset.criticality = criticality;
+    }
+
+    if (fields.hostname !== undefined) {
+      const hostname = String(fields.hostname || '').trim().toLowerCase();
+      if (hostname.length > 253) errors.push('hostname must be at most 253 characters');
+      asset.hostname = hostname || null;
+    }
+
+    ['name', 'owner', 'description'].forEach(field => {
+      if (fields[field] !== undefined) {
+        asset[field] = String(fields[field] || '').trim() || null;
+      }
+    });
+
+    return { asset, errors };
+  }
+
+  /**
+   * Create an asset, or update the one with the same address
+   */
+  async create(fields = {}) {
+    await this.ensureLoaded();
+    const { asset, errors } = this.validate(fields);
+    if (errors.length > 0) {
+      const error = new Error('Invalid asset');
+      error.details = errors;
+      throw error;
+    }
+
+    const existing = this.assets.find(entry => entry.address === asset.address);
+    return existing ? this.update(existing.id, fields) : this.insert(asset);
+  }
+
+  async insert(asset) {
+    const id = await this.insertRow(asset);
+    await this.load();
+    return this.get(id);
+  }
+
+  async insertRow(asset) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO assets (id, kind, address, hostname, name, owner, criticality, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, asset.kind, asset.address, asset.hostname, asset.name, asset.owner, asset.criticality, asset.description, now, now]
+    );
+    return id;
+  }
+
+  updateRow(id, asset) {
+    return this.run(
+      `UPDATE assets
+       SET kind = ?, address = ?, hostname = ?, name = ?, owner = ?, criticality = ?, description = ?, updated_at = ?
+       WHERE id = ?`,
+      [asset.kind, asset.address, asset.hostname, asset.name, asset.owner, asset.criticality, asset.description,
+        new Date().toISOString(), id]
+    );
+  }
+
+  /**
+   * Update an asset; omitted fields keep their current values. Resolves to
+   * null when the asset does not exist.
+   */
+  async update(id, fields = {}) {
+    await this.ensureLoaded();
+    const existing = this.assets.find(asset => asset.id === id);
+    if (!existing) return null;
+
+    const { asset, errors } = this.validate(fields, existing);
+    const conflict = this.assets.find(entry => entry.address === asset.address && entry.id !== id);
+    if (conflict) errors.push(`address ${asset.address} is already in the inventory`);
+    if (errors.length > 0) {
+      const error = new Error('Invalid asset');
+      error.details = errors;
+      throw error;
+    }
+
+    await this.updateRow(id, asset);
+    await this.load();
+    return this.get(id);
+  }
+
+  async remove(id) {
+    const result = await this.run('DELETE FROM assets WHERE id = ?', [id]);
+    if (result.changes > 0) await this.load();
+    return result.changes > 0;
+  }
+
+  /**
+   * Import assets from a CSV stream with a header row naming the columns
+   * (address is required). Rows for addresses already in the inventory update
+   * them. Resolves to counts and the rows that failed validation.
+   */
+  async importCSV(input) {
+    await this.ensureLoaded();
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const summary = { created: 0, updated: 0, failed: 0, errors: [] };
+    // Rows by address, including those imported earlier in this file
+    const known = new Map(this.assets.map(asset => [asset.address, asset]));
+    let fields = null;
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim() || line.startsWith('#')) continue;
+
+      const values = parseCSVRow(line).map(value => value.trim());
+      if (!fields) {
+        fields = values.map(value =>
+          Object.keys(CSV_COLUMNS).find(field => CSV_COLUMNS[field].includes(value.toLowerCase())) || null
+        );
+        if (!fields.includes('address')) {
+          throw new Error('CSV header must include an address column');
+        }
+        continue;
+      }
+
+      const row = {};
+      fields.forEach((field, i) => {
+        if (field && values[i] !== undefined && values[i] !== '') row[field] = values[i];
+      });
+
+      const existing = known.get(this.validate(row).asset.address);
+      const { asset, errors } = this.validate(row, existing);
+      if (errors.length > 0) {
+        summary.failed++;
+        summary.errors.push({ line: lineNumber, errors });
+        continue;
+      }
+
+      if (existing) {
+        await this.updateRow(existing.id, asset);
+        known.set(asset.address, { ...existing, ...asset });
+        summary.updated++;
+      } else {
+        const id = await this.insertRow(asset);
+        known.set(asset.address, { ...asset, id });
+        summary.created++;
+      }
+    }
+
+    await this.load();
+    return summary;
+  }
+}
+
+export default new AssetInventory();
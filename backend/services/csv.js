@@ -0,0 +1,33 @@
+/**
+ * Split one CSV row; quoted fields may contain commas and "" escapes
+ */
+export function parseCSVRow(row) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+
+    if (quoted) {
+      if (char === '"' && row[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current);
+  return values;
+}
@@ -0,0 +1,139 @@
+import db from '../db.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const STATUSES = ['pending', 'replayed', 'discarded'];
+
+class DeadLetterQueue {
+  /**
+   * Store a rejected event with its raw payload and validation errors
+   */
+  add(rawEvent, normalizedEvent, errors) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const source = (typeof rawEvent === 'object' && rawEvent?.source) || normalizedEvent?.source || null;
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO dead_letters
+         (id, source, raw_payload, normalized, errors, status, replay_count, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)`,
+        [
+          id,
+          source,
+          JSON.stringify(rawEvent),
+          normalizedEvent ? JSON.stringify(normalizedEvent) : null,
+          JSON.stringify(errors),
+          now,
+          now
+        ],
+        (err) => {
+          if (err) reject(err);
+          else resolve(id);
+        }
+      );
+    });
+  }
+
+  list({ status, source, limit, offset } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (source) {
+      conditions.push('source = ?');
+      params.push(source);
+    }
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM dead_letters
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY created_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, parseInt(limit) || 100, parseInt(offset) || 0],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve((rows || []).map(row => this.fromRow(row)));
+        }
+      );
+    });
+  }
+
+  get(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM dead_letters WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? this.fromRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Counts per status, for monitoring
+   */
+  stats() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT status, COUNT(*) as count FROM dead_letters GROUP BY status', [], (err, rows) => {
+        if (err) return reject(err);
+        const stats = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        (rows || []).forEach(row => {
+          stats[row.status] = row.count;
+        });
+        resolve(stats);
+      });
+    });
+  }
+
+  /**
+   * Record the outcome of a replay attempt. A corrected payload replaces the stored one.
+   */
+  markReplay(id, { success, rawEvent, errors }) {
+    const now = new Date().toISOString();
+    const sets = ['replay_count = replay_count + 1', 'updated_at = ?'];
+    const params = [now];
+
+    if (rawEvent !== undefined) {
+      sets.push('raw_payload = ?');
+      params.push(JSON.stringify(rawEvent));
+    }
+    if (success) {
+      sets.push("status = 'replayed'");
+    } else if (errors) {
+      sets.push('errors = ?');
+      params.push(JSON.stringify(errors));
+    }
+
+    return this.update(id, sets, params);
+  }
+
+  discard(id) {
+    return this.update(id, ["status = 'discarded'", 'updated_at = ?'], [new Date().toISOString()]);
+  }
+
+  update(id, sets, params) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE dead_letters SET ${sets.join(', ')} WHERE id = ?`,
+        [...params, id],
+        function (err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  fromRow(row) {
+    return {
+      ...row,
+      raw_payload: JSON.parse(row.raw_payload),
+      normalized: row.normalized ? JSON.parse(row.normalized) : null,
+      errors: JSON.parse(row.errors)
+    };
+  }
+}
+
+export default new DeadLetterQueue();
@@ -0,0 +1,476 @@
+import db from '../db.js';
+import indicatorParser from './indicators.js';
+import geoIp from './geoip.js';
+import asnService from './asn.js';
+import whoisService from './whois.js';
+import assetInventory from './assets.js';
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Enrichment pipeline. Enrichers register for the indicator types they handle
+ * ('*' for all) and are described by:
+ *
+ *   {
+ *     name: 'geoip',
+ *     types: ['IP'],
+ *     ttlSeconds: 86400,           // how long a lookup is cached; 0 disables caching
+ *     timeoutMs: 1000,             // the event moves on without the result after this
+ *     lookup: event => result,     // may be async; null/undefined when there is no data
+ *     apply: (metadata, result) => {},        // writes the result into event metadata
+ *     link: async (event, indicatorId) => {}, // optional, once the indicator is stored
+ *     source: () => 'GeoLite2-City.mmdb',     // optional provenance shown with results
+ *     version: () => loadedAt                 // optional, identifies the data lookups read
+ *   }
+ *
+ * Lookups for an event run concurrently, with at most ENRICHMENT_CONCURRENCY
+ * in flight across all events, and results are applied in registration order.
+ * Each enricher's outcome is recorded under metadata.enrichment with its
+ * status and timestamps. Slow or failing enrichers are logged and skipped;
+ * they never fail ingestion. ENRICHMENT_<NAME>_TTL and ENRICHMENT_<NAME>_TIMEOUT_MS
+ * override an enricher's defaults.
+ *
+ * Results are cached per data version, so reloading a database retires what
+ * was cached from the old one; while version() returns null (the database has
+ * not loaded yet) nothing is cached.
+ */
+class EnrichmentPipeline {
+  constructor() {
+    this.enrichers = new Map();
+    this.cache = new Map();
+    this.cacheSize = parseInt(process.env.ENRICHMENT_CACHE_SIZE) || 50000;
+    this.concurrency = parseInt(process.env.ENRICHMENT_CONCURRENCY) || 8;
+    this.active = 0;
+    this.waiting = [];
+    // Lookups that timed out and gave up their slot but have not returned yet
+    this.abandoned = 0;
+  }
+
+  register({ name, types = ['*'], ttlSeconds = DEFAULT_TTL_SECONDS, timeoutMs = DEFAULT_TIMEOUT_MS, lookup, apply, link, source, version }) {
+    if (!/^[a-z][a-z0-9_]*$/.test(name || '')) {
+      throw new Error('Enricher names must be lowercase letters, digits and "_"');
+    }
+    if (typeof lookup !== 'function' || typeof apply !== 'function') {
+      throw new Error(`Enricher "${name}" needs lookup and apply functions`);
+    }
+
+    const envPrefix = `ENRICHMENT_${name.toUpperCase()}`;
+    const envTtl = parseInt(process.env[`${envPrefix}_TTL`]);
+    const envTimeout = parseInt(process.env[`${envPrefix}_TIMEOUT_MS`]);
+
+    this.enrichers.set(name, {
+      name,
+      types: types.map(type => (type === '*' ? '*' : indicatorParser.resolveType(type) || type)),
+      ttlSeconds: Number.isFinite(envTtl) ? envTtl : ttlSeconds,
+      timeoutMs: Number.isFinite(envTimeout) ? envTimeout : timeoutMs,
+      lookup,
+      apply,
+      link,
+      source,
+      version,
+      stats: { runs: 0, cache_hits: 0, enriched: 0, no_data: 0, timeouts: 0, errors: 0, total_ms: 0 }
+    });
+    this.clearCache(name);
+  }
+
+  unregister(name) {
+    this.clearCache(name);
+    return this.enrichers.delete(name);
+  }
+
+  /**
+   * Enrichers that handle the event's indicator type, optionally limited to `only`
+   */
+  applicable(event, only = null) {
+    const type = indicatorParser.resolveType(event.indicator_type) || event.indicator_type;
+    return Array.from(this.enrichers.values()).filter(enricher =>
+      (enricher.types.includes('*') || enricher.types.includes(type)) &&
+      (!only || only.includes(enricher.name))
+    );
+  }
+
+  /**
+   * Run the applicable enrichers on an event and write their results and
+   * provenance into its metadata. `force` bypasses the cache.
+   */
+  async enrich(event, { force = false, only = null } = {}) {
+    const metadata = event.metadata || (event.metadata = {});
+    const enrichers = this.applicable(event, only);
+    if (enrichers.length === 0) return event;
+
+    const outcomes = await Promise.all(enrichers.map(enricher => this.run(enricher, event, force)));
+    const provenance = { ...(metadata.enrichment || {}) };
+
+    outcomes.forEach(({ enricher, result, record }) => {
+      if (result !== null && result !== undefined) {
+        try {
+          enricher.apply(metadata, result);
+        } catch (error) {
+          console.error(`Error applying ${enricher.name} enrichment:`, error.message);
+          record.status = 'error';
+          record.error = error.message;
+        }
+      }
+      provenance[enricher.name] = record;
+    });
+
+    metadata.enrichment = provenance;
+    return event;
+  }
+
+  /**
+   * One enricher's lookup for an event: { enricher, result, record }, where
+   * record is the provenance entry. Never rejects.
+   */
+  async run(enricher, event, force) {
+    const stats = enricher.stats;
+    const key = this.cacheKey(enricher, event);
+    const source = this.sourceOf(enricher);
+    stats.runs++;
+
+    const cached = key && !force ? this.cacheGet(key) : null;
+    if (cached) {
+      stats.cache_hits++;
+      return {
+        enricher,
+        result: cached.result,
+        record: {
+          status: cached.result === null ? 'no_data' : 'enriched',
+          source,
+          enriched_at: cached.enrichedAt,
+          expires_at: cached.expiresAt,
+          cached: true
+        }
+      };
+    }
+
+    const started = Date.now();
+    try {
+      const result = await this.lookupWithTimeout(enricher, event, key);
+      const duration = Date.now() - started;
+      stats.total_ms += duration;
+      stats[result === null ? 'no_data' : 'enriched']++;
+
+      return {
+        enricher,
+        result,
+        record: {
+          status: result === null ? 'no_data' : 'enriched',
+          source,
+          enriched_at: new Date(started).toISOString(),
+          expires_at: key ? new Date(started + enricher.ttlSeconds * 1000).toISOString() : null,
+          cached: false,
+          duration_ms: duration
+        }
+      };
+    } catch (error) {
+      const duration = Date.now() - started;
+      const timedOut = error.code === 'ENRICHMENT_TIMEOUT';
+      stats.total_ms += duration;
+      stats[timedOut ? 'timeouts' : 'errors']++;
+      console.warn(
+        `Enricher ${enricher.name} ${timedOut ? 'timed out' : 'failed'} on ${event.indicator_type} ` +
+        `${event.indicator_value}: ${error.message}`
+      );
+
+      return {
+        enricher,
+        result: null,
+        record: {
+          status: timedOut ? 'timeout' : 'error',
+          source,
+          attempted_at: new Date(started).toISOString(),
+          duration_ms: duration,
+          error: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Cache key for an enricher's lookup, or null when the result must not be
+   * cached: caching is off, or the enricher's data is not loaded
+   */
+  cacheKey(enricher, event) {
+    if (enricher.ttlSeconds <= 0) return null;
+
+    let version = '';
+    if (enricher.version) {
+      try {
+        version = enricher.version();
+      } catch (error) {
+        version = null;
+      }
+      if (version === null || version === undefined) return null;
+    }
+    return `${enricher.name}|${version}|${event.indicator_type}|${event.indicator_value}`;
+  }
+
+  /**
+   * Run a lookup in a concurrency slot, giving up after the enricher's timeout.
+   * Waiting for a slot counts against the timeout. A lookup that times out
+   * gives its slot up at once, so lookups that never return cannot starve the
+   * pipeline; one that finishes late still fills the cache for the next event.
+   */
+  lookupWithTimeout(enricher, event, key) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let holding = false;
+      const timer = setTimeout(() => {
+        settled = true;
+        if (holding) {
+          holding = false;
+          this.abandoned++;
+          this.release();
+        }
+        const error = new Error(`no result within ${enricher.timeoutMs} ms`);
+        error.code = 'ENRICHMENT_TIMEOUT';
+        reject(error);
+      }, enricher.timeoutMs);
+
+      this.acquire()
+        .then(() => {
+          if (settled) {
+            this.release();
+            return undefined;
+          }
+          holding = true;
+          return Promise.resolve()
+            .then(() => enricher.lookup(event))
+            .finally(() => {
+              if (holding) {
+                holding = false;
+                this.release();
+              } else {
+                this.abandoned--;
+              }
+            });
+        })
+        .then(result => {
+          if (result === undefined && settled) return;
+          const value = result ?? null;
+          if (key) this.cacheSet(key, value, enricher.ttlSeconds);
+          if (!settled) {
+            settled = true;
+            clearTimeout(timer);
+            resolve(value);
+          }
+        })
+        .catch(error => {
+          if (!settled) {
+            settled = true;
+            clearTimeout(timer);
+            reject(error);
+          }
+        });
+    });
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    // The slot passes straight to the next waiter
+    if (next) next();
+    else this.active--;
+  }
+
+  cacheGet(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (Date.parse(entry.expiresAt) <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  cacheSet(key, result, ttlSeconds) {
+    const now = Date.now();
+    this.cache.delete(key);
+    this.cache.set(key, {
+      result,
+      enrichedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlSeconds * 1000).toISOString()
+    });
+    // Oldest entries go first once the cache is full
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop cached lookups, for one enricher or all of them
+   */
+  clearCache(name = null) {
+    if (!name) {
+      const size = this.cache.size;
+      this.cache.clear();
+      return size;
+    }
+
+    let removed = 0;
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${name}|`)) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  sourceOf(enricher) {
+    try {
+      return (enricher.source && enricher.source()) || enricher.name;
+    } catch (error) {
+      return enricher.name;
+    }
+  }
+
+  /**
+   * Run the link steps of the enrichers that produced data for a stored indicator
+   */
+  async link(event, indicatorId) {
+    const provenance = event.metadata?.enrichment || {};
+
+    for (const enricher of this.applicable(event)) {
+      if (!enricher.link || provenance[enricher.name]?.status !== 'enriched') continue;
+      try {
+        await enricher.link(event, indicatorId);
+      } catch (error) {
+        console.error(`Error linking ${enricher.name} enrichment:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Enrich a stored indicator again, bypassing the cache, and save its
+   * metadata. Resolves to null when the indicator does not exist.
+   */
+  async reenrich(indicatorId, { only = null } = {}) {
+    const indicator = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM indicators WHERE id = ?', [indicatorId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!indicator) return null;
+
+    let metadata = {};
+    try {
+      metadata = JSON.parse(indicator.metadata || '{}');
+    } catch (e) {}
+
+    const event = {
+      indicator_type: indicator.type,
+      indicator_value: indicator.value,
+      source: indicator.source,
+      metadata
+    };
+    await this.enrich(event, { force: true, only });
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE indicators SET metadata = ? WHERE id = ?',
+        [JSON.stringify(event.metadata), indicatorId],
+        err => (err ? reject(err) : resolve())
+      );
+    });
+    await this.link(event, indicatorId);
+
+    return {
+      indicator_id: indicatorId,
+      type: indicator.type,
+      value: indicator.value,
+      enrichment: event.metadata.enrichment || {},
+      metadata: event.metadata
+    };
+  }
+
+  status() {
+    return {
+      enrichers: Array.from(this.enrichers.values()).map(enricher => ({
+        name: enricher.name,
+        types: enricher.types,
+        ttl_seconds: enricher.ttlSeconds,
+        timeout_ms: enricher.timeoutMs,
+        source: this.sourceOf(enricher),
+        stats: {
+          ...enricher.stats,
+          avg_ms: enricher.stats.runs - enricher.stats.cache_hits > 0
+            ? Math.round(enricher.stats.total_ms / (enricher.stats.runs - enricher.stats.cache_hits))
+            : 0
+        }
+      })),
+      cache: { size: this.cache.size, max: this.cacheSize },
+      concurrency: {
+        limit: this.concurrency,
+        active: this.active,
+        waiting: this.waiting.length,
+        abandoned: this.abandoned
+      }
+    };
+  }
+}
+
+const enrichmentPipeline = new EnrichmentPipeline();
+
+enrichmentPipeline.register({
+  name: 'geoip',
+  types: ['IP'],
+  ttlSeconds: 86400,
+  timeoutMs: 1000,
+  lookup: event => geoIp.lookup(event.indicator_value),
+  apply: (metadata, location) => geoIp.apply(metadata, location),
+  source: () => geoIp.status().path,
+  version: () => geoIp.status().loaded_at
+});
+
+enrichmentPipeline.register({
+  name: 'asn',
+  types: ['IP'],
+  ttlSeconds: 86400,
+  timeoutMs: 1000,
+  lookup: event => asnService.lookup(event.indicator_value),
+  apply: (metadata, result) => asnService.apply(metadata, result),
+  link: (event, indicatorId) => asnService.link(event, indicatorId),
+  source: () => asnService.status().path,
+  version: () => asnService.status().loaded_at
+});
+
+enrichmentPipeline.register({
+  name: 'whois',
+  types: ['domain', 'url'],
+  ttlSeconds: 86400,
+  timeoutMs: 1000,
+  lookup: event => whoisService.lookup(
+    whoisService.domainOf(event.indicator_type, event.indicator_value, event.metadata)
+  ),
+  apply: (metadata, record) => whoisService.apply(metadata, record),
+  link: (event, indicatorId) => whoisService.link(event, indicatorId),
+  source: () => whoisService.status().path,
+  version: () => whoisService.status().loaded_at
+});
+
+// Address scope and direction depend on each event's endpoints, so they are not cached
+enrichmentPipeline.register({
+  name: 'assets',
+  types: ['*'],
+  ttlSeconds: 0,
+  timeoutMs: 1000,
+  lookup: async event => {
+    await assetInventory.ensureLoaded();
+    return assetInventory.describe(event);
+  },
+  apply: (metadata, description) => assetInventory.apply(metadata, description),
+  source: () => 'asset_inventory'
+});
+
+export default enrichmentPipeline;
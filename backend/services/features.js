@@ -1,4 +1,13 @@
 import db from '../db.js';
+import sourceRegistry from './sources.js';
+import assetInventory from './assets.js';
+import whoisService from './whois.js';
+import watchlistService from './watchlists.js';
+
+// Clean pseudo-members added to every ASN's alert rate, so a network's rate
+// only climbs once many of its observed IPs have alerted; one alerted
+// neighbour in a large cloud ASN no longer marks the whole network
+const ASN_RATE_PRIOR_MEMBERS = 10;
 
 class FeatureExtractionEngine {
   /**
@@ -8,8 +17,19 @@ class FeatureExtractionEngine {
     try {
       const events = await this.getIndicatorEvents(indicatorId);
       const indicator = await this.getIndicator(indicatorId);
+      const indicatorMetadata = this.parseMetadata(indicator);
+      const asnReputation = await this.getAsnReputation(indicatorId);
+      const nameserverReputation = await this.getNameserverReputation(indicatorId);
+      const domainAge = this.calculateDomainAge(indicator, indicatorMetadata);
+      await watchlistService.ensureLoaded();
+      const watchlistMatches = watchlistService.match(indicator.type, indicator.value, indicatorMetadata);
 
       const features = {
+        // Indicator identity, so rules can branch on type
+        indicator_type: indicator.type,
+        ip_version: indicatorMetadata.ip_version || null,
+        hash_algorithm: indicatorMetadata.hash_algorithm || null,
+
         // Temporal features
         event_frequency: this.calculateEventFrequency(events),
         time_between_events: this.calculateTimeBetweenEvents(events),
@@ -26,16 +46,30 @@ class FeatureExtractionEngine {
         unique_geolocations: this.countUniqueGeolocations(events),
         
         // Network features
+        asn: asnReputation.asn,
+        asn_prior_alert_rate: asnReputation.prior_alert_rate,
+        asn_malicious_ip_count: asnReputation.malicious_ip_count,
+        asn_malicious_share: asnReputation.malicious_share,
         unique_ports: this.countUniquePorts(events),
         avg_payload_size: this.calculateAvgPayloadSize(events),
         payload_variance: this.calculatePayloadVariance(events),
         
         // Statistical features
-        event_count_zscore: this.calculateZScore(events.length),
-        confidence_score: indicator.confidence,
+        event_count_zscore: this.calculateZScore(this.countEvents(events)),
+        // What a source reported stops counting once the indicator is past its valid_until
+        indicator_expired: this.isExpired(indicator),
+        confidence_score: this.isExpired(indicator) ? 0 : indicator.confidence,
         
+        // Domain registration features
+        domain_age_days: domainAge,
+        is_newly_registered: whoisService.isNewlyRegistered(domainAge),
+        registrar: this.whoisRecord(indicator, indicatorMetadata)?.registrar || null,
+        shared_nameserver_domains: nameserverReputation.shared_domains,
+        shared_nameserver_malicious: nameserverReputation.malicious_domains,
+
         // Threat indicators
-        blacklist_score: this.calculateBlacklistScore(indicator),
+        watchlist_matches: watchlistMatches,
+        blacklist_score: this.calculateBlacklistScore(indicator, watchlistMatches),
         dns_entropy: this.calculateDNSEntropy(indicator, events)
       };
 
@@ -72,22 +106,123 @@ class FeatureExtractionEngine {
     });
   }
 
+  /**
+   * How the other IPs in this indicator's ASN have fared: the share with a
+   * Medium or worse alert, smoothed towards 0 for thinly observed networks, and
+   * how many are malicious (a High/Critical alert or currently listed by a
+   * blocklist feed), also as a share of those observed. A fresh IP inherits its
+   * network's record.
+   */
+  getAsnReputation(indicatorId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT self.asn,
+                COUNT(m.indicator_id) as members,
+                SUM(CASE WHEN EXISTS (
+                      SELECT 1 FROM alerts a
+                      WHERE a.indicator_id = m.indicator_id AND a.severity IN ('Medium', 'High', 'Critical')
+                    ) THEN 1 ELSE 0 END) as alerted,
+                SUM(CASE WHEN EXISTS (
+                      SELECT 1 FROM alerts a
+                      WHERE a.indicator_id = m.indicator_id AND a.severity IN ('High', 'Critical')
+                    ) OR EXISTS (
+                      SELECT 1 FROM feed_entries f WHERE f.indicator_id = m.indicator_id
+                    ) THEN 1 ELSE 0 END) as malicious
+         FROM indicator_asns self
+         LEFT JOIN indicator_asns m ON m.asn = self.asn AND m.indicator_id != self.indicator_id
+         WHERE self.indicator_id = ?
+         GROUP BY self.asn`,
+        [indicatorId],
+        (err, row) => {
+          if (err) return reject(err);
+          if (!row) return resolve({ asn: null, prior_alert_rate: 0, malicious_ip_count: 0, malicious_share: 0 });
+
+          resolve({
+            asn: row.asn,
+            prior_alert_rate: (row.alerted || 0) / ((row.members || 0) + ASN_RATE_PRIOR_MEMBERS),
+            malicious_ip_count: row.malicious || 0,
+            malicious_share: row.members ? (row.malicious || 0) / row.members : 0
+          });
+        }
+      );
+    });
+  }
+
+  /**
+   * How many other observed domains share a name server with this one, and how
+   * many of those are malicious (a High/Critical alert or a feed listing).
+   * Popular name servers, used by more domains than WHOIS_MAX_NAMESERVER_DOMAINS,
+   * are left out.
+   */
+  getNameserverReputation(indicatorId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COUNT(DISTINCT m.indicator_id) as shared,
+                COUNT(DISTINCT CASE WHEN EXISTS (
+                      SELECT 1 FROM alerts a
+                      WHERE a.indicator_id = m.indicator_id AND a.severity IN ('High', 'Critical')
+                    ) OR EXISTS (
+                      SELECT 1 FROM feed_entries f WHERE f.indicator_id = m.indicator_id
+                    ) THEN m.indicator_id END) as malicious
+         FROM domain_nameservers self
+         JOIN domain_nameservers m ON m.nameserver = self.nameserver AND m.indicator_id != self.indicator_id
+         WHERE self.indicator_id = ?
+           AND (SELECT COUNT(*) FROM domain_nameservers n WHERE n.nameserver = self.nameserver) <= ?`,
+        [indicatorId, whoisService.maxNameserverDomains],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve({ shared_domains: row?.shared || 0, malicious_domains: row?.malicious || 0 });
+        }
+      );
+    });
+  }
+
+  /**
+   * WHOIS record stored with the indicator, or looked up now for indicators
+   * seen before the WHOIS database was loaded
+   */
+  whoisRecord(indicator, metadata) {
+    if (metadata.whois) return metadata.whois;
+    return whoisService.lookup(whoisService.domainOf(indicator.type, indicator.value, metadata));
+  }
+
+  /**
+   * Days since the domain was registered; null when unknown or not a domain
+   */
+  calculateDomainAge(indicator, metadata) {
+    return whoisService.ageDays(this.whoisRecord(indicator, metadata));
+  }
+
+  /**
+   * Number of occurrences across event rows; aggregated rows carry a frequency
+   */
+  countEvents(events) {
+    return events.reduce((sum, e) => sum + (e.frequency || 1), 0);
+  }
+
+  parseMetadata(indicator) {
+    try {
+      return JSON.parse(indicator?.metadata || '{}');
+    } catch (e) {
+      return {};
+    }
+  }
+
   calculateEventFrequency(events) {
-    return events.length;
+    return this.countEvents(events);
   }
 
   calculateTimeBetweenEvents(events) {
-    if (events.length < 2) return 0;
+    const total = this.countEvents(events);
+    if (total < 2) return 0;
 
-    const times = events.map(e => new Date(e.timestamp).getTime()).sort();
-    const differences = [];
-    
-    for (let i = 1; i < times.length; i++) {
-      differences.push((times[i] - times[i - 1]) / 1000); // seconds
-    }
+    // The mean gap between consecutive occurrences is the overall span over
+    // the number of gaps, which also holds for rows aggregated over a window
+    const firstTimes = events.map(e => new Date(e.first_seen || e.timestamp).getTime());
+    const lastTimes = events.map(e => new Date(e.last_seen || e.timestamp).getTime());
+    const span = (Math.max(...lastTimes) - Math.min(...firstTimes)) / 1000; // seconds
 
-    const avg = differences.reduce((a, b) => a + b, 0) / differences.length;
-    return avg;
+    return span / (total - 1);
   }
 
   calculateEventRate(events, windowSeconds) {
@@ -96,10 +231,10 @@ class FeatureExtractionEngine {
     const now = new Date().getTime();
     const windowMs = windowSeconds * 1000;
     const recentEvents = events.filter(e => 
-      now - new Date(e.timestamp).getTime() < windowMs
+      now - new Date(e.last_seen || e.timestamp).getTime() < windowMs
     );
 
-    return recentEvents.length / windowSeconds * 60; // events per minute
+    return this.countEvents(recentEvents) / windowSeconds * 60; // events per minute
   }
 
   countUniqueEventTypes(events) {
@@ -112,7 +247,7 @@ class FeatureExtractionEngine {
 
     const typeCounts = {};
     events.forEach(e => {
-      typeCounts[e.event_type] = (typeCounts[e.event_type] || 0) + 1;
+      typeCounts[e.event_type] = (typeCounts[e.event_type] || 0) + (e.frequency || 1);
     });
 
     // Calculate Shannon entropy
@@ -120,12 +255,12 @@ class FeatureExtractionEngine {
   }
 
   calculatePortEntropy(events) {
-    const ports = events.filter(e => e.port).map(e => e.port);
-    if (ports.length === 0) return 0;
+    const portEvents = events.filter(e => e.port);
+    if (portEvents.length === 0) return 0;
 
     const portCounts = {};
-    ports.forEach(p => {
-      portCounts[p] = (portCounts[p] || 0) + 1;
+    portEvents.forEach(e => {
+      portCounts[e.port] = (portCounts[e.port] || 0) + (e.frequency || 1);
     });
 
     return this.calculateEntropy(Object.values(portCounts));
@@ -152,11 +287,11 @@ class FeatureExtractionEngine {
     
     if (geoEvents.length === 0) return 0;
 
-    const highRiskCount = geoEvents.filter(e => 
+    const highRiskCount = this.countEvents(geoEvents.filter(e => 
       highRiskCountries.includes(e.geo_location)
-    ).length;
+    ));
 
-    return (highRiskCount / geoEvents.length) * 100;
+    return (highRiskCount / this.countEvents(geoEvents)) * 100;
   }
 
   countUniqueGeolocations(events) {
@@ -189,34 +324,52 @@ class FeatureExtractionEngine {
     return (value - mean) / stdDev;
   }
 
-  calculateBlacklistScore(indicator) {
-    // Simulate blacklist checking
-    // In production, this would query external threat feeds
-    const blacklistedValues = ['192.168.1.100', 'malicious-c2.com', '10.0.0.50'];
-    
-    if (blacklistedValues.includes(indicator.value)) {
-      return 90;
+  calculateBlacklistScore(indicator, watchlistMatches = []) {
+    if (watchlistMatches.length > 0) {
+      return watchlistService.blacklistScore(watchlistMatches);
     }
 
+    // Watchlist entries expire on their own; reported reputation lapses with the indicator
+    if (this.isExpired(indicator)) return 0;
+
+    const metadata = this.parseMetadata(indicator);
+
+    // Internet reputation says nothing about private, reserved or our own addresses
+    if (indicator.type === 'IP' && assetInventory.classify(indicator.value)?.scope !== 'external') {
+      return 0;
+    }
+
+    // Reputation reported by a trusted source counts for more than an anonymous one
+    const reliability = sourceRegistry.weight(
+      metadata.source_reliability || sourceRegistry.reliability(indicator.source)
+    );
+
     // Check metadata for existing reputation
-    try {
-      const metadata = JSON.parse(indicator.metadata || '{}');
-      if (metadata.reputation) {
-        return 100 - metadata.reputation; // Lower reputation = higher risk
-      }
-    } catch (e) {}
+    if (metadata.reputation) {
+      return (100 - metadata.reputation) * reliability; // Lower reputation = higher risk
+    }
 
     return 0;
   }
 
+  /**
+   * Whether the indicator is past the valid_until a feed or STIX bundle gave it
+   */
+  isExpired(indicator, now = new Date()) {
+    return !!indicator.valid_until && new Date(indicator.valid_until) <= now;
+  }
+
   calculateDNSEntropy(indicator, events) {
-    if (indicator.type !== 'domain') return 0;
+    // URLs are scored on their host name
+    const domain = indicator.type === 'url'
+      ? this.parseMetadata(indicator).url_host
+      : indicator.type === 'domain' ? indicator.value : null;
+    if (!domain) return 0;
 
     const dnsEvents = events.filter(e => e.event_type === 'dns_query');
     if (dnsEvents.length === 0) return 0;
 
     // Calculate character entropy of domain
-    const domain = indicator.value;
     const charCounts = {};
     
     for (const char of domain) {
@@ -244,7 +397,11 @@ class FeatureExtractionEngine {
       blacklist_norm: features.blacklist_score / 100,
       dns_entropy_norm: Math.min(features.dns_entropy / 5, 1),
       payload_variance_norm: Math.min(features.payload_variance / 1000000, 1),
-      time_between_events_inv: 1 / (1 + features.time_between_events)
+      time_between_events_inv: 1 / (1 + features.time_between_events),
+      asn_risk_norm: Math.max(features.asn_prior_alert_rate, Math.min(features.asn_malicious_ip_count / 20, 1)),
+      // 1 for a domain registered today, falling to 0 at a year old (or unknown)
+      domain_youth_norm: features.domain_age_days === null ? 0 : Math.max(0, 1 - features.domain_age_days / 365),
+      nameserver_risk_norm: Math.min(features.shared_nameserver_malicious / 5, 1)
     };
   }
 }
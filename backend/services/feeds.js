@@ -0,0 +1,605 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import cron from 'node-cron';
+import db from '../db.js';
+import indicatorParser from './indicators.js';
+import ingestionService from './ingestion.js';
+import sourceRegistry from './sources.js';
+import watchlistService from './watchlists.js';
+import { parseCSVRow } from './csv.js';
+
+const FORMATS = ['text', 'csv', 'json'];
+
+// Object keys tried, in order, when a JSON feed does not name its value field
+const JSON_VALUE_FIELDS = ['indicator', 'ioc', 'value', 'ip', 'ip_address', 'domain', 'url', 'hash', 'sha256'];
+
+// Hosts-file blocklists map names to a sinkhole address: "0.0.0.0 evil.example"
+const SINKHOLE_ADDRESSES = new Set(['0.0.0.0', '127.0.0.1', '::', '::1']);
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.FEED_FETCH_TIMEOUT_MS) || 30000;
+const MAX_FEED_BYTES = 50 * 1024 * 1024;
+const MAX_FEED_ENTRIES = parseInt(process.env.FEED_MAX_ENTRIES) || 200000;
+
+// File feeds are read from this directory only; without it only URL feeds are allowed
+const FEED_DIRECTORY = process.env.FEED_DIRECTORY ? path.resolve(process.env.FEED_DIRECTORY) : null;
+
+// Feed names are capped so their watchlist name ("feed.<name>") fits the watchlist name limit
+const NAME_PATTERN = /^[\w.-]{1,59}$/;
+
+function watchlistName(feedName) {
+  return `feed.${feedName}`;
+}
+
+/**
+ * Absolute path of a file feed, or null when it lies outside FEED_DIRECTORY.
+ * Relative paths are taken from FEED_DIRECTORY.
+ */
+function resolveFeedPath(feedPath) {
+  if (!FEED_DIRECTORY || typeof feedPath !== 'string') return null;
+  const resolved = path.resolve(FEED_DIRECTORY, feedPath);
+  return resolved.startsWith(FEED_DIRECTORY + path.sep) ? resolved : null;
+}
+
+/**
+ * Blocklist feed definitions pulled on a cron schedule. A definition looks like:
+ *   {
+ *     name: 'feodo-ipblocklist',
+ *     url: 'https://feodotracker.abuse.ch/downloads/ipblocklist.csv',  // or path: 'ips.txt' (in FEED_DIRECTORY)
+ *     format: 'csv',                  // text, csv or json
+ *     schedule: '*\/30 * * * *',
+ *     indicator_type: 'IP',           // or 'auto' to detect per entry
+ *     confidence: 0.8,
+ *     reliability: 'B',               // rating of the feed's source, A to F
+ *     options: { column: 'dst_ip' }   // csv: column name or index; json: items path and field
+ *   }
+ * Each pull is diffed against the previous one: new entries become indicators,
+ * entries no longer listed are expired (valid_until) unless another feed still lists them.
+ *
+ * Entries are mirrored into the feed's watchlist, "feed.<name>" (severity
+ * medium until tuned), so listed indicators score as watchlist matches; a
+ * removed entry's watchlist entry expires and stops matching. Confidence is
+ * weighted by the source's reliability like any other sender's; a source
+ * registered without a rating is F, which halves it.
+ */
+class FeedScheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.running = new Set();
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  validate(feed) {
+    const errors = [];
+
+    if (!feed || typeof feed !== 'object') {
+      return ['Feed must be an object'];
+    }
+    if (!feed.name || !NAME_PATTERN.test(feed.name)) {
+      errors.push('name is required and may contain letters, digits, ".", "_" and "-" (max 59)');
+    }
+    if (!feed.url === !feed.path) {
+      errors.push('exactly one of url or path is required');
+    }
+    if (feed.url && !/^https?:\/\//i.test(feed.url)) {
+      errors.push('url must be an http or https URL');
+    }
+    if (feed.path && !resolveFeedPath(feed.path)) {
+      errors.push(FEED_DIRECTORY
+        ? `path must be a file inside ${FEED_DIRECTORY}`
+        : 'File feeds are disabled (set FEED_DIRECTORY)');
+    }
+    if (!FORMATS.includes(feed.format)) {
+      errors.push(`format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (feed.schedule && !cron.validate(feed.schedule)) {
+      errors.push(`schedule "${feed.schedule}" is not a valid cron expression`);
+    }
+    if (feed.indicator_type && feed.indicator_type !== 'auto' && !indicatorParser.resolveType(feed.indicator_type)) {
+      errors.push(`Unsupported indicator type "${feed.indicator_type}"`);
+    }
+    if (feed.confidence !== undefined &&
+      (typeof feed.confidence !== 'number' || feed.confidence < 0 || feed.confidence > 1)) {
+      errors.push('confidence must be a number between 0 and 1');
+    }
+    if (feed.reliability !== undefined && !/^[A-F]$/i.test(String(feed.reliability))) {
+      errors.push('reliability must be a rating from A (completely reliable) to F (cannot be judged)');
+    }
+    if (feed.options !== undefined && (typeof feed.options !== 'object' || Array.isArray(feed.options))) {
+      errors.push('options must be an object');
+    }
+
+    return errors;
+  }
+
+  async list() {
+    const rows = await this.all('SELECT * FROM feeds ORDER BY name');
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async get(name) {
+    const [row] = await this.all('SELECT * FROM feeds WHERE name = ?', [name]);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Create or replace a feed definition and (re)schedule it. A feed's source is
+   * registered as a feed source when it is not known yet, at the definition's
+   * reliability (F, cannot be judged, when it gives none). A known source keeps
+   * its rating; that is changed through the source registry.
+   */
+  async save(feed) {
+    const errors = this.validate(feed);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid feed: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+
+    const source = feed.source || feed.name;
+    await sourceRegistry.ensureLoaded();
+    if (!sourceRegistry.lookup(source)) {
+      await sourceRegistry.save(source, {
+        type: 'feed',
+        description: `Blocklist feed ${feed.name}`,
+        reliability: feed.reliability
+      });
+    }
+    await this.ensureWatchlist(feed.name);
+
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO feeds (name, description, url, path, format, schedule, indicator_type, confidence,
+                          source, enabled, options, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         description = excluded.description,
+         url = excluded.url,
+         path = excluded.path,
+         format = excluded.format,
+         schedule = excluded.schedule,
+         indicator_type = excluded.indicator_type,
+         confidence = excluded.confidence,
+         source = excluded.source,
+         enabled = excluded.enabled,
+         options = excluded.options,
+         updated_at = excluded.updated_at`,
+      [
+        feed.name,
+        feed.description || null,
+        feed.url || null,
+        feed.path || null,
+        feed.format,
+        feed.schedule || null,
+        feed.indicator_type || 'auto',
+        feed.confidence ?? 0.5,
+        source,
+        feed.enabled === false ? 0 : 1,
+        JSON.stringify(feed.options || {}),
+        now,
+        now
+      ]
+    );
+
+    const saved = await this.get(feed.name);
+    this.schedule(saved);
+    return { ...saved, scheduled: this.tasks.has(saved.name) };
+  }
+
+  /**
+   * Delete a feed with its pull history and watchlist. Indicators it added are
+   * left as they are.
+   */
+  async remove(name) {
+    const result = await this.run('DELETE FROM feeds WHERE name = ?', [name]);
+    if (result.changes === 0) return false;
+
+    this.unschedule(name);
+    await this.run('DELETE FROM feed_entries WHERE feed = ?', [name]);
+    await this.run('DELETE FROM feed_pulls WHERE feed = ?', [name]);
+    await watchlistService.remove(watchlistName(name));
+    return true;
+  }
+
+  /**
+   * Create the feed's watchlist when it does not exist. Resolves to true when
+   * it was created, so the next pull fills it with every listed entry.
+   */
+  async ensureWatchlist(name) {
+    if (await watchlistService.get(watchlistName(name))) return false;
+    await watchlistService.save(watchlistName(name), {
+      description: `Entries listed by blocklist feed ${name}`,
+      severity: 'medium'
+    });
+    return true;
+  }
+
+  listPulls(name, { limit } = {}) {
+    return this.all(
+      'SELECT * FROM feed_pulls WHERE feed = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+      [name, parseInt(limit) || 50]
+    );
+  }
+
+  /**
+   * Load definitions from FEED_DEFINITIONS (a JSON array on disk), then schedule every enabled feed
+   */
+  async start() {
+    if (process.env.FEED_DEFINITIONS) {
+      await this.loadDefinitions(process.env.FEED_DEFINITIONS);
+    }
+
+    for (const feed of await this.list()) {
+      this.schedule(feed);
+    }
+    console.log(`Feed scheduler started (${this.tasks.size} scheduled feed${this.tasks.size === 1 ? '' : 's'})`);
+  }
+
+  stop() {
+    for (const name of Array.from(this.tasks.keys())) {
+      this.unschedule(name);
+    }
+  }
+
+  async loadDefinitions(filePath) {
+    const definitions = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!Array.isArray(definitions)) {
+      throw new Error(`${filePath} must contain a JSON array of feed definitions`);
+    }
+
+    for (const definition of definitions) {
+      try {
+        await this.save(definition);
+      } catch (error) {
+        console.error(`Skipping feed definition ${definition?.name || '(unnamed)'}:`, error.message);
+      }
+    }
+  }
+
+  schedule(feed) {
+    this.unschedule(feed.name);
+    if (!feed.enabled || !feed.schedule) return;
+
+    const task = cron.schedule(feed.schedule, () => {
+      this.pull(feed.name).catch(error => console.error(`Error pulling feed ${feed.name}:`, error));
+    });
+    this.tasks.set(feed.name, task);
+  }
+
+  unschedule(name) {
+    const task = this.tasks.get(name);
+    if (task) {
+      task.stop();
+      this.tasks.delete(name);
+    }
+  }
+
+  /**
+   * Fetch a feed, diff it against the previous pull and record the outcome.
+   * Returns the pull record, or null when the feed does not exist.
+   */
+  async pull(name) {
+    const feed = await this.get(name);
+    if (!feed) return null;
+
+    if (this.running.has(name)) {
+      return { feed: name, status: 'skipped', error: 'A pull of this feed is already running' };
+    }
+    this.running.add(name);
+
+    const pull = {
+      feed: name,
+      started_at: new Date().toISOString(),
+      status: 'success',
+      entries: 0,
+      added: 0,
+      removed: 0,
+      invalid: 0,
+      content_hash: null,
+      error: null
+    };
+
+    try {
+      await sourceRegistry.ensureLoaded();
+      const rejection = sourceRegistry.check(feed.source);
+      if (rejection) throw new Error(rejection);
+
+      const content = await this.fetchContent(feed);
+      pull.content_hash = crypto.createHash('sha256').update(content).digest('hex');
+      // A missing watchlist (deleted, or predating this feed's first pull) is refilled from this pull
+      const refill = await this.ensureWatchlist(name);
+
+      const [previous] = await this.all(
+        "SELECT content_hash FROM feed_pulls WHERE feed = ? AND status IN ('success', 'unchanged') ORDER BY id DESC LIMIT 1",
+        [name]
+      );
+      if (!refill && previous?.content_hash === pull.content_hash) {
+        pull.status = 'unchanged';
+        pull.entries = (await this.all('SELECT COUNT(*) as count FROM feed_entries WHERE feed = ?', [name]))[0].count;
+      } else {
+        const { indicators, invalid } = this.parse(feed, content);
+        if (indicators.size > MAX_FEED_ENTRIES) {
+          throw new Error(`Feed lists ${indicators.size} entries, more than the ${MAX_FEED_ENTRIES} allowed`);
+        }
+
+        pull.entries = indicators.size;
+        pull.invalid = invalid;
+        Object.assign(pull, await this.applyDiff(feed, indicators, pull.started_at, refill));
+      }
+
+      await this.run('UPDATE feed_entries SET last_seen = ? WHERE feed = ?', [pull.started_at, name]);
+    } catch (error) {
+      pull.status = 'failed';
+      pull.error = error.message;
+    } finally {
+      this.running.delete(name);
+    }
+
+    pull.finished_at = new Date().toISOString();
+    const result = await this.run(
+      `INSERT INTO feed_pulls (feed, started_at, finished_at, status, entries, added, removed, invalid, content_hash, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name, pull.started_at, pull.finished_at, pull.status, pull.entries, pull.added, pull.removed,
+        pull.invalid, pull.content_hash, pull.error]
+    );
+    await this.run(
+      'UPDATE feeds SET last_pull_at = ?, last_status = ? WHERE name = ?',
+      [pull.finished_at, pull.status, name]
+    );
+
+    return { id: result.lastID, ...pull };
+  }
+
+  async fetchContent(feed) {
+    if (feed.path) {
+      // Checked again on every pull, following symlinks, in case the directory changed
+      const filePath = resolveFeedPath(feed.path);
+      const realPath = filePath && await fs.realpath(filePath);
+      const realDirectory = FEED_DIRECTORY && await fs.realpath(FEED_DIRECTORY);
+      if (!realPath || !realPath.startsWith(realDirectory + path.sep)) {
+        throw new Error(`Feed path ${feed.path} is outside the feed directory`);
+      }
+      return fs.readFile(realPath, 'utf8');
+    }
+
+    const response = await axios.get(feed.url, {
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_FEED_BYTES,
+      responseType: 'text',
+      // Keep the body as text; JSON feeds are parsed with the feed's own options
+      transformResponse: data => data
+    });
+    return String(response.data ?? '');
+  }
+
+  /**
+   * Store newly listed indicators and expire the ones that dropped off the
+   * feed, in the indicator store and the feed's watchlist. `refill` adds every
+   * listed entry to the watchlist, not only the new ones.
+   */
+  async applyDiff(feed, indicators, now, refill = false) {
+    const previous = await this.all('SELECT type, value, indicator_id FROM feed_entries WHERE feed = ?', [feed.name]);
+    const previousKeys = new Set(previous.map(entry => `${entry.type}:${entry.value}`));
+    const toWatchlistEntry = indicator => ({
+      match_type: 'exact',
+      value: indicator.value,
+      type: indicator.type,
+      reason: `Listed by feed ${feed.name}`,
+      expires_at: null
+    });
+    const listed = [];
+    const dropped = [];
+    let added = 0;
+    let removed = 0;
+
+    for (const [key, indicator] of indicators) {
+      if (refill) listed.push(toWatchlistEntry(indicator));
+      if (previousKeys.has(key)) continue;
+      if (!refill) listed.push(toWatchlistEntry(indicator));
+
+      const indicatorId = await ingestionService.storeIndicator(sourceRegistry.applyReliability({
+        indicator_type: indicator.type,
+        indicator_value: indicator.value,
+        source: feed.source,
+        metadata: { ...indicator.attributes, confidence: feed.confidence, feed: feed.name }
+      }));
+      // Listed again after being expired
+      await this.run('UPDATE indicators SET valid_until = NULL WHERE id = ?', [indicatorId]);
+      await this.run(
+        `INSERT OR REPLACE INTO feed_entries (feed, type, value, indicator_id, first_seen, last_seen)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [feed.name, indicator.type, indicator.value, indicatorId, now, now]
+      );
+      added++;
+    }
+
+    for (const entry of previous) {
+      if (indicators.has(`${entry.type}:${entry.value}`)) continue;
+
+      await this.run('DELETE FROM feed_entries WHERE feed = ? AND type = ? AND value = ?',
+        [feed.name, entry.type, entry.value]);
+      const [stillListed] = await this.all('SELECT 1 FROM feed_entries WHERE indicator_id = ? LIMIT 1', [entry.indicator_id]);
+      if (!stillListed) {
+        await this.run(
+          'UPDATE indicators SET valid_until = ? WHERE id = ? AND (valid_until IS NULL OR valid_until > ?)',
+          [now, entry.indicator_id, now]
+        );
+      }
+      dropped.push(toWatchlistEntry(entry));
+      removed++;
+    }
+
+    const list = watchlistName(feed.name);
+    if (listed.length > 0) {
+      await watchlistService.importEntries(list, listed.map((fields, i) => ({ line: i + 1, fields })));
+    }
+    await watchlistService.expireEntries(list, dropped, now);
+
+    return { added, removed };
+  }
+
+  /**
+   * Parse feed content into canonical indicators keyed by "type:value"
+   */
+  parse(feed, content) {
+    const values = feed.format === 'csv' ? this.parseCSV(feed, content)
+      : feed.format === 'json' ? this.parseJSON(feed, content)
+        : this.parseText(content);
+
+    const indicators = new Map();
+    let invalid = 0;
+
+    for (const value of values) {
+      const indicator = this.canonicalize(feed, value);
+      if (!indicator) {
+        invalid++;
+        continue;
+      }
+      indicators.set(`${indicator.type}:${indicator.value}`, indicator);
+    }
+
+    return { indicators, invalid };
+  }
+
+  canonicalize(feed, value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    return feed.indicator_type === 'auto'
+      ? indicatorParser.detect(value)
+      : indicatorParser.canonicalize(feed.indicator_type, value);
+  }
+
+  /**
+   * One entry per line; "#" and ";" start comments. Hosts-file lines take the hostname.
+   */
+  parseText(content) {
+    const values = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      const text = line.replace(/(^|\s)[#;].*$/, '').trim();
+      if (!text) continue;
+
+      const tokens = text.split(/\s+/);
+      values.push(tokens.length > 1 && SINKHOLE_ADDRESSES.has(tokens[0]) ? tokens[1] : tokens[0]);
+    }
+
+    return values;
+  }
+
+  /**
+   * abuse.ch-style CSV: "#" comment lines, the last of which may carry the header.
+   * options.column picks the column by name or index; otherwise the first column
+   * whose value parses as the feed's indicator type is used.
+   */
+  parseCSV(feed, content) {
+    const options = feed.options || {};
+    const values = [];
+    let header = null;
+    let lastComment = null;
+    let column = null;
+
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      if (line.startsWith('#')) {
+        lastComment = line.replace(/^#\s*/, '');
+        continue;
+      }
+
+      const row = parseCSVRow(line).map(value => value.trim());
+
+      if (column === null) {
+        if (options.header === true && !header) {
+          header = row;
+          continue;
+        }
+        if (!header && lastComment?.includes(',')) {
+          header = parseCSVRow(lastComment).map(name => name.trim());
+        }
+        column = this.resolveColumn(feed, header, row);
+        if (column === -1) {
+          throw new Error(options.column !== undefined
+            ? `CSV column "${options.column}" not found`
+            : 'No CSV column holds a valid indicator');
+        }
+      }
+
+      values.push(row[column]);
+    }
+
+    return values;
+  }
+
+  resolveColumn(feed, header, firstRow) {
+    const selected = feed.options?.column;
+    if (typeof selected === 'number') return selected < firstRow.length ? selected : -1;
+    if (typeof selected === 'string') return header ? header.indexOf(selected) : -1;
+    return firstRow.findIndex(value => this.canonicalize(feed, value));
+  }
+
+  /**
+   * A JSON array of strings or objects. options.items is a dotted path to the
+   * array inside a wrapper object; options.field names the value key of each object.
+   */
+  parseJSON(feed, content) {
+    const options = feed.options || {};
+    let items = JSON.parse(content);
+
+    if (options.items) {
+      items = options.items.split('.').reduce((node, key) => node?.[key], items);
+    } else if (items && !Array.isArray(items) && typeof items === 'object') {
+      items = Object.values(items).find(Array.isArray);
+    }
+    if (!Array.isArray(items)) {
+      throw new Error('JSON feed does not contain an array of entries');
+    }
+
+    return items.map(item => {
+      if (typeof item === 'string') return item;
+      if (!item || typeof item !== 'object') return null;
+      if (options.field) return options.field.split('.').reduce((node, key) => node?.[key], item);
+      const field = JSON_VALUE_FIELDS.find(key => typeof item[key] === 'string');
+      return field ? item[field] : null;
+    });
+  }
+
+  fromRow(row) {
+    return {
+      name: row.name,
+      description: row.description,
+      url: row.url,
+      path: row.path,
+      format: row.format,
+      schedule: row.schedule,
+      indicator_type: row.indicator_type,
+      confidence: row.confidence,
+      source: row.source,
+      watchlist: watchlistName(row.name),
+      enabled: !!row.enabled,
+      options: JSON.parse(row.options || '{}'),
+      scheduled: this.tasks.has(row.name),
+      last_pull_at: row.last_pull_at,
+      last_status: row.last_status,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+export default new FeedScheduler();
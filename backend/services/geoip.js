@@ -0,0 +1,109 @@
+import IpDatabase from './ipDatabase.js';
+
+/**
+ * Offline GeoIP lookups from GEOIP_DATABASE: a GeoLite2/DB-IP City or Country
+ * .mmdb file, or a CSV of IP ranges (DB-IP lite, IP2Location lite or any file
+ * with a header naming its range and location columns).
+ */
+class GeoIpService {
+  constructor() {
+    this.database = new IpDatabase({
+      name: 'GeoIP',
+      columns: {
+        country: ['country_code', 'country_iso_code', 'country', 'cc'],
+        country_name: ['country_name'],
+        region: ['region', 'region_name', 'stateprov', 'state', 'subdivision', 'subdivision_1_name'],
+        city: ['city', 'city_name'],
+        latitude: ['latitude', 'lat'],
+        longitude: ['longitude', 'lon', 'lng']
+      },
+      defaultColumns: (process.env.GEOIP_CSV_COLUMNS || 'start_ip,end_ip,country,region,city,latitude,longitude')
+        .split(',')
+        .map(column => column.trim()),
+      fromRecord: record => this.fromRecord(record),
+      fromRow: row => this.fromRow(row),
+      cacheSize: parseInt(process.env.GEOIP_CACHE_SIZE) || 10000,
+      watchIntervalMs: parseInt(process.env.GEOIP_WATCH_INTERVAL_MS) || 30000
+    });
+  }
+
+  async load(filePath = process.env.GEOIP_DATABASE) {
+    if (!filePath) {
+      console.log('GeoIP enrichment disabled (set GEOIP_DATABASE to an .mmdb or CSV file)');
+      return;
+    }
+    await this.database.load(filePath);
+    console.log(`GeoIP database loaded from ${filePath}`);
+  }
+
+  reload() {
+    if (!this.database.filePath) {
+      return Promise.reject(new Error('No GeoIP database is configured'));
+    }
+    return this.database.open(this.database.filePath);
+  }
+
+  lookup(ip) {
+    return this.database.lookup(ip);
+  }
+
+  /**
+   * Attach a looked-up location to an IP indicator's metadata. A geo the
+   * sender supplied is kept; otherwise the country fills it in.
+   */
+  apply(metadata, location) {
+    metadata.geoip = location;
+    if (!metadata.geo && location.country) {
+      metadata.geo = location.country;
+    }
+  }
+
+  status() {
+    return this.database.status();
+  }
+
+  stop() {
+    this.database.unwatch();
+  }
+
+  /**
+   * GeoLite2 / DB-IP City and Country records
+   */
+  fromRecord(record) {
+    const country = record.country || record.registered_country || {};
+    const subdivision = record.subdivisions?.[0];
+
+    return this.compact({
+      country: country.iso_code,
+      country_name: country.names?.en,
+      region: subdivision?.names?.en || subdivision?.iso_code,
+      city: record.city?.names?.en,
+      latitude: record.location?.latitude,
+      longitude: record.location?.longitude,
+      accuracy_radius: record.location?.accuracy_radius,
+      time_zone: record.location?.time_zone
+    });
+  }
+
+  fromRow(row) {
+    const latitude = parseFloat(row.latitude);
+    const longitude = parseFloat(row.longitude);
+    // IP2Location writes "-" for unknown fields
+    const text = value => (value && value !== '-' ? value : undefined);
+
+    return this.compact({
+      country: text(row.country)?.toUpperCase(),
+      country_name: text(row.country_name),
+      region: text(row.region),
+      city: text(row.city),
+      latitude: Number.isFinite(latitude) ? latitude : undefined,
+      longitude: Number.isFinite(longitude) ? longitude : undefined
+    });
+  }
+
+  compact(location) {
+    return Object.fromEntries(Object.entries(location).filter(([_, value]) => value !== undefined && value !== null));
+  }
+}
+
+export default new GeoIpService();
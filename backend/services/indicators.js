@@ -0,0 +1,364 @@
+import { domainToASCII } from 'url';
+
+// Canonical indicator types. IP covers both IPv4 and IPv6; the version is recorded as an attribute.
+export const INDICATOR_TYPES = [
+  'IP', 'cidr', 'domain', 'url', 'email', 'hash', 'ja3', 'ja3s', 'certificate', 'cve', 'user', 'file'
+];
+
+// Alternative type names used by feeds and parsers, mapped to canonical types
+const TYPE_ALIASES = {
+  ip: 'IP',
+  ipv4: 'IP',
+  ipv6: 'IP',
+  'ipv4-addr': 'IP',
+  'ipv6-addr': 'IP',
+  'ip-range': 'cidr',
+  subnet: 'cidr',
+  network: 'cidr',
+  hostname: 'domain',
+  fqdn: 'domain',
+  'domain-name': 'domain',
+  uri: 'url',
+  'email-addr': 'email',
+  md5: 'hash',
+  sha1: 'hash',
+  sha256: 'hash',
+  sha512: 'hash',
+  'sha-1': 'hash',
+  'sha-256': 'hash',
+  'sha-512': 'hash',
+  file_hash: 'hash',
+  x509: 'certificate',
+  thumbprint: 'certificate',
+  cert_fingerprint: 'certificate',
+  vulnerability: 'cve',
+  username: 'user',
+  account: 'user',
+  filename: 'file'
+};
+
+const HASH_ALGORITHMS = { 32: 'MD5', 40: 'SHA1', 64: 'SHA256', 128: 'SHA512' };
+
+// Type aliases that also pin the hash algorithm
+const ALGORITHM_ALIASES = {
+  md5: 'MD5',
+  sha1: 'SHA1',
+  'sha-1': 'SHA1',
+  sha256: 'SHA256',
+  'sha-256': 'SHA256',
+  sha512: 'SHA512',
+  'sha-512': 'SHA512'
+};
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/;
+const EMAIL_LOCAL_REGEX = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]{1,64}$/i;
+const CVE_REGEX = /^CVE-(\d{4})-(\d{4,})$/i;
+
+class IndicatorParser {
+  /**
+   * Map a type name (any case, aliases allowed) to its canonical type; null when unsupported
+   */
+  resolveType(type) {
+    if (!type) return null;
+    const name = String(type).trim();
+    const canonical = INDICATOR_TYPES.find(t => t.toLowerCase() === name.toLowerCase());
+    return canonical || TYPE_ALIASES[name.toLowerCase()] || null;
+  }
+
+  /**
+   * Guess the type of a bare value. Returns { type, value, attributes } or null.
+   * JA3 fingerprints and hex certificate thumbprints look like hashes, so they
+   * are only recognized when the source names the type.
+   */
+  detect(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = value.trim();
+
+    if (CVE_REGEX.test(text)) return this.canonicalize('cve', text);
+    if (/^[0-9a-f:.]+(%[\w.-]+)?\/\d{1,3}$/i.test(text)) return this.canonicalize('cidr', text);
+    if (this.parseIPv4(text) || this.parseIPv6(text)) return this.canonicalize('IP', text);
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) return this.canonicalize('url', text);
+    if (text.includes('@')) return this.canonicalize('email', text);
+    if (/^([0-9a-f]{2}:){19}[0-9a-f]{2}$|^([0-9a-f]{2}:){31}[0-9a-f]{2}$/i.test(text)) {
+      return this.canonicalize('certificate', text);
+    }
+    if (/^[0-9a-f]+$/i.test(text) && HASH_ALGORITHMS[text.length]) return this.canonicalize('hash', text);
+    return this.canonicalize('domain', text);
+  }
+
+  /**
+   * Validate and canonicalize a value of the given type. Returns
+   * { type, value, attributes } or null when the value is not valid for the type.
+   */
+  canonicalize(type, value) {
+    const canonicalType = this.resolveType(type);
+    if (!canonicalType || typeof value !== 'string') return null;
+    const text = value.trim();
+    if (!text) return null;
+
+    switch (canonicalType) {
+      case 'IP':
+        // Feeds often list ranges under an IP type
+        return text.includes('/') ? this.canonicalizeCIDR(text) : this.canonicalizeIP(text);
+      case 'cidr':
+        return this.canonicalizeCIDR(text);
+      case 'domain':
+        return this.wrap('domain', this.canonicalDomain(text));
+      case 'url':
+        return this.canonicalizeURL(text);
+      case 'email':
+        return this.canonicalizeEmail(text);
+      case 'hash':
+        return this.canonicalizeHash(text, ALGORITHM_ALIASES[String(type).toLowerCase()]);
+      case 'ja3':
+      case 'ja3s':
+        return /^[0-9a-f]{32}$/i.test(text) ? this.wrap(canonicalType, text.toLowerCase()) : null;
+      case 'certificate':
+        return this.canonicalizeThumbprint(text);
+      case 'cve': {
+        const match = text.match(CVE_REGEX);
+        return match
+          ? this.wrap('cve', `CVE-${match[1]}-${match[2]}`, { cve_year: parseInt(match[1]) })
+          : null;
+      }
+      default:
+        // user and file values are free-form
+        return this.wrap(canonicalType, text);
+    }
+  }
+
+  wrap(type, value, attributes = {}) {
+    return value === null || value === undefined ? null : { type, value, attributes };
+  }
+
+  canonicalizeIP(text) {
+    const octets = this.parseIPv4(text);
+    if (octets) return this.wrap('IP', octets.join('.'), { ip_version: 4 });
+
+    const ipv6 = this.parseIPv6(text);
+    if (!ipv6) return null;
+
+    // IPv4-mapped addresses (::ffff:a.b.c.d) name the same host as the plain IPv4 address
+    if (ipv6.groups.slice(0, 5).every(g => g === 0) && ipv6.groups[5] === 0xffff) {
+      return this.wrap('IP', this.groupsToIPv4(ipv6.groups.slice(6)), { ip_version: 4 });
+    }
+
+    const attributes = { ip_version: 6 };
+    if (ipv6.zone) attributes.zone_id = ipv6.zone;
+    return this.wrap('IP', this.formatIPv6(ipv6.groups), attributes);
+  }
+
+  canonicalizeCIDR(text) {
+    const [address, prefixText, ...rest] = text.split('/');
+    if (rest.length > 0 || !/^\d{1,3}$/.test(prefixText || '')) return null;
+    const prefix = parseInt(prefixText);
+
+    const octets = this.parseIPv4(address);
+    if (octets) {
+      if (prefix > 32) return null;
+      const masked = octets.map((octet, i) => octet & this.maskByte(prefix - i * 8));
+      return this.wrap('cidr', `${masked.join('.')}/${prefix}`, { ip_version: 4, prefix });
+    }
+
+    const ipv6 = this.parseIPv6(address);
+    if (!ipv6 || ipv6.zone || prefix > 128) return null;
+    const masked = ipv6.groups.map((group, i) => {
+      const bits = Math.max(0, Math.min(16, prefix - i * 16));
+      return group & (bits === 0 ? 0 : (0xffff << (16 - bits)) & 0xffff);
+    });
+    return this.wrap('cidr', `${this.formatIPv6(masked)}/${prefix}`, { ip_version: 6, prefix });
+  }
+
+  maskByte(bits) {
+    if (bits >= 8) return 0xff;
+    if (bits <= 0) return 0;
+    return (0xff << (8 - bits)) & 0xff;
+  }
+
+  /**
+   * Dotted quad with every octet 0-255; returns the octets or null
+   */
+  parseIPv4(text) {
+    const match = String(text).match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (!match) return null;
+    const octets = match.slice(1).map(octet => parseInt(octet, 10));
+    return octets.every(octet => octet <= 255) ? octets : null;
+  }
+
+  /**
+   * Full, compressed (::) and IPv4-suffixed forms with an optional %zone.
+   * Returns { groups: [8 x 16-bit], zone } or null.
+   */
+  parseIPv6(text) {
+    let address = String(text);
+    let zone = null;
+
+    const percent = address.indexOf('%');
+    if (percent !== -1) {
+      zone = address.slice(percent + 1);
+      address = address.slice(0, percent);
+      if (!/^[\w.-]+$/.test(zone)) return null;
+    }
+
+    if (!address.includes(':')) return null;
+
+    // A trailing dotted quad stands for the last two groups
+    const embedded = address.match(/^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (embedded) {
+      const octets = this.parseIPv4(embedded[2]);
+      if (!octets) return null;
+      address = `${embedded[1]}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const parseGroups = part => (part === '' ? [] : part.split(':'));
+    const head = parseGroups(halves[0]);
+    const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (![...head, ...tail].every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+    let groups;
+    if (halves.length === 2) {
+      const missing = 8 - head.length - tail.length;
+      if (missing < 1) return null;
+      groups = [...head, ...new Array(missing).fill('0'), ...tail];
+    } else {
+      if (head.length !== 8) return null;
+      groups = head;
+    }
+
+    return { groups: groups.map(group => parseInt(group, 16)), zone };
+  }
+
+  /**
+   * RFC 5952 text form: lowercase, no leading zeros, longest zero run (2+ groups) as ::
+   */
+  formatIPv6(groups) {
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8;) {
+      if (groups[i] !== 0) {
+        i++;
+        continue;
+      }
+      let end = i;
+      while (end < 8 && groups[end] === 0) end++;
+      if (end - i > bestLength) {
+        bestStart = i;
+        bestLength = end - i;
+      }
+      i = end;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestLength < 2) return hex.join(':');
+
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+  }
+
+  /**
+   * True when `address` falls inside `cidr`; addresses of the other IP version never match
+   */
+  cidrContains(cidr, address) {
+    const [network, prefixText] = cidr.split('/');
+    const range = this.addressGroups(network);
+    const target = this.addressGroups(address);
+    if (!range || !target || range.version !== target.version) return false;
+
+    let bits = prefixText === undefined ? range.groups.length * 16 : parseInt(prefixText);
+    for (let i = 0; i < range.groups.length && bits > 0; i++, bits -= 16) {
+      const mask = bits >= 16 ? 0xffff : (0xffff << (16 - bits)) & 0xffff;
+      if ((range.groups[i] & mask) !== (target.groups[i] & mask)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * An address as 16-bit groups: two for IPv4, eight for IPv6
+   */
+  addressGroups(text) {
+    const octets = this.parseIPv4(text);
+    if (octets) return { version: 4, groups: [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]] };
+
+    const ipv6 = this.parseIPv6(text);
+    return ipv6 ? { version: 6, groups: ipv6.groups } : null;
+  }
+
+  groupsToIPv4(groups) {
+    return [groups[0] >> 8, groups[0] & 0xff, groups[1] >> 8, groups[1] & 0xff].join('.');
+  }
+
+  /**
+   * Lowercase ASCII (punycode) form without a trailing dot; null when invalid
+   */
+  canonicalDomain(text) {
+    const ascii = domainToASCII(text.replace(/\.$/, ''));
+    return ascii && DOMAIN_REGEX.test(ascii) ? ascii : null;
+  }
+
+  /**
+   * WHATWG serialization lowercases scheme and host, drops default ports and
+   * resolves dot segments; fragments never reach the server and are dropped
+   */
+  canonicalizeURL(text) {
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) return null;
+
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      return null;
+    }
+    if (!url.hostname) return null;
+
+    url.hash = '';
+    return this.wrap('url', url.href, {
+      url_scheme: url.protocol.replace(/:$/, ''),
+      url_host: url.hostname.replace(/^\[|\]$/g, ''),
+      url_path: url.pathname
+    });
+  }
+
+  /**
+   * Addresses are lowercased whole: providers treat local parts case-insensitively in practice
+   */
+  canonicalizeEmail(text) {
+    const at = text.lastIndexOf('@');
+    if (at <= 0) return null;
+
+    const local = text.slice(0, at).replace(/^mailto:/i, '');
+    const domain = this.canonicalDomain(text.slice(at + 1));
+    if (!domain || !EMAIL_LOCAL_REGEX.test(local) || local.startsWith('.') || local.endsWith('.')) {
+      return null;
+    }
+
+    return this.wrap('email', `${local.toLowerCase()}@${domain}`, { email_domain: domain });
+  }
+
+  /**
+   * `algorithm`, when the type alias named one, must agree with the length
+   */
+  canonicalizeHash(text, algorithm) {
+    if (!/^[0-9a-f]+$/i.test(text)) return null;
+    const detected = HASH_ALGORITHMS[text.length];
+    if (!detected) return null;
+    if (algorithm && algorithm !== detected) return null;
+
+    return this.wrap('hash', text.toLowerCase(), { hash_algorithm: detected });
+  }
+
+  /**
+   * SHA1 or SHA256 thumbprint, with or without colon/space separators
+   */
+  canonicalizeThumbprint(text) {
+    const hex = text.replace(/[:\s]/g, '');
+    if (!/^[0-9a-f]+$/i.test(hex) || (hex.length !== 40 && hex.length !== 64)) return null;
+
+    return this.wrap('certificate', hex.toLowerCase(), { hash_algorithm: HASH_ALGORITHMS[hex.length] });
+  }
+}
+
+export default new IndicatorParser();
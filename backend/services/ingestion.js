@@ -1,27 +1,89 @@
+import { EventEmitter } from 'events';
 import db from '../db.js';
 import { v4 as uuidv4 } from 'uuid';
 import normalizer from './normalizer.js';
+import validator from './validator.js';
+import deadLetterQueue from './deadLetter.js';
+import durableQueue from './queue.js';
+import sourceRegistry from './sources.js';
+import passiveDns from './passiveDns.js';
+import enrichmentPipeline from './enrichment.js';
 
-class IngestionService {
+// Tail of the pending stores per indicator and aggregation key. Looking for a
+// row to fold into and inserting a new one are separate statements, so
+// concurrent stores of identical events are queued behind each other;
+// otherwise both would miss and insert duplicate rows.
+const aggregationLocks = new Map();
+
+function withAggregationLock(key, task) {
+  const previous = aggregationLocks.get(key) || Promise.resolve();
+  const current = previous.then(task);
+  const tail = current.catch(() => {});
+  aggregationLocks.set(key, tail);
+  tail.then(() => {
+    if (aggregationLocks.get(key) === tail) aggregationLocks.delete(key);
+  });
+  return current;
+}
+
+class IngestionService extends EventEmitter {
   constructor() {
-    this.eventQueue = [];
+    super();
     this.batchSize = 100;
     this.flushInterval = 5000; // 5 seconds
+    this.maxQueueDepth = parseInt(process.env.INGEST_QUEUE_MAX_DEPTH) || 10000;
+    this.queueDepth = null; // loaded from the spool on first use
+    this.flushing = false;
+    this.recovered = false;
+    this.counters = { enqueued: 0, processed: 0, retried: 0, dead_lettered: 0, rejected: 0 };
+    // Identical events within the window collapse into one row with an accumulated frequency
+    this.aggregation = {
+      enabled: process.env.INGEST_AGGREGATION !== 'off',
+      windowSeconds: parseInt(process.env.INGEST_AGGREGATION_WINDOW) || 300
+    };
     this.startBatchProcessing();
   }
 
   /**
    * Ingest raw event data
    */
-  async ingestEvent(rawEvent) {
+  async ingestEvent(rawEvent, options = {}) {
     try {
-      const normalizedEvent = normalizer.normalizeEvent(rawEvent);
+      await sourceRegistry.ensureLoaded();
+      let normalizedEvent = null;
+      let errors;
+      try {
+        normalizedEvent = this.isNormalized(rawEvent)
+          ? rawEvent
+          : normalizer.normalizeEvent(rawEvent);
+        errors = validator.validate(normalizedEvent, rawEvent);
+      } catch (error) {
+        errors = validator.parseErrors(error);
+      }
+
+      // Reject invalid events to the dead-letter queue instead of storing them
+      if (errors.length > 0) {
+        const deadLetterId = options.deadLetter === false
+          ? null
+          : await deadLetterQueue.add(rawEvent, normalizedEvent, errors);
+        return {
+          success: false,
+          error: `Validation failed: ${errors.map(e => `${e.field}: ${e.reason}`).join('; ')}`,
+          errors,
+          dead_letter_id: deadLetterId
+        };
+      }
       
+      sourceRegistry.applyReliability(normalizedEvent);
+      await enrichmentPipeline.enrich(normalizedEvent);
+
       // Store indicator
       const indicatorId = await this.storeIndicator(normalizedEvent);
+      await enrichmentPipeline.link(normalizedEvent, indicatorId);
       
       // Store event
       await this.storeEvent(normalizedEvent, indicatorId);
+      await passiveDns.record(normalizedEvent);
       
       return { success: true, indicator_id: indicatorId };
     } catch (error) {
@@ -30,6 +92,40 @@ class IngestionService {
     }
   }
 
+  /**
+   * Events already passed through DataNormalizer (e.g. by the syslog receiver)
+   */
+  isNormalized(event) {
+    return typeof event === 'object' && event !== null &&
+      typeof event.id === 'string' &&
+      'indicator_type' in event &&
+      'indicator_value' in event &&
+      'timestamp' in event &&
+      typeof event.metadata === 'object';
+  }
+
+  /**
+   * Re-ingest a dead-lettered event, optionally with a corrected raw payload
+   */
+  async replayDeadLetter(id, correctedPayload) {
+    const entry = await deadLetterQueue.get(id);
+    if (!entry) return null;
+    if (entry.status !== 'pending') {
+      return { success: false, error: `Dead letter is already ${entry.status}` };
+    }
+
+    const rawEvent = correctedPayload !== undefined ? correctedPayload : entry.raw_payload;
+    const result = await this.ingestEvent(rawEvent, { deadLetter: false });
+
+    await deadLetterQueue.markReplay(id, {
+      success: result.success,
+      rawEvent: correctedPayload,
+      errors: result.errors
+    });
+
+    return result;
+  }
+
   /**
    * Batch ingest multiple events
    */
@@ -52,7 +148,7 @@ class IngestionService {
 
       // Check if indicator already exists
       db.get(
-        'SELECT id, first_seen FROM indicators WHERE value = ? AND type = ?',
+        'SELECT id, first_seen, metadata FROM indicators WHERE value = ? AND type = ?',
         [normalizedEvent.indicator_value, normalizedEvent.indicator_type],
         (err, row) => {
           if (err) {
@@ -61,7 +157,22 @@ class IngestionService {
           }
 
           if (row) {
-            // Update existing indicator
+            // Update existing indicator, keeping metadata from other sources
+            let existingMetadata = {};
+            try {
+              existingMetadata = JSON.parse(row.metadata || '{}');
+            } catch (e) {}
+
+            const metadata = { ...existingMetadata, ...normalizedEvent.metadata };
+            if (existingMetadata.enrichment || normalizedEvent.metadata?.enrichment) {
+              metadata.enrichment = { ...existingMetadata.enrichment, ...normalizedEvent.metadata?.enrichment };
+            }
+            const reliability = sourceRegistry.strongest(
+              existingMetadata.source_reliability,
+              normalizedEvent.metadata?.source_reliability
+            );
+            if (reliability) metadata.source_reliability = reliability;
+
             db.run(
               `UPDATE indicators 
                SET last_seen = ?, 
@@ -71,7 +182,7 @@ class IngestionService {
               [
                 now,
                 normalizedEvent.metadata?.confidence || 0.5,
-                JSON.stringify(normalizedEvent.metadata),
+                JSON.stringify(metadata),
                 row.id
               ],
               (err) => {
@@ -107,26 +218,47 @@ class IngestionService {
   }
 
   /**
-   * Store event
+   * Store event, folding it into an identical one within the aggregation
+   * window. Resolves to the id of the row it was stored in.
    */
   storeEvent(normalizedEvent, indicatorId) {
+    const aggregationKey = this.aggregationKey(normalizedEvent);
+    if (!this.aggregation.enabled) {
+      return this.insertEvent(normalizedEvent, indicatorId, aggregationKey);
+    }
+
+    return withAggregationLock(`${indicatorId}|${aggregationKey}`, async () => {
+      const count = normalizedEvent.metadata?.attempts || 1;
+      const existingId = await this.aggregateEvent(normalizedEvent, indicatorId, aggregationKey, count);
+      return existingId || this.insertEvent(normalizedEvent, indicatorId, aggregationKey);
+    });
+  }
+
+  insertEvent(normalizedEvent, indicatorId, aggregationKey) {
+    const count = normalizedEvent.metadata?.attempts || 1;
+
     return new Promise((resolve, reject) => {
       const eventId = uuidv4();
       
       db.run(
         `INSERT INTO events 
-         (id, indicator_id, event_type, timestamp, frequency, port, geo_location, payload_size, metadata)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+         (id, indicator_id, event_type, timestamp, frequency, port, geo_location, payload_size, metadata,
+          aggregation_key, first_seen, last_seen, direction)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           eventId,
           indicatorId,
           normalizedEvent.event_type,
           normalizedEvent.timestamp,
-          normalizedEvent.metadata?.attempts || 1,
+          count,
           normalizedEvent.metadata?.port || null,
           normalizedEvent.metadata?.geo || null,
           normalizedEvent.metadata?.payload_size || null,
-          JSON.stringify(normalizedEvent.metadata)
+          JSON.stringify(normalizedEvent.metadata),
+          aggregationKey,
+          normalizedEvent.timestamp,
+          normalizedEvent.timestamp,
+          normalizedEvent.metadata?.direction || null
         ],
         (err) => {
           if (err) reject(err);
@@ -137,25 +269,163 @@ class IngestionService {
   }
 
   /**
-   * Queue event for batch processing
+   * Events are identical when they share event type, port, geo and direction
+   * (and, for IDS alerts, signature) on the same indicator
+   */
+  aggregationKey(normalizedEvent) {
+    const metadata = normalizedEvent.metadata || {};
+    const detection = metadata.detection
+      ? `${metadata.detection.engine}:${metadata.detection.signature_id}`
+      : '';
+    return [
+      normalizedEvent.event_type, metadata.port ?? '', metadata.geo ?? '', metadata.direction ?? '', detection
+    ].join('|');
+  }
+
+  /**
+   * Fold the event into a matching row seen within the window. The window
+   * slides: each merge extends last_seen, so a steady stream stays in one row.
+   * Resolves to the existing event id, or null when nothing matched.
+   */
+  aggregateEvent(normalizedEvent, indicatorId, aggregationKey, count) {
+    const time = new Date(normalizedEvent.timestamp).getTime();
+    const windowMs = this.aggregation.windowSeconds * 1000;
+    const windowStart = new Date(time - windowMs).toISOString();
+    const windowEnd = new Date(time + windowMs).toISOString();
+
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT id FROM events
+         WHERE indicator_id = ? AND event_type = ? AND aggregation_key = ?
+           AND last_seen >= ? AND first_seen <= ?
+         ORDER BY last_seen DESC
+         LIMIT 1`,
+        [indicatorId, normalizedEvent.event_type, aggregationKey, windowStart, windowEnd],
+        (err, row) => {
+          if (err) return reject(err);
+          if (!row) return resolve(null);
+
+          // timestamp follows last_seen so recency-based features see the latest hit
+          db.run(
+            `UPDATE events
+             SET frequency = frequency + ?,
+                 first_seen = MIN(first_seen, ?),
+                 last_seen = MAX(last_seen, ?),
+                 timestamp = MAX(timestamp, ?)
+             WHERE id = ?`,
+            [count, normalizedEvent.timestamp, normalizedEvent.timestamp, normalizedEvent.timestamp, row.id],
+            (updateErr) => {
+              if (updateErr) reject(updateErr);
+              else resolve(row.id);
+            }
+          );
+        }
+      );
+    });
+  }
+
+  /**
+   * Queue event for batch processing. Rejects with code QUEUE_FULL when the
+   * spool is at its maximum depth so producers can back off.
    */
-  queueEvent(event) {
-    this.eventQueue.push(event);
-    if (this.eventQueue.length >= this.batchSize) {
+  async queueEvent(event) {
+    if (this.queueDepth === null) {
+      this.queueDepth = await durableQueue.depth();
+    }
+
+    if (this.queueDepth >= this.maxQueueDepth) {
+      this.counters.rejected++;
+      const error = new Error(`Ingestion queue is full (${this.queueDepth}/${this.maxQueueDepth})`);
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    await durableQueue.enqueue(event);
+    this.queueDepth++;
+    this.counters.enqueued++;
+
+    if (this.queueDepth >= this.batchSize) {
       this.flushQueue();
     }
   }
 
+  /**
+   * True when producers should pause before queueing more
+   */
+  isSaturated() {
+    return this.queueDepth !== null && this.queueDepth >= this.maxQueueDepth;
+  }
+
   /**
    * Flush event queue
    */
   async flushQueue() {
-    if (this.eventQueue.length === 0) return;
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      if (!this.recovered) {
+        await durableQueue.recover();
+        this.recovered = true;
+      }
 
-    const batch = [...this.eventQueue];
-    this.eventQueue = [];
+      let batch;
+      do {
+        batch = await durableQueue.claim(this.batchSize);
+        for (const row of batch) {
+          await this.processQueuedRow(row);
+        }
+      } while (batch.length === this.batchSize);
+
+      this.queueDepth = await durableQueue.depth();
+      if (this.queueDepth < this.maxQueueDepth) {
+        this.emit('drain');
+      }
+    } catch (error) {
+      console.error('Queue flush error:', error);
+    } finally {
+      this.flushing = false;
+    }
+  }
 
-    await this.ingestEvents(batch);
+  /**
+   * Ingest one spooled event. Validation failures are already dead-lettered,
+   * so only storage errors are retried.
+   */
+  async processQueuedRow(row) {
+    const result = await this.ingestEvent(row.payload);
+
+    if (result.success || result.errors) {
+      await durableQueue.complete(row.id);
+      this.counters.processed++;
+      return;
+    }
+
+    const willRetry = await durableQueue.fail(row, result.error);
+    if (willRetry) {
+      this.counters.retried++;
+      return;
+    }
+
+    await deadLetterQueue.add(row.payload, null, [
+      { field: 'ingestion', reason: `Gave up after ${row.attempts + 1} attempts: ${result.error}` }
+    ]);
+    await durableQueue.complete(row.id);
+    this.counters.dead_lettered++;
+  }
+
+  /**
+   * Queue depth, lag and throughput counters
+   */
+  async getQueueStats() {
+    const stats = await durableQueue.stats();
+    this.queueDepth = stats.depth;
+    return {
+      ...stats,
+      max_depth: this.maxQueueDepth,
+      saturated: this.isSaturated(),
+      counters: { ...this.counters }
+    };
   }
 
   /**
@@ -178,6 +448,7 @@ class IngestionService {
         port: 22,
         attempts: 250,
         geo: 'RU',
+        source: 'threat_feed_simulator',
         timestamp: new Date().toISOString()
       },
       {
@@ -185,12 +456,14 @@ class IngestionService {
         event_type: 'port_scan',
         port: 443,
         geo: 'CN',
+        source: 'threat_feed_simulator',
         timestamp: new Date().toISOString()
       },
       {
         domain: 'malicious-c2.com',
         event_type: 'c2_communication',
         geo: 'RU',
+        source: 'threat_feed_simulator',
         timestamp: new Date().toISOString()
       },
       {
@@ -198,6 +471,7 @@ class IngestionService {
         event_type: 'data_exfiltration',
         payload_size: 104857600, // 100MB
         geo: 'US',
+        source: 'threat_feed_simulator',
         timestamp: new Date().toISOString()
       }
     ];
@@ -0,0 +1,271 @@
+import indicatorParser from './indicators.js';
+import ingestionService from './ingestion.js';
+import sourceRegistry from './sources.js';
+
+// Address ranges that only show up in reports as examples or internal noise
+const NOISE_RANGES = [
+  ['192.0.2.0/24', 'documentation range (RFC 5737)'],
+  ['198.51.100.0/24', 'documentation range (RFC 5737)'],
+  ['203.0.113.0/24', 'documentation range (RFC 5737)'],
+  ['2001:db8::/32', 'documentation range (RFC 3849)'],
+  ['10.0.0.0/8', 'private address (RFC 1918)'],
+  ['172.16.0.0/12', 'private address (RFC 1918)'],
+  ['192.168.0.0/16', 'private address (RFC 1918)'],
+  ['fc00::/7', 'unique local address (RFC 4193)'],
+  ['127.0.0.0/8', 'loopback address'],
+  ['::1/128', 'loopback address'],
+  ['169.254.0.0/16', 'link-local address'],
+  ['fe80::/10', 'link-local address'],
+  ['0.0.0.0/8', 'unspecified address'],
+  ['::/128', 'unspecified address'],
+  ['224.0.0.0/4', 'multicast address'],
+  ['255.255.255.255/32', 'broadcast address']
+];
+
+// Reserved for documentation and testing (RFC 2606 / RFC 6761)
+const NOISE_DOMAINS = ['example.com', 'example.net', 'example.org'];
+const NOISE_TLDS = ['example', 'test', 'invalid', 'localhost', 'local'];
+
+// "dropper.exe" and "report.pdf" match the domain pattern but are file names
+const FILE_EXTENSIONS = new Set([
+  'exe', 'dll', 'sys', 'bat', 'cmd', 'ps1', 'vbs', 'js', 'jar', 'msi', 'scr', 'lnk', 'hta',
+  'pdf', 'doc', 'docx', 'docm', 'xls', 'xlsx', 'xlsm', 'ppt', 'pptx', 'rtf', 'txt', 'csv', 'log',
+  'zip', 'rar', '7z', 'gz', 'tar', 'iso', 'img', 'bin', 'dat', 'tmp', 'json', 'xml', 'yml', 'yaml',
+  'png', 'jpg', 'jpeg', 'gif', 'py', 'sh', 'php', 'asp', 'aspx', 'jsp', 'html', 'htm', 'elf', 'apk'
+]);
+
+// Patterns are applied in order; text matched by an earlier one is masked so a
+// URL's host or an email's domain is not extracted again as a bare domain
+const PATTERNS = [
+  ['url', /\b[a-z][a-z0-9+.-]*:\/\/[^\s<>"'`]+/gi],
+  ['email', /(?<![\w.+-])[\w.+-]+@(?:[a-z0-9-]+\.)+[a-z]{2,63}\b/gi],
+  ['cve', /\bCVE-\d{4}-\d{4,}\b/gi],
+  ['ja3', /\bja3s?\b[\s:=]*[a-f0-9]{32}\b/gi],
+  ['certificate', /(?<![a-f0-9:])(?:[a-f0-9]{2}:){19}[a-f0-9]{2}(?:(?::[a-f0-9]{2}){12})?(?![a-f0-9:])/gi],
+  ['IP', /(?<![\d.])\d{1,3}(?:\.\d{1,3}){3}(?:\/\d{1,2})?(?!\.?\d)/g],
+  ['IP', /(?<![0-9a-f:])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?:%[\w.-]+)?(?:\/\d{1,3})?(?![0-9a-f:])/gi],
+  ['hash', /(?<![a-f0-9])[a-f0-9]{32,128}(?![a-f0-9])/gi],
+  ['domain', /(?<![\w@.-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{1,62}(?![\w-])/gi]
+];
+
+// Sentence punctuation that commonly trails a URL in prose
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+
+class IocExtractor {
+  /**
+   * Undo common defanging: hxxp, [.], (dot), [:], [@], [at] ...
+   */
+  refang(text) {
+    return String(text)
+      .replace(/\bh[xX]{2}p(s?)\b/g, 'http$1')
+      .replace(/\bfxp\b/gi, 'ftp')
+      .replace(/\[\s*(?:\.|dot)\s*\]|\(\s*(?:\.|dot)\s*\)|\{\s*(?:\.|dot)\s*\}/gi, '.')
+      .replace(/\[\s*(?:@|at)\s*\]|\(\s*(?:@|at)\s*\)/gi, '@')
+      .replace(/\[(:\/\/|:|\/)\]/g, '$1');
+  }
+
+  /**
+   * Make an indicator value safe to paste: it no longer resolves or links
+   */
+  defang(type, value) {
+    if (typeof value !== 'string') return value;
+
+    switch (indicatorParser.resolveType(type)) {
+      case 'url': {
+        const [scheme, rest] = value.split('://');
+        if (rest === undefined) return value;
+        const slash = rest.indexOf('/');
+        const host = slash === -1 ? rest : rest.slice(0, slash);
+        const path = slash === -1 ? '' : rest.slice(slash);
+        const safeScheme = scheme.replace(/^http/i, 'hxxp').replace(/^ftp/i, 'fxp');
+        return `${safeScheme}[://]${host.replace(/\./g, '[.]')}${path}`;
+      }
+      case 'domain':
+        return value.replace(/\./g, '[.]');
+      case 'email':
+        return value.replace('@', '[@]').replace(/\./g, '[.]');
+      case 'IP':
+      case 'cidr':
+        // 1.2.3[.]4, 2001[:]db8::1
+        return value.includes('.')
+          ? value.replace(/\.(?=[^.]*$)/, '[.]')
+          : value.replace(':', '[:]');
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Defang every indicator value in an API response body. indicator_value and
+   * entity_value are rewritten by their type, or by detection when it is
+   * missing; a plain value only when its object's type names an indicator
+   * type, so watchlist, allowlist and profile payloads keep their values.
+   * Graph edge endpoints are typed by detection.
+   */
+  defangObject(body) {
+    if (Array.isArray(body)) return body.map(item => this.defangObject(item));
+    if (!body || typeof body !== 'object') return body;
+
+    const result = {};
+    for (const [key, value] of Object.entries(body)) {
+      result[key] = typeof value === 'object' ? this.defangObject(value) : value;
+    }
+
+    for (const [typeKey, valueKey] of [['indicator_type', 'indicator_value'], ['entity_type', 'entity_value']]) {
+      if (typeof result[valueKey] !== 'string') continue;
+      const type = indicatorParser.resolveType(result[typeKey])
+        || indicatorParser.detect(result[valueKey])?.type;
+      if (type) result[valueKey] = this.defang(type, result[valueKey]);
+    }
+
+    if (typeof result.value === 'string' && indicatorParser.resolveType(result.type)) {
+      result.value = this.defang(result.type, result.value);
+    }
+
+    for (const key of ['source_value', 'target_value']) {
+      if (typeof result[key] !== 'string') continue;
+      const detected = indicatorParser.detect(result[key]);
+      if (detected) result[key] = this.defang(detected.type, result[key]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract, refang, canonicalize and de-duplicate IOCs from free text.
+   * Returns { candidates, dropped }: dropped entries were recognized but are noise.
+   */
+  extract(text) {
+    let remaining = this.refang(text);
+    const found = new Map();
+    const dropped = new Map();
+
+    for (const [type, pattern] of PATTERNS) {
+      remaining = remaining.replace(pattern, match => {
+        const indicator = this.parseMatch(type, match);
+        if (!indicator) return match;
+
+        const key = `${indicator.type}:${indicator.value}`;
+        const reason = this.noiseReason(indicator);
+        const target = reason ? dropped : found;
+        const existing = target.get(key);
+
+        if (existing) {
+          existing.occurrences++;
+        } else {
+          target.set(key, {
+            type: indicator.type,
+            value: indicator.value,
+            ...indicator.attributes,
+            occurrences: 1,
+            ...(reason ? { reason } : {})
+          });
+        }
+
+        return ' '.repeat(match.length);
+      });
+    }
+
+    return {
+      candidates: Array.from(found.values()),
+      dropped: Array.from(dropped.values())
+    };
+  }
+
+  /**
+   * Store reviewed candidates as indicators (no events are recorded)
+   */
+  async ingest(candidates, { source, confidence = 0.5, reference } = {}) {
+    const results = [];
+
+    for (const candidate of candidates) {
+      // Reviewed candidates may come back defanged
+      const indicator = indicatorParser.canonicalize(candidate.type, this.refang(candidate.value ?? ''));
+      if (!indicator) {
+        results.push({ type: candidate.type, value: candidate.value, success: false, error: 'Invalid indicator' });
+        continue;
+      }
+
+      try {
+        const indicatorId = await ingestionService.storeIndicator(sourceRegistry.applyReliability({
+          indicator_type: indicator.type,
+          indicator_value: indicator.value,
+          source,
+          metadata: {
+            ...indicator.attributes,
+            confidence,
+            extracted_from: reference || 'free_text'
+          }
+        }));
+        results.push({ type: indicator.type, value: indicator.value, success: true, indicator_id: indicatorId });
+      } catch (error) {
+        results.push({ type: indicator.type, value: indicator.value, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Canonicalize one regex match; null when it does not hold up as that type
+   */
+  parseMatch(type, match) {
+    switch (type) {
+      case 'url':
+        return indicatorParser.canonicalize('url', match.replace(TRAILING_PUNCTUATION, ''));
+      case 'ja3': {
+        const [, label, fingerprint] = match.match(/^(ja3s?)\b[\s:=]*([a-f0-9]{32})$/i);
+        return indicatorParser.canonicalize(label.toLowerCase(), fingerprint);
+      }
+      case 'IP':
+        return indicatorParser.canonicalize(match.includes('/') ? 'cidr' : 'IP', match);
+      case 'domain': {
+        const tld = match.slice(match.lastIndexOf('.') + 1).toLowerCase();
+        if (FILE_EXTENSIONS.has(tld)) return null;
+        return indicatorParser.canonicalize('domain', match);
+      }
+      default:
+        return indicatorParser.canonicalize(type, match);
+    }
+  }
+
+  /**
+   * Why an indicator is known-benign, or null when it should be kept
+   */
+  noiseReason(indicator) {
+    switch (indicator.type) {
+      case 'IP':
+      case 'cidr':
+        return this.addressNoise(indicator.value.split('/')[0]);
+      case 'domain':
+        return this.domainNoise(indicator.value);
+      case 'email':
+        return this.domainNoise(indicator.attributes.email_domain);
+      case 'url': {
+        const host = indicator.attributes.url_host;
+        return indicatorParser.addressGroups(host) ? this.addressNoise(host) : this.domainNoise(host);
+      }
+      default:
+        return null;
+    }
+  }
+
+  addressNoise(address) {
+    const range = NOISE_RANGES.find(([cidr]) => indicatorParser.cidrContains(cidr, address));
+    return range ? range[1] : null;
+  }
+
+  domainNoise(domain) {
+    if (!domain) return null;
+    if (NOISE_DOMAINS.some(d => domain === d || domain.endsWith(`.${d}`))) {
+      return 'reserved example domain (RFC 2606)';
+    }
+    const tld = domain.slice(domain.lastIndexOf('.') + 1);
+    if (domain === 'localhost' || NOISE_TLDS.includes(tld)) {
+      return 'reserved top-level domain (RFC 6761)';
+    }
+    return null;
+  }
+}
+
+export default new IocExtractor();
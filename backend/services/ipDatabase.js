@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import MmdbReader from './mmdb.js';
+import indicatorParser from './indicators.js';
+import { parseCSVRow } from './csv.js';
+
+// IPv4 addresses are keyed inside ::ffff:0:0/96 so both versions share one range table
+const IPV4_MAPPED_PREFIX = 0xffff00000000n;
+const MAX_IPV4 = 0xffffffffn;
+
+// Range columns, by the names common range databases use for them
+const RANGE_COLUMNS = {
+  start_ip: ['start_ip', 'ip_start', 'ip_from', 'range_start', 'first_ip'],
+  end_ip: ['end_ip', 'ip_end', 'ip_to', 'range_end', 'last_ip'],
+  network: ['network', 'cidr', 'prefix']
+};
+
+/**
+ * An offline IP database: a MaxMind-format .mmdb file or a CSV/TSV of IP ranges.
+ * Lookups are cached, and the file is polled so a replaced database is picked up
+ * without a restart.
+ *
+ * `columns` maps result fields to the header names a CSV may use for them;
+ * `defaultColumns` is the column order of header-less files. `fromRecord`
+ * turns an mmdb record into a result, `fromRow` a CSV row keyed by field name.
+ */
+class IpDatabase {
+  constructor({ name, columns, defaultColumns, fromRecord, fromRow, cacheSize = 10000, watchIntervalMs = 30000 }) {
+    this.name = name;
+    this.columns = { ...RANGE_COLUMNS, ...columns };
+    this.defaultColumns = defaultColumns;
+    this.fromRecord = fromRecord;
+    this.fromRow = fromRow;
+    this.cacheSize = cacheSize;
+    this.watchIntervalMs = watchIntervalMs;
+
+    this.filePath = null;
+    this.format = null;
+    this.reader = null;
+    this.ranges = null;
+    this.loadedAt = null;
+    this.cache = new Map();
+    this.stats = { hits: 0, misses: 0, reloads: 0 };
+    this.watcher = null;
+    this.watchedPath = null;
+  }
+
+  get loaded() {
+    return Boolean(this.reader || this.ranges);
+  }
+
+  /**
+   * Load the database at `filePath` and start watching it for updates
+   */
+  async load(filePath) {
+    await this.open(filePath);
+    this.watch();
+  }
+
+  /**
+   * Read the file into a fresh reader or range table, then swap it in. A file
+   * that fails to load leaves the previous database in place.
+   */
+  async open(filePath) {
+    const format = path.extname(filePath).toLowerCase() === '.mmdb' ? 'mmdb' : 'csv';
+
+    if (format === 'mmdb') {
+      const reader = new MmdbReader(await fs.promises.readFile(filePath));
+      this.reader = reader;
+      this.ranges = null;
+    } else {
+      const ranges = await this.readRanges(filePath);
+      this.ranges = ranges;
+      this.reader = null;
+    }
+
+    this.filePath = filePath;
+    this.format = format;
+    this.loadedAt = new Date().toISOString();
+    this.cache.clear();
+  }
+
+  watch() {
+    this.unwatch();
+    const filePath = this.filePath;
+
+    this.watcher = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || current.mtimeMs === 0) return;
+      this.open(filePath)
+        .then(() => {
+          this.stats.reloads++;
+          console.log(`${this.name} database reloaded from ${filePath}`);
+        })
+        .catch(error => console.error(`Error reloading ${this.name} database:`, error.message));
+    };
+    this.watchedPath = filePath;
+    fs.watchFile(filePath, { interval: this.watchIntervalMs, persistent: false }, this.watcher);
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      fs.unwatchFile(this.watchedPath, this.watcher);
+      this.watcher = null;
+      this.watchedPath = null;
+    }
+  }
+
+  /**
+   * Result for an IP address, or null when it is not covered (or not an IP)
+   */
+  lookup(ip) {
+    if (!this.loaded) return null;
+
+    if (this.cache.has(ip)) {
+      const cached = this.cache.get(ip);
+      // Re-insert so the Map's insertion order doubles as LRU order
+      this.cache.delete(ip);
+      this.cache.set(ip, cached);
+      this.stats.hits++;
+      return cached;
+    }
+
+    this.stats.misses++;
+    const address = indicatorParser.addressGroups(ip);
+    const result = address ? this.find(address) : null;
+
+    this.cache.set(ip, result);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return result;
+  }
+
+  find(address) {
+    if (this.reader) {
+      const record = this.reader.get(this.toBytes(address));
+      return record ? this.fromRecord(record) : null;
+    }
+
+    const key = this.toKey(address);
+    const ranges = this.ranges;
+    let low = 0;
+    let high = ranges.length - 1;
+
+    // Last range starting at or before the address
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (ranges[mid].start <= key) low = mid + 1;
+      else high = mid - 1;
+    }
+
+    const range = ranges[high];
+    return range && key <= range.end ? range.result : null;
+  }
+
+  toBytes({ groups }) {
+    return groups.flatMap(group => [group >> 8, group & 0xff]);
+  }
+
+  toKey({ version, groups }) {
+    const value = groups.reduce((key, group) => (key << 16n) | BigInt(group), 0n);
+    return version === 4 ? IPV4_MAPPED_PREFIX | value : value;
+  }
+
+  /**
+   * Range key for a CSV bound: an address, or an integer as IP2Location writes them
+   */
+  parseBound(text) {
+    if (/^\d+$/.test(text)) {
+      const value = BigInt(text);
+      return value <= MAX_IPV4 ? IPV4_MAPPED_PREFIX | value : value;
+    }
+    const address = indicatorParser.addressGroups(text);
+    return address ? this.toKey(address) : null;
+  }
+
+  parseNetwork(text) {
+    const cidr = indicatorParser.canonicalize('cidr', text);
+    if (!cidr) return null;
+
+    const [network, prefix] = cidr.value.split('/');
+    const address = indicatorParser.addressGroups(network);
+    const hostBits = BigInt((address.version === 4 ? 32 : 128) - parseInt(prefix));
+    const start = this.toKey(address);
+    return { start, end: start + (1n << hostBits) - 1n };
+  }
+
+  /**
+   * Read a CSV (or TSV) range database into a table sorted by range start
+   */
+  async readRanges(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    const ranges = [];
+    let fields = null;
+
+    for await (const line of lines) {
+      if (!line.trim() || line.startsWith('#')) continue;
+
+      const values = line.includes('\t') ? line.split('\t') : parseCSVRow(line);
+      if (!fields) {
+        fields = this.resolveHeader(values);
+        if (fields) continue;
+        fields = this.defaultColumns;
+      }
+
+      const row = Object.fromEntries(fields.map((field, i) => [field, values[i]?.trim()]));
+      const bounds = row.network
+        ? this.parseNetwork(row.network)
+        : { start: this.parseBound(row.start_ip || ''), end: this.parseBound(row.end_ip || '') };
+      if (!bounds || bounds.start === null || bounds.end === null) continue;
+
+      ranges.push({ start: bounds.start, end: bounds.end, result: this.fromRow(row) });
+    }
+
+    if (ranges.length === 0) {
+      throw new Error(`${filePath} contains no IP ranges`);
+    }
+    return ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  }
+
+  /**
+   * Field names for a header row, or null when the row is data
+   */
+  resolveHeader(values) {
+    const names = values.map(value => value.trim().toLowerCase());
+    const fields = names.map(name =>
+      Object.keys(this.columns).find(field => this.columns[field].includes(name)) || name
+    );
+
+    const hasRange = fields.includes('network') || (fields.includes('start_ip') && fields.includes('end_ip'));
+    return hasRange ? fields : null;
+  }
+
+  status() {
+    return {
+      loaded: this.loaded,
+      path: this.filePath,
+      format: this.format,
+      loaded_at: this.loadedAt,
+      database_type: this.reader?.metadata.database_type || null,
+      build_epoch: this.reader?.metadata.build_epoch || null,
+      ranges: this.ranges ? this.ranges.length : null,
+      cache: { size: this.cache.size, max: this.cacheSize, hits: this.stats.hits, misses: this.stats.misses },
+      reloads: this.stats.reloads
+    };
+  }
+}
+
+export default IpDatabase;
@@ -0,0 +1,365 @@
+import indicatorParser from './indicators.js';
+
+export const MATCH_TYPES = ['exact', 'cidr', 'domain', 'wildcard', 'regex'];
+
+// Longer regular expressions are refused; every pattern is tried on each lookup
+const MAX_PATTERN_LENGTH = 512;
+
+/**
+ * Path-compressed binary radix tree keyed by address bits. Each node holds the
+ * items of the network its path spells out.
+ */
+class RadixTree {
+  constructor() {
+    this.root = { bits: '', children: [null, null], items: null };
+  }
+
+  insert(bits, item) {
+    let node = this.root;
+    let rest = bits;
+
+    while (rest.length > 0) {
+      const branch = rest[0];
+      const child = node.children[branch];
+      if (!child) {
+        node.children[branch] = { bits: rest, children: [null, null], items: [item] };
+        return;
+      }
+
+      const common = commonPrefixLength(child.bits, rest);
+      if (common < child.bits.length) {
+        // Split the edge where the keys diverge
+        const middle = { bits: child.bits.slice(0, common), children: [null, null], items: null };
+        child.bits = child.bits.slice(common);
+        middle.children[child.bits[0]] = child;
+        node.children[branch] = middle;
+      }
+      node = node.children[branch];
+      rest = rest.slice(common);
+    }
+
+    (node.items || (node.items = [])).push(item);
+  }
+
+  delete(bits, item) {
+    const node = this.find(bits);
+    if (!node?.items) return false;
+    const index = node.items.indexOf(item);
+    if (index === -1) return false;
+    node.items.splice(index, 1);
+    return true;
+  }
+
+  find(bits) {
+    let node = this.root;
+    let rest = bits;
+    while (rest.length > 0) {
+      const child = node.children[rest[0]];
+      if (!child || !rest.startsWith(child.bits)) return null;
+      node = child;
+      rest = rest.slice(child.bits.length);
+    }
+    return node;
+  }
+
+  /**
+   * Items of every network containing the address, most specific first
+   */
+  lookup(bits) {
+    const found = [];
+    let node = this.root;
+    let rest = bits;
+
+    while (node) {
+      if (node.items) found.push(...node.items);
+      const child = rest.length > 0 ? node.children[rest[0]] : null;
+      if (!child || !rest.startsWith(child.bits)) break;
+      rest = rest.slice(child.bits.length);
+      node = child;
+    }
+    return found.reverse();
+  }
+}
+
+/**
+ * Trie of domain labels from the TLD down, so a lookup walks a name's parent
+ * domains in one pass
+ */
+class DomainSuffixTrie {
+  constructor() {
+    this.root = { children: null, items: null };
+  }
+
+  insert(domain, item) {
+    let node = this.root;
+    for (const label of domain.split('.').reverse()) {
+      if (!node.children) node.children = new Map();
+      let child = node.children.get(label);
+      if (!child) {
+        child = { children: null, items: null };
+        node.children.set(label, child);
+      }
+      node = child;
+    }
+    (node.items || (node.items = [])).push(item);
+  }
+
+  delete(domain, item) {
+    let node = this.root;
+    for (const label of domain.split('.').reverse()) {
+      node = node.children?.get(label);
+      if (!node) return false;
+    }
+    const index = node.items ? node.items.indexOf(item) : -1;
+    if (index === -1) return false;
+    node.items.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Items stored for a name and its parent domains, most specific first, each
+   * as { item, self } where self is true for items stored on the name itself
+   */
+  lookup(domain) {
+    const labels = domain.split('.').reverse();
+    const found = [];
+    let node = this.root;
+
+    for (let i = 0; i < labels.length; i++) {
+      node = node.children?.get(labels[i]);
+      if (!node) break;
+      if (node.items) {
+        const self = i === labels.length - 1;
+        node.items.forEach(item => found.push({ item, self }));
+      }
+    }
+    return found.reverse();
+  }
+}
+
+function commonPrefixLength(a, b) {
+  const length = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < length && a[i] === b[i]) i++;
+  return i;
+}
+
+function addressBits({ groups }) {
+  return groups.map(group => group.toString(2).padStart(16, '0')).join('');
+}
+
+function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check and canonicalize a match entry. `type` names the indicator type of
+ * exact values (detected when omitted) and the type a regex applies to (url
+ * by default). Without a match type, CIDRs match as ranges and values with
+ * "*" as wildcards.
+ *
+ * Returns { match_type, value, indicator_type } or { error }.
+ */
+export function parseEntry(matchType, value, type) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return { error: 'value is required' };
+
+  let kind = matchType ? String(matchType).trim().toLowerCase() : null;
+  if (!kind) {
+    if (text.includes('*')) kind = 'wildcard';
+    else if (!type && indicatorParser.detect(text)?.type === 'cidr') kind = 'cidr';
+    else kind = 'exact';
+  }
+
+  switch (kind) {
+    case 'exact': {
+      const parsed = type ? indicatorParser.canonicalize(type, text) : indicatorParser.detect(text);
+      if (!parsed) return { error: `value is not a valid ${type || 'indicator'}` };
+      if (parsed.type === 'cidr') return parseEntry('cidr', parsed.value);
+      return { match_type: 'exact', value: parsed.value, indicator_type: parsed.type };
+    }
+    case 'cidr': {
+      const parsed = indicatorParser.canonicalize('IP', text);
+      if (!parsed) return { error: 'value must be a CIDR range or an IP address' };
+      const cidr = parsed.type === 'cidr'
+        ? parsed.value
+        : `${parsed.value}/${parsed.attributes.ip_version === 6 ? 128 : 32}`;
+      return { match_type: 'cidr', value: cidr, indicator_type: 'IP' };
+    }
+    case 'domain': {
+      const domain = indicatorParser.canonicalDomain(text.replace(/^\*?\./, ''));
+      if (!domain) return { error: 'value must be a domain' };
+      return { match_type: 'domain', value: domain, indicator_type: 'domain' };
+    }
+    case 'wildcard': {
+      if (!text.includes('*')) return { error: 'wildcard values must contain "*"' };
+      const suffix = text.match(/^\*\.([^*]+)$/);
+      if (suffix) {
+        const domain = indicatorParser.canonicalDomain(suffix[1]);
+        if (!domain) return { error: 'value must be "*." followed by a domain' };
+        return { match_type: 'wildcard', value: `*.${domain}`, indicator_type: 'domain' };
+      }
+      const glob = text.toLowerCase();
+      if (!/^[a-z0-9*._-]+$/.test(glob)) {
+        return { error: 'wildcards may contain letters, digits, ".", "-", "_" and "*"' };
+      }
+      return { match_type: 'wildcard', value: glob, indicator_type: 'domain' };
+    }
+    case 'regex': {
+      const indicatorType = type ? indicatorParser.resolveType(type) : 'url';
+      if (!indicatorType) return { error: `unknown indicator type "${type}"` };
+      if (text.length > MAX_PATTERN_LENGTH) {
+        return { error: `regular expressions must be at most ${MAX_PATTERN_LENGTH} characters` };
+      }
+      try {
+        new RegExp(text, 'i');
+      } catch (error) {
+        return { error: error.message };
+      }
+      return { match_type: 'regex', value: text, indicator_type: indicatorType };
+    }
+    default:
+      return { error: `match_type must be one of: ${MATCH_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * In-memory index of match entries ({ match_type, value, indicator_type },
+ * as returned by parseEntry, plus whatever the owner stores on them).
+ * Exact values are hashed, CIDRs kept in a radix tree per IP version, domains
+ * and "*.domain" wildcards in a suffix trie, so lookups stay fast with
+ * hundreds of thousands of entries; only regexes and other globs are tried
+ * one by one.
+ */
+class MatchIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.exact = new Map();
+    this.networks = { 4: new RadixTree(), 6: new RadixTree() };
+    this.domains = new DomainSuffixTrie();
+    this.patterns = [];
+    this.size = 0;
+  }
+
+  add(entry) {
+    switch (entry.match_type) {
+      case 'exact': {
+        const entries = this.exact.get(entry.value);
+        if (entries) entries.push(entry);
+        else this.exact.set(entry.value, [entry]);
+        break;
+      }
+      case 'cidr': {
+        const [network, prefix] = entry.value.split('/');
+        const address = indicatorParser.addressGroups(network);
+        this.networks[address.version].insert(addressBits(address).slice(0, parseInt(prefix)), entry);
+        break;
+      }
+      case 'domain':
+        this.domains.insert(entry.value, entry);
+        break;
+      case 'wildcard':
+        if (/^\*\.[^*]+$/.test(entry.value)) {
+          this.domains.insert(entry.value.slice(2), entry);
+        } else {
+          this.patterns.push({ entry, regex: globToRegExp(entry.value) });
+        }
+        break;
+      case 'regex':
+        this.patterns.push({ entry, regex: new RegExp(entry.value, 'i') });
+        break;
+      default:
+        return false;
+    }
+    this.size++;
+    return true;
+  }
+
+  remove(entry) {
+    let removed = false;
+    switch (entry.match_type) {
+      case 'exact': {
+        const entries = this.exact.get(entry.value) || [];
+        const index = entries.indexOf(entry);
+        if (index !== -1) {
+          entries.splice(index, 1);
+          if (entries.length === 0) this.exact.delete(entry.value);
+          removed = true;
+        }
+        break;
+      }
+      case 'cidr': {
+        const [network, prefix] = entry.value.split('/');
+        const address = indicatorParser.addressGroups(network);
+        removed = this.networks[address.version].delete(addressBits(address).slice(0, parseInt(prefix)), entry);
+        break;
+      }
+      case 'domain':
+        removed = this.domains.delete(entry.value, entry);
+        break;
+      default: {
+        if (entry.match_type === 'wildcard' && /^\*\.[^*]+$/.test(entry.value)) {
+          removed = this.domains.delete(entry.value.slice(2), entry);
+        } else {
+          const before = this.patterns.length;
+          this.patterns = this.patterns.filter(pattern => pattern.entry !== entry);
+          removed = this.patterns.length < before;
+        }
+      }
+    }
+    if (removed) this.size--;
+    return removed;
+  }
+
+  /**
+   * Entries matching an indicator, most specific first. URLs also match the
+   * entries for their host.
+   */
+  match(type, value, attributes = {}) {
+    const canonicalType = indicatorParser.resolveType(type) || type;
+    const found = [...(this.exact.get(value) || [])];
+    let host = null;
+
+    if (canonicalType === 'IP') {
+      found.push(...this.matchAddress(value));
+    } else if (canonicalType === 'domain') {
+      host = value;
+      found.push(...this.matchDomain(value));
+    } else if (canonicalType === 'url') {
+      host = attributes.url_host || indicatorParser.canonicalize('url', value)?.attributes.url_host || null;
+      if (host) {
+        found.push(...(this.exact.get(host) || []));
+        found.push(...(indicatorParser.addressGroups(host) ? this.matchAddress(host) : this.matchDomain(host)));
+      }
+    }
+
+    this.patterns.forEach(({ entry, regex }) => {
+      if (entry.match_type === 'regex') {
+        if (entry.indicator_type === canonicalType && regex.test(value)) found.push(entry);
+      } else if (host && regex.test(host)) {
+        // Globs name hosts, so a URL is tried by its host
+        found.push(entry);
+      }
+    });
+
+    return Array.from(new Set(found));
+  }
+
+  matchAddress(ip) {
+    const address = indicatorParser.addressGroups(ip);
+    return address ? this.networks[address.version].lookup(addressBits(address)) : [];
+  }
+
+  matchDomain(domain) {
+    return this.domains.lookup(domain)
+      // "*.example.com" covers the subdomains of example.com but not the domain itself
+      .filter(({ item, self }) => !(self && item.match_type === 'wildcard'))
+      .map(({ item }) => item);
+  }
+}
+
+export default MatchIndex;
@@ -0,0 +1,401 @@
+import db from '../db.js';
+import { v4 as uuidv4 } from 'uuid';
+import ingestionService from './ingestion.js';
+import indicatorParser from './indicators.js';
+import sourceRegistry from './sources.js';
+import graphEngine from '../engines/graphEngine.js';
+
+// MISP attribute types mapped to engine indicator types
+const ATTRIBUTE_TYPES = {
+  'ip-dst': 'IP',
+  'ip-src': 'IP',
+  'domain': 'domain',
+  'hostname': 'domain',
+  'url': 'url',
+  'uri': 'url',
+  'md5': 'hash',
+  'sha1': 'hash',
+  'sha256': 'hash',
+  'sha512': 'hash',
+  'email-src': 'email',
+  'email-dst': 'email',
+  'ja3-fingerprint-md5': 'ja3',
+  'x509-fingerprint-sha1': 'certificate',
+  'x509-fingerprint-sha256': 'certificate',
+  'vulnerability': 'cve'
+};
+
+// Confidence implied by MISP threat_level_id (1 high .. 4 undefined) for to_ids attributes
+const THREAT_LEVEL_CONFIDENCE = { 1: 0.9, 2: 0.75, 3: 0.5, 4: 0.4 };
+const NON_IDS_CONFIDENCE = 0.3;
+
+const HASH_TYPES = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+
+class MispConnector {
+  /**
+   * Import a MISP event JSON document
+   */
+  async importEvent(document, options = {}) {
+    const event = this.unwrapEvent(document);
+    const source = options.source || `misp:${event.Orgc?.name || event.Org?.name || 'unknown'}`;
+
+    await sourceRegistry.ensureLoaded();
+    const rejection = sourceRegistry.check(source);
+    if (rejection) throw new Error(rejection);
+
+    const eventTags = this.tagNames(event.Tag);
+    const summary = {
+      event_uuid: event.uuid || null,
+      attributes: 0,
+      relationships: 0,
+      skipped: []
+    };
+
+    // attribute/object uuid -> graph node ids, used for object references
+    const nodesByUuid = new Map();
+
+    const attributes = [
+      ...(event.Attribute || []).map(attribute => ({ attribute, object: null })),
+      ...(event.Object || []).flatMap(object =>
+        (object.Attribute || []).map(attribute => ({ attribute, object }))
+      )
+    ];
+
+    for (const { attribute, object } of attributes) {
+      try {
+        const nodeId = await this.importAttribute(attribute, object, event, eventTags, source);
+        summary.attributes++;
+
+        this.trackNode(nodesByUuid, attribute.uuid, nodeId);
+        if (object) this.trackNode(nodesByUuid, object.uuid, nodeId);
+
+        // Galaxies attached directly to an attribute
+        summary.relationships += await this.linkGalaxies([nodeId], attribute.Galaxy);
+      } catch (error) {
+        summary.skipped.push({ uuid: attribute.uuid, type: attribute.type, reason: error.message });
+      }
+    }
+
+    // Event-level galaxies apply to every imported attribute
+    const allNodes = Array.from(new Set(Array.from(nodesByUuid.values()).flat()));
+    summary.relationships += await this.linkGalaxies(allNodes, event.Galaxy);
+    summary.relationships += await this.linkObjectReferences(event.Object || [], nodesByUuid);
+
+    return summary;
+  }
+
+  unwrapEvent(document) {
+    const event = document?.Event || document?.response?.[0]?.Event || document;
+    if (!event || typeof event !== 'object' || (!event.Attribute && !event.Object)) {
+      throw new Error('Expected a MISP event with Attribute or Object entries');
+    }
+    return event;
+  }
+
+  tagNames(tags) {
+    return (tags || []).map(t => t.name).filter(Boolean);
+  }
+
+  trackNode(map, uuid, nodeId) {
+    if (!uuid) return;
+    if (!map.has(uuid)) map.set(uuid, []);
+    map.get(uuid).push(nodeId);
+  }
+
+  /**
+   * Resolve a MISP attribute (including composite types like ip-dst|port) to an indicator
+   */
+  parseAttribute(attribute) {
+    const [baseType, secondType] = String(attribute.type).split('|');
+    const values = String(attribute.value ?? '').split('|');
+
+    // filename|sha256 style composites carry the indicator in the second half
+    if (secondType && ATTRIBUTE_TYPES[secondType] === 'hash') {
+      return this.canonicalize({ type: 'hash', value: values[1], algorithm: secondType, filename: values[0] });
+    }
+
+    const type = ATTRIBUTE_TYPES[baseType];
+    if (!type) return null;
+
+    const parsed = { type, value: values[0] };
+    if (type === 'hash') parsed.algorithm = baseType;
+    if (secondType === 'port') parsed.port = parseInt(values[1]) || null;
+    return this.canonicalize(parsed);
+  }
+
+  /**
+   * Use the shared canonical form so graph nodes line up with stored indicators
+   */
+  canonicalize(parsed) {
+    const canonical = indicatorParser.canonicalize(parsed.type, parsed.value || '');
+    return canonical ? { ...parsed, type: canonical.type, value: canonical.value } : parsed;
+  }
+
+  async importAttribute(attribute, object, event, eventTags, source) {
+    const indicator = this.parseAttribute(attribute);
+    if (!indicator || !indicator.value) {
+      throw new Error(`Unsupported attribute type: ${attribute.type}`);
+    }
+
+    const toIds = attribute.to_ids === true || attribute.to_ids === '1' || attribute.to_ids === 1;
+    const confidence = toIds
+      ? THREAT_LEVEL_CONFIDENCE[parseInt(event.threat_level_id)] || 0.5
+      : NON_IDS_CONFIDENCE;
+
+    const timestamp = attribute.timestamp
+      ? new Date(parseInt(attribute.timestamp) * 1000).toISOString()
+      : event.date;
+
+    const result = await ingestionService.ingestEvent({
+      indicator_type: indicator.type,
+      indicator_value: indicator.value,
+      event_type: this.categoryToEventType(attribute.category),
+      timestamp,
+      source,
+      port: indicator.port,
+      confidence,
+      metadata: {
+        misp_event_uuid: event.uuid,
+        misp_event_info: event.info,
+        misp_attribute_uuid: attribute.uuid,
+        misp_object: object ? object.name : undefined,
+        misp_category: attribute.category,
+        to_ids: toIds,
+        comment: attribute.comment || undefined,
+        hash_algorithm: indicator.algorithm,
+        filename: indicator.filename,
+        tags: [...eventTags, ...this.tagNames(attribute.Tag)]
+      }
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Ingestion failed');
+    }
+
+    return graphEngine.addNode(indicator.value, indicator.type);
+  }
+
+  categoryToEventType(category) {
+    if (!category) return 'misp_attribute';
+    return category.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  /**
+   * Connect indicator nodes to galaxy cluster nodes (threat actors, tools, ATT&CK, ...)
+   */
+  async linkGalaxies(nodeIds, galaxies) {
+    let created = 0;
+    for (const galaxy of galaxies || []) {
+      for (const cluster of galaxy.GalaxyCluster || []) {
+        if (!cluster.value) continue;
+        const clusterNode = await graphEngine.addNode(cluster.value, galaxy.type || cluster.type || 'galaxy');
+        for (const nodeId of nodeIds) {
+          await graphEngine.addEdge(nodeId, clusterNode, 'associated_with', 0.8);
+          created++;
+        }
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Turn MISP ObjectReference entries into graph edges
+   */
+  async linkObjectReferences(objects, nodesByUuid) {
+    let created = 0;
+    for (const object of objects) {
+      for (const reference of object.ObjectReference || []) {
+        const sources = nodesByUuid.get(reference.object_uuid || object.uuid) || [];
+        const targets = nodesByUuid.get(reference.referenced_uuid) || [];
+        for (const sourceNode of sources) {
+          for (const targetNode of targets) {
+            if (sourceNode === targetNode) continue;
+            await graphEngine.addEdge(sourceNode, targetNode, reference.relationship_type || 'related_to', 1.0);
+            created++;
+          }
+        }
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Export an indicator set as a MISP event
+   */
+  async exportIndicators({ type, minConfidence, since, limit } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (minConfidence !== undefined && !Number.isNaN(parseFloat(minConfidence))) {
+      conditions.push('confidence >= ?');
+      params.push(parseFloat(minConfidence));
+    }
+    if (since) {
+      conditions.push('last_seen >= ?');
+      params.push(since);
+    }
+
+    const indicators = await this.query(
+      `SELECT * FROM indicators
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY last_seen DESC
+       LIMIT ?`,
+      [...params, parseInt(limit) || 1000]
+    );
+
+    return this.buildEvent({
+      info: 'ThreatSim indicator export',
+      threatLevel: 4,
+      indicators
+    });
+  }
+
+  /**
+   * Export an alert's indicator and its graph neighbours as a MISP event
+   */
+  async exportAlert(alertId) {
+    const alert = await this.queryOne(
+      `SELECT a.*, i.value as indicator_value, i.type as indicator_type
+       FROM alerts a
+       LEFT JOIN indicators i ON a.indicator_id = i.id
+       WHERE a.id = ?`,
+      [alertId]
+    );
+    if (!alert) return null;
+
+    const indicator = await this.queryOne('SELECT * FROM indicators WHERE id = ?', [alert.indicator_id]);
+    const related = await this.query(
+      `SELECT DISTINCT i.*
+       FROM graph_nodes n
+       JOIN graph_edges e ON e.source_node = n.id OR e.target_node = n.id
+       JOIN graph_nodes other ON other.id = CASE WHEN e.source_node = n.id THEN e.target_node ELSE e.source_node END
+       JOIN indicators i ON i.value = other.entity_value AND i.type = other.entity_type
+       WHERE n.entity_value = ? AND n.entity_type = ?`,
+      [alert.indicator_value, alert.indicator_type]
+    );
+
+    const tags = [`threatsim:severity="${alert.severity}"`];
+    if (alert.mitre_stage) tags.push(`threatsim:mitre-stage="${alert.mitre_stage}"`);
+
+    return this.buildEvent({
+      info: `ThreatSim alert ${alert.id}: ${alert.indicator_value} (${alert.severity})`,
+      threatLevel: this.severityToThreatLevel(alert.severity),
+      indicators: [indicator, ...related.filter(r => r.id !== indicator?.id)].filter(Boolean),
+      tags,
+      date: alert.created_at
+    });
+  }
+
+  severityToThreatLevel(severity) {
+    switch (severity?.toLowerCase()) {
+      case 'critical':
+      case 'high':
+        return 1;
+      case 'medium':
+        return 2;
+      case 'low':
+        return 3;
+      default:
+        return 4;
+    }
+  }
+
+  buildEvent({ info, threatLevel, indicators, tags = [], date }) {
+    const attributes = indicators
+      .map(indicator => this.toAttribute(indicator))
+      .filter(Boolean);
+
+    return {
+      Event: {
+        uuid: uuidv4(),
+        info,
+        date: (date || new Date().toISOString()).slice(0, 10),
+        threat_level_id: String(threatLevel),
+        analysis: '2',
+        distribution: '0',
+        published: false,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        Attribute: attributes,
+        Tag: tags.map(name => ({ name }))
+      }
+    };
+  }
+
+  toAttribute(indicator) {
+    const mapping = this.exportType(indicator);
+    if (!mapping) return null;
+
+    let metadata = {};
+    try {
+      metadata = JSON.parse(indicator.metadata || '{}');
+    } catch (e) {}
+
+    const attributeTags = [...(metadata.tags || []), ...(metadata.labels || [])];
+
+    return {
+      uuid: uuidv4(),
+      type: mapping.type,
+      category: mapping.category,
+      value: indicator.value,
+      to_ids: (indicator.confidence ?? 0.5) >= 0.5,
+      comment: `source: ${indicator.source}, confidence: ${indicator.confidence}`,
+      timestamp: String(Math.floor(new Date(indicator.last_seen).getTime() / 1000)),
+      first_seen: indicator.first_seen,
+      last_seen: indicator.last_seen,
+      Tag: Array.from(new Set(attributeTags)).map(name => ({ name }))
+    };
+  }
+
+  exportType(indicator) {
+    switch (indicator.type?.toLowerCase()) {
+      case 'ip':
+      case 'cidr':
+        return { type: 'ip-dst', category: 'Network activity' };
+      case 'domain':
+        return { type: 'domain', category: 'Network activity' };
+      case 'url':
+        return { type: 'url', category: 'Network activity' };
+      case 'email':
+        return { type: 'email-src', category: 'Payload delivery' };
+      case 'hash': {
+        const hashType = HASH_TYPES[indicator.value.length];
+        return hashType ? { type: hashType, category: 'Payload delivery' } : null;
+      }
+      case 'ja3':
+        return { type: 'ja3-fingerprint-md5', category: 'Network activity' };
+      case 'certificate':
+        return {
+          type: indicator.value.length === 64 ? 'x509-fingerprint-sha256' : 'x509-fingerprint-sha1',
+          category: 'Network activity'
+        };
+      case 'cve':
+        return { type: 'vulnerability', category: 'External analysis' };
+      default:
+        return null;
+    }
+  }
+
+  query(sql, params) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  queryOne(sql, params) {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+}
+
+export default new MispConnector();
@@ -0,0 +1,175 @@
+// Separates the search tree from the data section, and marks the start of the metadata
+const DATA_SECTION_SEPARATOR_SIZE = 16;
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // \xAB\xCD\xEFMaxMind.com
+
+/**
+ * Minimal reader for MaxMind DB (.mmdb) files such as GeoLite2-City, GeoLite2-ASN
+ * or DB-IP lite. Lookups walk the binary search tree and decode the record it
+ * points to. See https://maxmind.github.io/MaxMind-DB/ for the format.
+ */
+class MmdbReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerAt === -1) {
+      throw new Error('Not a MaxMind DB file: metadata marker not found');
+    }
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    this.metadata = this.decode(metadataStart, metadataStart).value;
+
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new Error(`Unsupported MaxMind DB record size: ${recordSize}`);
+    }
+
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.ipVersion = ipVersion;
+    this.nodeBytes = recordSize / 4;
+    this.dataStart = nodeCount * this.nodeBytes + DATA_SECTION_SEPARATOR_SIZE;
+
+    // IPv4 addresses live under ::/96 in an IPv6 tree
+    this.ipv4Start = 0;
+    if (ipVersion === 6) {
+      for (let i = 0; i < 96 && this.ipv4Start < nodeCount; i++) {
+        this.ipv4Start = this.readNode(this.ipv4Start, 0);
+      }
+    }
+  }
+
+  /**
+   * Look up an address given as bytes (4 for IPv4, 16 for IPv6). Returns the
+   * decoded record, or null when the address is not in the database.
+   */
+  get(bytes) {
+    if (bytes.length === 16 && this.ipVersion === 4) return null;
+
+    let node = bytes.length === 4 ? this.ipv4Start : 0;
+    const bitCount = bytes.length * 8;
+
+    for (let i = 0; i < bitCount && node < this.nodeCount; i++) {
+      const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+      node = this.readNode(node, bit);
+    }
+
+    if (node <= this.nodeCount) return null;
+    return this.decode(this.dataStart + node - this.nodeCount - DATA_SECTION_SEPARATOR_SIZE, this.dataStart).value;
+  }
+
+  readNode(node, bit) {
+    const offset = node * this.nodeBytes;
+    const buffer = this.buffer;
+
+    switch (this.recordSize) {
+      case 24:
+        return buffer.readUIntBE(offset + bit * 3, 3);
+      case 28:
+        // The middle byte holds the high nibble of each record
+        return bit === 0
+          ? ((buffer[offset + 3] & 0xf0) << 20) | buffer.readUIntBE(offset, 3)
+          : ((buffer[offset + 3] & 0x0f) << 24) | buffer.readUIntBE(offset + 4, 3);
+      default:
+        return buffer.readUInt32BE(offset + bit * 4);
+    }
+  }
+
+  /**
+   * Decode the field at `offset`. Pointers are relative to `base`.
+   * Returns { value, offset } where offset is just past the field.
+   */
+  decode(offset, base) {
+    const buffer = this.buffer;
+    const control = buffer[offset++];
+    let type = control >> 5;
+
+    if (type === 1) {
+      const sizeBits = (control >> 3) & 0x3;
+      const high = control & 0x7;
+      let pointer;
+      if (sizeBits === 0) {
+        pointer = (high << 8) | buffer[offset];
+      } else if (sizeBits === 1) {
+        pointer = ((high << 16) | buffer.readUInt16BE(offset)) + 2048;
+      } else if (sizeBits === 2) {
+        pointer = ((high << 24) | buffer.readUIntBE(offset, 3)) + 526336;
+      } else {
+        pointer = buffer.readUInt32BE(offset);
+      }
+      return { value: this.decode(base + pointer, base).value, offset: offset + sizeBits + 1 };
+    }
+
+    if (type === 0) {
+      type = 7 + buffer[offset++];
+    }
+
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + buffer[offset++];
+    } else if (size === 30) {
+      size = 285 + buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + buffer.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case 2:
+        return { value: buffer.toString('utf8', offset, offset + size), offset: offset + size };
+      case 3:
+        return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+      case 4:
+        return { value: buffer.subarray(offset, offset + size), offset: offset + size };
+      case 5:
+      case 6:
+        return { value: this.readUnsigned(offset, size), offset: offset + size };
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this.decode(offset, base);
+          const value = this.decode(key.offset, base);
+          map[key.value] = value.value;
+          offset = value.offset;
+        }
+        return { value: map, offset };
+      }
+      case 8: {
+        const value = this.readUnsigned(offset, size);
+        return { value: size === 4 ? value | 0 : value, offset: offset + size };
+      }
+      case 9:
+      case 10: {
+        let value = 0n;
+        for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(buffer[offset + i]);
+        return {
+          value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(),
+          offset: offset + size
+        };
+      }
+      case 11: {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const item = this.decode(offset, base);
+          array.push(item.value);
+          offset = item.offset;
+        }
+        return { value: array, offset };
+      }
+      case 14:
+        return { value: size !== 0, offset };
+      case 15:
+        return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+      default:
+        throw new Error(`Unsupported MaxMind DB data type ${type}`);
+    }
+  }
+
+  readUnsigned(offset, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + this.buffer[offset + i];
+    return value;
+  }
+}
+
+export default MmdbReader;
@@ -1,94 +1,187 @@
 import { v4 as uuidv4 } from 'uuid';
+import indicatorParser from './indicators.js';
+import taxonomy from './taxonomy.js';
+
+// Raw event fields that name the indicator directly, in order of preference
+const INDICATOR_FIELDS = [
+  ['ip', 'IP'],
+  ['cidr', 'cidr'],
+  ['domain', 'domain'],
+  ['hash', 'hash'],
+  ['ja3', 'ja3'],
+  ['ja3s', 'ja3s'],
+  ['certificate', 'certificate'],
+  ['thumbprint', 'certificate'],
+  ['cve', 'cve'],
+  ['url', 'url'],
+  ['email', 'email'],
+  ['user', 'user'],
+  ['username', 'user'],
+  ['file', 'file']
+];
+
+// CEF extension keys mapped onto the flat raw event fields used below
+const CEF_FIELD_MAP = {
+  src: 'src',
+  sourceTranslatedAddress: 'src',
+  c6a2: 'src',
+  dst: 'dst',
+  destinationTranslatedAddress: 'dst',
+  c6a3: 'dst',
+  spt: 'source_port',
+  dpt: 'port',
+  proto: 'protocol',
+  app: 'application',
+  act: 'action',
+  cat: 'category',
+  suser: 'source_user',
+  duser: 'user',
+  shost: 'source_host',
+  dhost: 'host',
+  request: 'url',
+  requestClientApplication: 'user_agent',
+  requestMethod: 'http_method',
+  fname: 'file',
+  filePath: 'file_path',
+  fileHash: 'hash',
+  fsize: 'file_size',
+  in: 'bytes_in',
+  out: 'bytes_out',
+  cnt: 'attempts',
+  msg: 'message',
+  outcome: 'outcome',
+  reason: 'reason',
+  rt: 'timestamp',
+  start: 'start_time',
+  end: 'end_time',
+  externalId: 'external_id',
+  deviceExternalId: 'device_id',
+  dvc: 'device_address',
+  dvchost: 'device_host',
+  sproc: 'source_process',
+  dproc: 'process'
+};
+
+// LEEF attribute keys mapped onto the same raw event fields as CEF
+const LEEF_FIELD_MAP = {
+  src: 'src',
+  srcPreNAT: 'src',
+  dst: 'dst',
+  dstPreNAT: 'dst',
+  srcPort: 'source_port',
+  dstPort: 'port',
+  proto: 'protocol',
+  action: 'action',
+  cat: 'category',
+  usrName: 'user',
+  accountName: 'user',
+  srcHost: 'source_host',
+  dstHost: 'host',
+  domain: 'host',
+  url: 'url',
+  userAgent: 'user_agent',
+  fileName: 'file',
+  fileHash: 'hash',
+  fileSize: 'file_size',
+  srcBytes: 'bytes_out',
+  dstBytes: 'bytes_in',
+  totalPackets: 'packets',
+  sev: 'severity',
+  msg: 'message',
+  reason: 'reason',
+  identSrc: 'src',
+  devTime: 'timestamp',
+  policy: 'policy',
+  resource: 'resource'
+};
 
 class DataNormalizer {
   /**
    * Normalize raw event data into standardized schema
    */
   normalizeEvent(rawEvent) {
+    if (typeof rawEvent === 'string') {
+      rawEvent = this.parseRawMessage(rawEvent);
+    }
+
+    const indicator = this.resolveIndicator(rawEvent);
+
     const normalized = {
       id: uuidv4(),
-      indicator_type: this.detectIndicatorType(rawEvent),
-      indicator_value: this.extractIndicatorValue(rawEvent),
-      event_type: this.normalizeEventType(rawEvent.event_type || rawEvent.type),
+      indicator_type: indicator.type,
+      indicator_value: indicator.value,
+      event_type: this.normalizeEventType(rawEvent.event_type || rawEvent.type, rawEvent.source),
       timestamp: this.normalizeTimestamp(rawEvent.timestamp || rawEvent.time),
       source: rawEvent.source || 'unknown',
-      metadata: this.extractMetadata(rawEvent)
+      metadata: { ...this.extractMetadata(rawEvent), ...indicator.attributes }
     };
 
     return normalized;
   }
 
+  /**
+   * Detect and canonicalize the indicator. Values that do not parse as their
+   * type are passed through unchanged so validation can report them.
+   */
+  resolveIndicator(event) {
+    const type = this.detectIndicatorType(event);
+    const value = this.extractIndicatorValue(event);
+    if (typeof value !== 'string') return { type, value, attributes: {} };
+
+    const canonical = type === 'unknown'
+      ? indicatorParser.detect(value)
+      : indicatorParser.canonicalize(type, value);
+    return canonical || { type, value, attributes: {} };
+  }
+
   detectIndicatorType(event) {
     if (event.indicator_type) return event.indicator_type;
-    if (event.ip || this.isIPAddress(event.value)) return 'IP';
-    if (event.domain || this.isDomain(event.value)) return 'domain';
-    if (event.hash || this.isHash(event.value)) return 'hash';
-    if (event.user || event.username) return 'user';
-    if (event.file) return 'file';
-    return 'unknown';
+
+    const field = INDICATOR_FIELDS.find(([key]) => event[key]);
+    if (field) return field[1];
+
+    return indicatorParser.detect(event.value)?.type || 'unknown';
   }
 
   extractIndicatorValue(event) {
-    return event.indicator_value || 
-           event.value || 
-           event.ip || 
-           event.domain || 
-           event.hash || 
-           event.user || 
-           event.username ||
-           event.file ||
-           'unknown';
-  }
-
-  normalizeEventType(type) {
-    const eventTypeMap = {
-      'failed_login': 'failed_login',
-      'login_failure': 'failed_login',
-      'authentication_failure': 'failed_login',
-      'successful_login': 'successful_login',
-      'login_success': 'successful_login',
-      'port_scan': 'port_scan',
-      'scan': 'port_scan',
-      'dns_query': 'dns_query',
-      'dns': 'dns_query',
-      'http_request': 'http_request',
-      'web_request': 'http_request',
-      'file_download': 'file_download',
-      'download': 'file_download',
-      'malware_detected': 'malware_detected',
-      'virus': 'malware_detected',
-      'data_exfiltration': 'data_exfiltration',
-      'exfil': 'data_exfiltration',
-      'c2_communication': 'c2_communication',
-      'command_control': 'c2_communication',
-      'privilege_escalation': 'privilege_escalation',
-      'script_execution': 'script_execution'
-    };
+    if (event.indicator_value) return event.indicator_value;
+    if (event.value) return event.value;
+
+    const field = INDICATOR_FIELDS.find(([key]) => event[key]);
+    return field ? event[field[0]] : null;
+  }
 
-    return eventTypeMap[type?.toLowerCase()] || type || 'unknown';
+  /**
+   * Map a raw event type onto the taxonomy; aliases may be scoped to the source
+   */
+  normalizeEventType(type, source) {
+    return taxonomy.resolve(type, source);
   }
 
   normalizeTimestamp(timestamp) {
     if (!timestamp) return new Date().toISOString();
-    
-    try {
-      const date = new Date(timestamp);
-      return date.toISOString();
-    } catch (error) {
-      return new Date().toISOString();
-    }
+
+    // Unparseable timestamps become null so validation can reject them
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
   }
 
   extractMetadata(rawEvent) {
+    // Fields may arrive flat or already nested under `metadata`
+    const extra = rawEvent.metadata || {};
+    const fields = { ...extra, ...rawEvent };
+
     const metadata = {
-      port: rawEvent.port || rawEvent.destination_port || null,
-      geo: rawEvent.geo || rawEvent.country || rawEvent.geo_location || null,
-      attempts: rawEvent.attempts || rawEvent.count || 1,
-      protocol: rawEvent.protocol || null,
-      user_agent: rawEvent.user_agent || null,
-      payload_size: rawEvent.payload_size || rawEvent.bytes || null,
-      severity: rawEvent.severity || null,
-      confidence: rawEvent.confidence || 0.5
+      ...extra,
+      port: fields.port || fields.destination_port || null,
+      geo: fields.geo || fields.country || fields.geo_location || null,
+      attempts: fields.attempts || fields.count || 1,
+      protocol: fields.protocol || null,
+      user_agent: fields.user_agent || null,
+      payload_size: fields.payload_size || fields.bytes || null,
+      severity: fields.severity || null,
+      confidence: fields.confidence || 0.5,
+      direction: fields.direction || null
     };
 
     // Remove null values
@@ -98,19 +191,383 @@ class DataNormalizer {
   }
 
   isIPAddress(value) {
-    const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-    const ipv6Regex = /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    return ipv4Regex.test(value) || ipv6Regex.test(value);
+    return Boolean(indicatorParser.parseIPv4(value) || indicatorParser.parseIPv6(value));
   }
 
   isDomain(value) {
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]?\.[a-zA-Z]{2,}$/;
-    return domainRegex.test(value);
+    return typeof value === 'string' && indicatorParser.canonicalDomain(value) !== null;
   }
 
   isHash(value) {
-    // MD5: 32 chars, SHA1: 40 chars, SHA256: 64 chars
-    return /^[a-fA-F0-9]{32}$|^[a-fA-F0-9]{40}$|^[a-fA-F0-9]{64}$/.test(value);
+    // MD5: 32 chars, SHA1: 40 chars, SHA256: 64 chars, SHA512: 128 chars
+    return /^[a-fA-F0-9]{32}$|^[a-fA-F0-9]{40}$|^[a-fA-F0-9]{64}$|^[a-fA-F0-9]{128}$/.test(value);
+  }
+
+  /**
+   * Parse a raw text line (optionally behind a syslog header) as CEF or LEEF
+   */
+  parseRawMessage(line) {
+    const cefIndex = line.indexOf('CEF:');
+    if (cefIndex !== -1) return this.parseCEF(line.slice(cefIndex));
+
+    const leefIndex = line.indexOf('LEEF:');
+    if (leefIndex !== -1) return this.parseLEEF(line.slice(leefIndex));
+
+    return { value: line.trim(), event_type: 'unknown', metadata: { message: line } };
+  }
+
+  isCEF(line) {
+    return typeof line === 'string' && line.includes('CEF:');
+  }
+
+  isLEEF(line) {
+    return typeof line === 'string' && line.includes('LEEF:');
+  }
+
+  /**
+   * Parse ArcSight CEF:
+   * CEF:Version|Vendor|Product|DeviceVersion|SignatureID|Name|Severity|Extension
+   */
+  parseCEF(line) {
+    const { fields, rest } = this.splitHeader(line.replace(/^CEF:/, ''), 7);
+    if (fields.length < 7) {
+      throw new Error('Malformed CEF header: expected 7 pipe-delimited fields');
+    }
+
+    const [version, vendor, product, deviceVersion, signatureId, name, severity] = fields;
+    const extension = this.parseCEFExtension(rest);
+
+    return this.buildDeviceEvent({
+      format: 'cef',
+      version,
+      vendor,
+      product,
+      deviceVersion,
+      signatureId,
+      name,
+      severity,
+      extension,
+      fieldMap: CEF_FIELD_MAP
+    });
+  }
+
+  /**
+   * Parse IBM QRadar LEEF 1.0 (tab-delimited) and 2.0 (custom delimiter):
+   * LEEF:Version|Vendor|Product|DeviceVersion|EventID|[Delimiter|]Attributes
+   */
+  parseLEEF(line) {
+    const body = line.replace(/^LEEF:/, '');
+    const isV2 = body.startsWith('2');
+    const headerCount = isV2 ? 6 : 5;
+    const { fields, rest } = this.splitHeader(body, headerCount);
+    if (fields.length < 5) {
+      throw new Error('Malformed LEEF header: expected at least 5 pipe-delimited fields');
+    }
+
+    const [version, vendor, product, deviceVersion, eventId] = fields;
+    const delimiter = isV2 ? this.resolveLEEFDelimiter(fields[5]) : '\t';
+    const extension = this.parseLEEFAttributes(rest, delimiter);
+
+    return this.buildDeviceEvent({
+      format: 'leef',
+      version,
+      vendor,
+      product,
+      deviceVersion,
+      signatureId: eventId,
+      name: extension.cat || eventId,
+      severity: extension.sev,
+      extension,
+      fieldMap: LEEF_FIELD_MAP
+    });
+  }
+
+  /**
+   * Split pipe-delimited header fields, honouring \| and \\ escapes
+   */
+  splitHeader(text, count) {
+    const fields = [];
+    let current = '';
+    let i = 0;
+
+    while (i < text.length && fields.length < count) {
+      const char = text[i];
+      if (char === '\\' && (text[i + 1] === '|' || text[i + 1] === '\\')) {
+        current += text[i + 1];
+        i += 2;
+      } else if (char === '|') {
+        fields.push(current);
+        current = '';
+        i++;
+      } else {
+        current += char;
+        i++;
+      }
+    }
+
+    // A header without an extension may end without a trailing pipe
+    if (fields.length < count && current) {
+      fields.push(current);
+      current = '';
+    }
+
+    return { fields, rest: text.slice(i) };
+  }
+
+  /**
+   * Parse CEF extension key=value pairs. Values may contain spaces;
+   * =, \\, \n and \r are escaped with a backslash.
+   */
+  parseCEFExtension(text) {
+    const extension = {};
+    const keyRegex = /(?:^|\s)([A-Za-z0-9_.\[\]-]+)=/g;
+    const keys = [];
+    let match;
+
+    while ((match = keyRegex.exec(text)) !== null) {
+      keys.push({
+        key: match[1],
+        start: match.index,
+        valueStart: match.index + match[0].length
+      });
+    }
+
+    keys.forEach((entry, index) => {
+      const end = index + 1 < keys.length ? keys[index + 1].start : text.length;
+      extension[entry.key] = this.unescapeCEFValue(text.slice(entry.valueStart, end).trim());
+    });
+
+    return extension;
+  }
+
+  unescapeCEFValue(value) {
+    return value.replace(/\\([=\\nr|])/g, (_, char) => {
+      if (char === 'n') return '\n';
+      if (char === 'r') return '\r';
+      return char;
+    });
+  }
+
+  resolveLEEFDelimiter(spec) {
+    if (!spec) return '\t';
+    const hex = spec.match(/^(?:0?x)([0-9a-fA-F]{1,4})$/);
+    if (hex) return String.fromCharCode(parseInt(hex[1], 16));
+    return spec[0];
+  }
+
+  parseLEEFAttributes(text, delimiter) {
+    const attributes = {};
+    text.split(delimiter).forEach(pair => {
+      const eq = pair.indexOf('=');
+      if (eq <= 0) return;
+      attributes[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
+    });
+    return attributes;
+  }
+
+  /**
+   * Map a parsed CEF/LEEF record onto the raw event shape used by normalizeEvent
+   */
+  buildDeviceEvent({ format, version, vendor, product, deviceVersion, signatureId, name, severity, extension, fieldMap }) {
+    const mapped = {};
+    const custom = {};
+
+    Object.entries(extension).forEach(([key, value]) => {
+      const labelled = key.match(/^(cs|cn|cfp|flexString|flexNumber|flexDate|deviceCustomDate)(\d)$/);
+      if (labelled) {
+        const label = extension[`${key}Label`] || key;
+        custom[label] = value;
+        return;
+      }
+      if (/Label$/.test(key)) return;
+
+      const field = fieldMap[key];
+      if (field && mapped[field] === undefined) {
+        mapped[field] = value;
+      }
+    });
+
+    const indicator = this.selectDeviceIndicator(mapped);
+    const port = parseInt(mapped.port);
+    const bytes = (parseInt(mapped.bytes_in) || 0) + (parseInt(mapped.bytes_out) || 0);
+
+    return {
+      indicator_type: indicator.type,
+      indicator_value: indicator.value,
+      event_type: this.deviceEventType(mapped.category || name, mapped.action),
+      timestamp: this.parseDeviceTime(mapped.timestamp, extension.devTimeFormat),
+      source: `${vendor} ${product}`.trim().toLowerCase().replace(/\s+/g, '_'),
+      port: Number.isNaN(port) ? null : port,
+      protocol: mapped.protocol || null,
+      user_agent: mapped.user_agent || null,
+      payload_size: bytes || null,
+      attempts: parseInt(mapped.attempts) || 1,
+      severity: this.normalizeDeviceSeverity(severity ?? mapped.severity),
+      metadata: {
+        format,
+        format_version: version,
+        vendor,
+        product,
+        device_version: deviceVersion,
+        signature_id: signatureId,
+        name,
+        ...Object.fromEntries(
+          Object.entries(mapped).filter(([key]) =>
+            !['timestamp', 'port', 'protocol', 'user_agent', 'attempts', 'severity'].includes(key)
+          )
+        ),
+        custom: Object.keys(custom).length > 0 ? custom : null
+      }
+    };
+  }
+
+  /**
+   * Pick the most useful indicator from a device record: source address first
+   */
+  selectDeviceIndicator(mapped) {
+    const candidates = [
+      ['IP', mapped.src],
+      ['IP', mapped.dst],
+      ['hash', mapped.hash],
+      ['domain', mapped.host && !this.isIPAddress(mapped.host) ? mapped.host : null],
+      ['domain', mapped.source_host && !this.isIPAddress(mapped.source_host) ? mapped.source_host : null],
+      ['user', mapped.user || mapped.source_user],
+      ['file', mapped.file]
+    ];
+
+    const found = candidates.find(([, value]) => value);
+    return found ? { type: found[0], value: found[1] } : { type: 'unknown', value: null };
+  }
+
+  deviceEventType(category, action) {
+    // Categories are often paths such as /Attack/Port Scan; the leaf is most specific
+    const leaf = String(category || action || 'unknown').split('/').filter(Boolean).pop() || 'unknown';
+    // The slug is mapped onto the taxonomy when the event is normalized, with its source
+    return leaf
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+  }
+
+  parseDeviceTime(value, format) {
+    if (!value) return null;
+    // CEF rt/LEEF devTime are commonly epoch milliseconds
+    if (/^\d{12,13}$/.test(value)) return new Date(parseInt(value)).toISOString();
+    if (/^\d{9,10}$/.test(value)) return new Date(parseInt(value) * 1000).toISOString();
+    if (format && /MMM dd yyyy HH:mm:ss/.test(format)) {
+      return value.replace(/^(\w{3}) (\d{1,2}) (\d{4}) /, '$1 $2, $3 ');
+    }
+    return value;
+  }
+
+  normalizeDeviceSeverity(severity) {
+    if (severity === undefined || severity === null || severity === '') return null;
+
+    const numeric = parseInt(severity);
+    if (!Number.isNaN(numeric)) {
+      if (numeric >= 9) return 'critical';
+      if (numeric >= 7) return 'high';
+      if (numeric >= 4) return 'medium';
+      return 'low';
+    }
+
+    const label = String(severity).toLowerCase();
+    if (label === 'very-high' || label === 'very high') return 'critical';
+    return label;
+  }
+
+  /**
+   * Map a source record onto the raw event shape using a field-mapping profile
+   */
+  applyProfile(record, profile) {
+    const { fields = {}, defaults = {}, timestamp_format, event_type_map = {} } = profile;
+    const rawEvent = { ...defaults };
+
+    Object.entries(fields).forEach(([target, path]) => {
+      const paths = Array.isArray(path) ? path : [path];
+      const value = paths
+        .map(p => this.getField(record, p))
+        .find(v => v !== undefined && v !== null && v !== '');
+      if (value !== undefined) rawEvent[target] = value;
+    });
+
+    if (rawEvent.event_type !== undefined && event_type_map[rawEvent.event_type]) {
+      rawEvent.event_type = event_type_map[rawEvent.event_type];
+    }
+
+    ['port', 'payload_size', 'attempts'].forEach(key => {
+      if (rawEvent[key] !== undefined) {
+        const number = parseInt(rawEvent[key]);
+        rawEvent[key] = Number.isNaN(number) ? undefined : number;
+      }
+    });
+
+    if (rawEvent.confidence !== undefined) {
+      rawEvent.confidence = parseFloat(rawEvent.confidence) || undefined;
+    }
+
+    if (rawEvent.timestamp !== undefined && timestamp_format) {
+      rawEvent.timestamp = this.parseTimestampWithFormat(rawEvent.timestamp, timestamp_format);
+    }
+
+    return rawEvent;
+  }
+
+  /**
+   * Read a field by dotted path, falling back to a literal key containing dots
+   */
+  getField(record, path) {
+    if (record[path] !== undefined) return record[path];
+    return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+  }
+
+  /**
+   * Parse a timestamp using a format string such as "DD/MM/YYYY HH:mm:ss".
+   * "epoch" and "epoch_ms" accept Unix seconds and milliseconds; values are read as UTC.
+   * A value that does not fit the format is returned as is, for validation to reject.
+   */
+  parseTimestampWithFormat(value, format) {
+    if (value === undefined || value === null || value === '') return value;
+
+    if (format === 'epoch' || format === 'epoch_ms') {
+      const text = String(value).trim();
+      const date = new Date(Number(text) * (format === 'epoch' ? 1000 : 1));
+      return text && !isNaN(date.getTime()) ? date.toISOString() : value;
+    }
+    if (format === 'iso') return value;
+
+    const tokens = {
+      YYYY: '(\\d{4})',
+      MM: '(\\d{1,2})',
+      DD: '(\\d{1,2})',
+      HH: '(\\d{1,2})',
+      mm: '(\\d{1,2})',
+      ss: '(\\d{1,2})',
+      SSS: '(\\d{1,3})',
+      MMM: '([A-Za-z]{3})'
+    };
+    const order = [];
+    const pattern = format
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/YYYY|MMM|MM|DD|HH|mm|ss|SSS/g, token => {
+        order.push(token);
+        return tokens[token];
+      });
+
+    const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+    if (!match) return value;
+
+    const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+    order.forEach((token, index) => {
+      if (token === 'MMM') {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        parts.MM = months.indexOf(match[index + 1].toLowerCase()) + 1;
+      } else {
+        parts[token] = parseInt(match[index + 1]);
+      }
+    });
+
+    return new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss, parts.SSS)).toISOString();
   }
 
   /**
@@ -0,0 +1,144 @@
+import db from '../db.js';
+import indicatorParser from './indicators.js';
+import graphEngine from '../engines/graphEngine.js';
+
+// Query types whose answers are host names rather than addresses
+const NAME_RRTYPES = ['CNAME', 'NS', 'MX', 'PTR', 'SRV'];
+
+/**
+ * Passive DNS: the resolutions seen in dns_query events (Zeek dns.log,
+ * Suricata DNS answers, Sysmon DNS queries or any event carrying `answers`),
+ * kept per query, record type and answer with first/last seen and a count.
+ * Address answers also become domain resolves_to IP edges in the graph.
+ */
+class PassiveDnsStore {
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Resolutions carried by a normalized event: [{ query, rrtype, answer }]
+   */
+  extract(event) {
+    if (event.event_type !== 'dns_query' || indicatorParser.resolveType(event.indicator_type) !== 'domain') {
+      return [];
+    }
+
+    const metadata = event.metadata || {};
+    const queryType = String(metadata.qtype || metadata.rrtype || '').toUpperCase();
+    const answers = [
+      ...this.asList(metadata.answers),
+      // Sysmon writes "type:  5 alias.example.net;::ffff:192.0.2.10;"
+      ...this.asList(metadata.query_results, ';').map(answer => answer.replace(/^type:\s*\d+\s+/i, ''))
+    ];
+
+    const records = new Map();
+    answers.forEach(text => {
+      const record = this.toRecord(text, queryType);
+      if (record) records.set(`${record.rrtype}|${record.answer}`, { query: event.indicator_value, ...record });
+    });
+    return Array.from(records.values());
+  }
+
+  asList(value, separator = ',') {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    if (typeof value !== 'string') return [];
+    return value.split(separator).map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Record type and canonical answer; answers that are neither addresses nor
+   * host names (TXT data and the like) are not kept
+   */
+  toRecord(text, queryType) {
+    const ip = indicatorParser.canonicalize('IP', text);
+    if (ip && ip.type === 'IP') {
+      return { rrtype: ip.attributes.ip_version === 6 ? 'AAAA' : 'A', answer: ip.value };
+    }
+
+    const name = indicatorParser.canonicalDomain(text);
+    if (!name) return null;
+    return { rrtype: NAME_RRTYPES.includes(queryType) ? queryType : 'CNAME', answer: name };
+  }
+
+  /**
+   * Store the resolutions in a dns_query event and link the domain to the
+   * addresses it resolved to. Resolves to the number of records seen.
+   */
+  async record(event) {
+    const records = this.extract(event);
+    const seenAt = event.timestamp || new Date().toISOString();
+
+    for (const { query, rrtype, answer } of records) {
+      await this.run(
+        `INSERT INTO passive_dns (query, rrtype, answer, first_seen, last_seen, count)
+         VALUES (?, ?, ?, ?, ?, 1)
+         ON CONFLICT(query, rrtype, answer) DO UPDATE SET
+           first_seen = MIN(first_seen, excluded.first_seen),
+           last_seen = MAX(last_seen, excluded.last_seen),
+           count = count + 1`,
+        [query, rrtype, answer, seenAt, seenAt]
+      );
+
+      if (rrtype === 'A' || rrtype === 'AAAA') {
+        const domainNode = await graphEngine.addNode(query, 'domain');
+        const ipNode = await graphEngine.addNode(answer, 'IP');
+        await graphEngine.addEdgeOnce(domainNode, ipNode, 'resolves_to', 0.9);
+      }
+    }
+
+    return records.length;
+  }
+
+  /**
+   * What a domain resolved to, most recently seen first
+   */
+  resolutions(domain, { rrtype, since, limit = 100 } = {}) {
+    return this.search('query', domain, { rrtype, since, limit });
+  }
+
+  /**
+   * Domains seen resolving to an address, most recently seen first
+   */
+  reverse(ip, { since, limit = 100 } = {}) {
+    return this.search('answer', ip, { since, limit });
+  }
+
+  search(column, value, { rrtype, since, limit }) {
+    const conditions = [`${column} = ?`];
+    const params = [value];
+    if (rrtype) {
+      conditions.push('rrtype = ?');
+      params.push(String(rrtype).toUpperCase());
+    }
+    if (since) {
+      conditions.push('last_seen >= ?');
+      params.push(since);
+    }
+
+    return this.all(
+      `SELECT query, rrtype, answer, first_seen, last_seen, count
+       FROM passive_dns
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY last_seen DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+  }
+}
+
+export default new PassiveDnsStore();
@@ -0,0 +1,144 @@
+import db from '../db.js';
+
+// Raw event fields a profile may populate
+const TARGET_FIELDS = [
+  'indicator_value', 'indicator_type', 'event_type', 'timestamp', 'source',
+  'port', 'geo', 'payload_size', 'protocol', 'user_agent', 'attempts',
+  'severity', 'confidence'
+];
+
+const FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Named field-mapping profiles. A profile's mappings look like:
+ *   {
+ *     fields: { indicator_value: 'src_ip', timestamp: 'ts', port: ['dpt', 'dst_port'] },
+ *     defaults: { indicator_type: 'IP', source: 'edge-fw' },
+ *     timestamp_format: 'DD/MM/YYYY HH:mm:ss',
+ *     event_type_map: { DENY: 'port_scan' }
+ *   }
+ */
+class MappingProfileStore {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  validate(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object') {
+      return ['Profile must be an object'];
+    }
+    if (!profile.name || !/^[\w.-]{1,64}$/.test(profile.name)) {
+      errors.push('name is required and may contain letters, digits, ".", "_" and "-"');
+    }
+    if (profile.format && !FORMATS.includes(profile.format)) {
+      errors.push(`format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const mappings = profile.mappings;
+    if (!mappings || typeof mappings !== 'object') {
+      errors.push('mappings is required');
+      return errors;
+    }
+
+    const unknown = [...Object.keys(mappings.fields || {}), ...Object.keys(mappings.defaults || {})]
+      .filter(key => !TARGET_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`unknown target fields: ${unknown.join(', ')}`);
+    }
+    if (!mappings.fields?.indicator_value) {
+      errors.push('mappings.fields.indicator_value is required');
+    }
+
+    return errors;
+  }
+
+  list() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM mapping_profiles ORDER BY name', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve((rows || []).map(row => this.fromRow(row)));
+      });
+    });
+  }
+
+  get(name) {
+    if (this.cache.has(name)) {
+      return Promise.resolve(this.cache.get(name));
+    }
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM mapping_profiles WHERE name = ?', [name], (err, row) => {
+        if (err) return reject(err);
+        const profile = row ? this.fromRow(row) : null;
+        if (profile) this.cache.set(name, profile);
+        resolve(profile);
+      });
+    });
+  }
+
+  /**
+   * Create or replace a profile
+   */
+  save(profile) {
+    const errors = this.validate(profile);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid mapping profile: ${errors.join('; ')}`);
+      error.details = errors;
+      return Promise.reject(error);
+    }
+
+    const now = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO mapping_profiles (name, description, format, mappings, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(name) DO UPDATE SET
+           description = excluded.description,
+           format = excluded.format,
+           mappings = excluded.mappings,
+           updated_at = excluded.updated_at`,
+        [
+          profile.name,
+          profile.description || null,
+          profile.format || null,
+          JSON.stringify(profile.mappings),
+          now,
+          now
+        ],
+        (err) => {
+          if (err) return reject(err);
+          this.cache.delete(profile.name);
+          resolve(this.get(profile.name));
+        }
+      );
+    });
+  }
+
+  remove(name) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM mapping_profiles WHERE name = ?', [name], function (err) {
+        if (err) return reject(err);
+        resolve(this.changes > 0);
+      });
+    }).then(removed => {
+      this.cache.delete(name);
+      return removed;
+    });
+  }
+
+  fromRow(row) {
+    return {
+      name: row.name,
+      description: row.description,
+      format: row.format,
+      mappings: JSON.parse(row.mappings),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+export default new MappingProfileStore();
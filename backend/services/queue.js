@@ -0,0 +1,120 @@
+import db from '../db.js';
+
+/**
+ * SQLite-backed spool for events awaiting ingestion. Rows are claimed before
+ * processing and only deleted once handled, so a crash mid-batch means the
+ * batch is processed again on restart (at-least-once).
+ */
+class DurableQueue {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.INGEST_QUEUE_MAX_ATTEMPTS) || 5;
+    this.baseBackoffMs = parseInt(process.env.INGEST_QUEUE_BACKOFF_MS) || 1000;
+    this.maxBackoffMs = 5 * 60 * 1000;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async enqueue(event) {
+    const now = new Date().toISOString();
+    const result = await this.run(
+      `INSERT INTO ingest_queue (payload, status, attempts, next_attempt_at, enqueued_at)
+       VALUES (?, 'pending', 0, ?, ?)`,
+      [JSON.stringify(event), now, now]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Return rows left in 'processing' by a previous process to the pending pool
+   */
+  recover() {
+    return this.run("UPDATE ingest_queue SET status = 'pending', locked_at = NULL WHERE status = 'processing'");
+  }
+
+  /**
+   * Claim up to `limit` due rows for processing
+   */
+  async claim(limit) {
+    const now = new Date().toISOString();
+    const rows = await this.all(
+      `SELECT * FROM ingest_queue
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY id
+       LIMIT ?`,
+      [now, limit]
+    );
+    if (rows.length === 0) return [];
+
+    await this.run(
+      `UPDATE ingest_queue SET status = 'processing', locked_at = ?
+       WHERE id IN (${rows.map(() => '?').join(', ')})`,
+      [now, ...rows.map(r => r.id)]
+    );
+
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  complete(id) {
+    return this.run('DELETE FROM ingest_queue WHERE id = ?', [id]);
+  }
+
+  /**
+   * Schedule a retry with exponential backoff. Returns false once attempts are exhausted.
+   */
+  async fail(row, error) {
+    const attempts = row.attempts + 1;
+    if (attempts >= this.maxAttempts) return false;
+
+    const delay = Math.min(this.baseBackoffMs * Math.pow(2, attempts - 1), this.maxBackoffMs);
+    await this.run(
+      `UPDATE ingest_queue
+       SET status = 'pending', attempts = ?, last_error = ?, locked_at = NULL, next_attempt_at = ?
+       WHERE id = ?`,
+      [attempts, error, new Date(Date.now() + delay).toISOString(), row.id]
+    );
+    return true;
+  }
+
+  async depth() {
+    const [row] = await this.all('SELECT COUNT(*) as count FROM ingest_queue');
+    return row.count;
+  }
+
+  async stats() {
+    const [row] = await this.all(`
+      SELECT COUNT(*) as depth,
+             SUM(CASE WHEN status = 'processing' THEN 1 ELSE 0 END) as processing,
+             SUM(CASE WHEN attempts > 0 AND status = 'pending' THEN 1 ELSE 0 END) as retrying,
+             MIN(enqueued_at) as oldest_enqueued_at
+      FROM ingest_queue
+    `);
+
+    return {
+      depth: row.depth,
+      processing: row.processing || 0,
+      retrying: row.retrying || 0,
+      oldest_enqueued_at: row.oldest_enqueued_at,
+      lag_seconds: row.oldest_enqueued_at
+        ? Math.max(0, (Date.now() - new Date(row.oldest_enqueued_at).getTime()) / 1000)
+        : 0
+    };
+  }
+}
+
+export default new DurableQueue();
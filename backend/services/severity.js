@@ -0,0 +1,17 @@
+/**
+ * Severity label for an IDS priority. Suricata and Snort priorities run from
+ * 1 (most severe) to 4; events and the rules scoring their signatures both
+ * use this mapping.
+ */
+export function idsSeverity(priority) {
+  switch (parseInt(priority)) {
+    case 1:
+      return 'high';
+    case 2:
+      return 'medium';
+    case 3:
+      return 'low';
+    default:
+      return 'info';
+  }
+}
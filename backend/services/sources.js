@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import db from '../db.js';
+
+// Admiralty-style source reliability: A (completely reliable) to E (unreliable);
+// F (cannot be judged) sits with "usually not reliable" until it earns a rating
+const RELIABILITY_WEIGHTS = {
+  A: 1.0,
+  B: 0.85,
+  C: 0.7,
+  D: 0.5,
+  E: 0.3,
+  F: 0.5
+};
+
+const RELIABILITY_LABELS = {
+  A: 'Completely reliable',
+  B: 'Usually reliable',
+  C: 'Fairly reliable',
+  D: 'Not usually reliable',
+  E: 'Unreliable',
+  F: 'Reliability cannot be judged'
+};
+
+const SOURCE_TYPES = ['log', 'sensor', 'edr', 'feed', 'parser', 'manual', 'other'];
+
+// Seeded into an empty registry so the bundled parsers, feeds and sample data keep working
+const DEFAULT_SOURCES = [
+  { name: 'auth_log', type: 'log', reliability: 'B', description: 'Authentication logs' },
+  { name: 'firewall', type: 'log', reliability: 'B', description: 'Firewall logs' },
+  { name: 'dns_log', type: 'log', reliability: 'B', description: 'DNS resolver logs' },
+  { name: 'netflow', type: 'sensor', reliability: 'B', description: 'NetFlow collectors' },
+  { name: 'edr', type: 'edr', reliability: 'B', description: 'Endpoint detection and response' },
+  { name: 'zeek', type: 'sensor', reliability: 'B', description: 'Zeek network logs' },
+  { name: 'suricata', type: 'sensor', reliability: 'B', description: 'Suricata EVE alerts' },
+  { name: 'sysmon', type: 'edr', reliability: 'B', description: 'Windows Sysmon events' },
+  { name: 'windows_security', type: 'log', reliability: 'B', description: 'Windows Security event log' },
+  { name: 'syslog', type: 'log', reliability: 'C', description: 'Syslog receiver' },
+  { name: 'misp', type: 'feed', reliability: 'C', description: 'MISP event imports' },
+  { name: 'stix', type: 'feed', reliability: 'F', description: 'STIX bundle imports' },
+  { name: 'threat_feed_simulator', type: 'feed', reliability: 'F', description: 'Simulated threat feed' }
+];
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.details = [message];
+  return error;
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Registry of ingestion sources with reliability ratings and API credentials.
+ * Like the taxonomy, lookups are served from memory so validation stays
+ * synchronous; edits write through and refresh the cache.
+ */
+class SourceRegistry {
+  constructor() {
+    this.sources = new Map();
+    this.loaded = false;
+    this.loading = null;
+    // "open" accepts unregistered sources (at the lowest weight) instead of rejecting them
+    this.enforce = process.env.SOURCE_REGISTRY !== 'open';
+    this.requireCredentials = process.env.SOURCE_REQUIRE_API_KEY === 'true';
+    // Configuration changes need this key; without one they are refused.
+    // SOURCE_ADMIN_KEY is the name it had when it only guarded this registry.
+    const adminKey = process.env.ADMIN_KEY || process.env.SOURCE_ADMIN_KEY;
+    this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Seed an empty registry with the defaults, then load it into memory
+   */
+  async load() {
+    const [{ count }] = await this.all('SELECT COUNT(*) as count FROM sources');
+    if (count === 0) {
+      const now = new Date().toISOString();
+      for (const source of DEFAULT_SOURCES) {
+        await this.run(
+          `INSERT OR IGNORE INTO sources (name, type, owner, description, reliability, enabled, created_at, updated_at)
+           VALUES (?, ?, NULL, ?, ?, 1, ?, ?)`,
+          [source.name, source.type, source.description, source.reliability, now, now]
+        );
+      }
+    }
+
+    await this.refresh();
+  }
+
+  ensureLoaded() {
+    if (this.loaded) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  async refresh() {
+    const rows = await this.all('SELECT * FROM sources');
+    this.sources = new Map(rows.map(row => [row.name, row]));
+    this.loaded = true;
+  }
+
+  /**
+   * Find the registry entry for an event source. Feed imports tag events as
+   * "misp:<org>" or "stix:<producer>", so the part before ":" is tried too.
+   */
+  lookup(name) {
+    if (typeof name !== 'string') return null;
+    const key = name.trim().toLowerCase();
+    return this.sources.get(key) || this.sources.get(key.split(':')[0]) || null;
+  }
+
+  /**
+   * Why events from this source must be rejected, or null when they are accepted
+   */
+  check(name) {
+    if (!this.enforce || !this.loaded) return null;
+
+    const source = this.lookup(name);
+    if (!source) return `Unknown source "${name}"; register it before ingesting`;
+    if (!source.enabled) return `Source "${source.name}" is disabled`;
+    return null;
+  }
+
+  /**
+   * Reliability code for a source; unregistered sources cannot be judged
+   */
+  reliability(name) {
+    return this.lookup(name)?.reliability || 'F';
+  }
+
+  weight(rating) {
+    return RELIABILITY_WEIGHTS[rating] ?? RELIABILITY_WEIGHTS.F;
+  }
+
+  /**
+   * Scale the sender's claimed confidence by the source's reliability. The
+   * claim and rating are kept in metadata; already-weighted events are left alone.
+   */
+  applyReliability(event) {
+    const metadata = event.metadata || (event.metadata = {});
+    if (metadata.source_reliability) return event;
+
+    const rating = this.reliability(event.source);
+    const claimed = typeof metadata.confidence === 'number' ? metadata.confidence : 0.5;
+
+    metadata.confidence_claimed = claimed;
+    metadata.source_reliability = rating;
+    metadata.confidence = Math.round(claimed * this.weight(rating) * 1000) / 1000;
+    return event;
+  }
+
+  /**
+   * The more reliable of two ratings, so a weak source seeing an indicator
+   * later does not discount what a trusted one reported
+   */
+  strongest(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return this.weight(b) > this.weight(a) ? b : a;
+  }
+
+  /**
+   * Registry row without the credential hash
+   */
+  toPublic(source) {
+    if (!source) return null;
+    const { api_key_hash: apiKeyHash, ...rest } = source;
+    return {
+      ...rest,
+      enabled: !!source.enabled,
+      reliability_label: RELIABILITY_LABELS[source.reliability],
+      reliability_weight: this.weight(source.reliability),
+      has_credential: !!apiKeyHash
+    };
+  }
+
+  async list() {
+    await this.ensureLoaded();
+    return Array.from(this.sources.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(source => this.toPublic(source));
+  }
+
+  async get(name) {
+    await this.ensureLoaded();
+    return this.toPublic(this.sources.get(String(name).toLowerCase()));
+  }
+
+  /**
+   * Create or update a source. Omitted fields keep their current values.
+   */
+  async save(name, fields = {}) {
+    await this.ensureLoaded();
+    if (!NAME_PATTERN.test(name || '')) {
+      throw validationError('Source names may contain letters, digits, ".", "_" and "-" (max 64)');
+    }
+
+    const key = name.toLowerCase();
+    const existing = this.sources.get(key);
+    const source = {
+      type: existing?.type || 'other',
+      owner: existing?.owner ?? null,
+      description: existing?.description ?? null,
+      reliability: existing?.reliability || 'F',
+      enabled: existing ? !!existing.enabled : true
+    };
+
+    const details = [];
+    if (fields.type !== undefined) {
+      if (!SOURCE_TYPES.includes(fields.type)) {
+        details.push(`type must be one of: ${SOURCE_TYPES.join(', ')}`);
+      }
+      source.type = fields.type;
+    }
+    if (fields.reliability !== undefined) {
+      const rating = String(fields.reliability).toUpperCase();
+      if (!RELIABILITY_WEIGHTS[rating]) {
+        details.push('reliability must be a rating from A (completely reliable) to F (cannot be judged)');
+      }
+      source.reliability = rating;
+    }
+    if (fields.enabled !== undefined) {
+      if (typeof fields.enabled !== 'boolean') details.push('enabled must be a boolean');
+      source.enabled = fields.enabled;
+    }
+    if (fields.owner !== undefined) source.owner = fields.owner || null;
+    if (fields.description !== undefined) source.description = fields.description || null;
+
+    if (details.length > 0) {
+      const error = new Error('Invalid source');
+      error.details = details;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO sources (name, type, owner, description, reliability, enabled, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         type = excluded.type,
+         owner = excluded.owner,
+         description = excluded.description,
+         reliability = excluded.reliability,
+         enabled = excluded.enabled,
+         updated_at = excluded.updated_at`,
+      [key, source.type, source.owner, source.description, source.reliability, source.enabled ? 1 : 0, now, now]
+    );
+    await this.refresh();
+    return this.toPublic(this.sources.get(key));
+  }
+
+  async remove(name) {
+    const result = await this.run('DELETE FROM sources WHERE name = ?', [String(name).toLowerCase()]);
+    if (result.changes > 0) await this.refresh();
+    return result.changes > 0;
+  }
+
+  /**
+   * Issue a new API key for a source, replacing any previous one. The key is
+   * only returned here; the registry keeps its hash.
+   */
+  async rotateCredential(name) {
+    await this.ensureLoaded();
+    const key = String(name).toLowerCase();
+    if (!this.sources.has(key)) return null;
+
+    const apiKey = `src_${crypto.randomBytes(24).toString('hex')}`;
+    await this.run(
+      'UPDATE sources SET api_key_hash = ?, api_key_hint = ?, updated_at = ? WHERE name = ?',
+      [hashKey(apiKey), apiKey.slice(-4), new Date().toISOString(), key]
+    );
+    await this.refresh();
+    return { source: key, api_key: apiKey };
+  }
+
+  async revokeCredential(name) {
+    const result = await this.run(
+      'UPDATE sources SET api_key_hash = NULL, api_key_hint = NULL, updated_at = ? WHERE name = ?',
+      [new Date().toISOString(), String(name).toLowerCase()]
+    );
+    if (result.changes > 0) await this.refresh();
+    return result.changes > 0;
+  }
+
+  /**
+   * The source an API key belongs to, or null
+   */
+  authenticate(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey) return null;
+    const hash = Buffer.from(hashKey(apiKey));
+
+    for (const source of this.sources.values()) {
+      if (source.api_key_hash && crypto.timingSafeEqual(hash, Buffer.from(source.api_key_hash))) {
+        return source;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a key is the admin key (ADMIN_KEY)
+   */
+  isAdmin(apiKey) {
+    if (!this.adminKeyHash || typeof apiKey !== 'string' || !apiKey) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashKey(apiKey)), Buffer.from(this.adminKeyHash));
+  }
+}
+
+export { RELIABILITY_WEIGHTS };
+export default new SourceRegistry();
@@ -0,0 +1,394 @@
+import db from '../db.js';
+import { v4 as uuidv4 } from 'uuid';
+import ingestionService from './ingestion.js';
+import indicatorParser from './indicators.js';
+import sourceRegistry from './sources.js';
+import graphEngine from '../engines/graphEngine.js';
+
+// STIX cyber-observable object paths mapped to engine indicator types
+const OBSERVABLE_TYPES = {
+  'ipv4-addr:value': 'IP',
+  'ipv6-addr:value': 'IP',
+  'domain-name:value': 'domain',
+  'url:value': 'url',
+  'email-addr:value': 'email'
+};
+
+class StixImporter {
+  /**
+   * Import a STIX 2.1 bundle: indicators, observations and relationships
+   */
+  async importBundle(bundle, options = {}) {
+    this.validateBundle(bundle);
+
+    const objects = new Map(bundle.objects.map(obj => [obj.id, obj]));
+    const source = options.source || this.resolveSource(bundle, objects);
+
+    await sourceRegistry.ensureLoaded();
+    const rejection = sourceRegistry.check(source);
+    if (rejection) throw new Error(rejection);
+
+    const summary = {
+      bundle_id: bundle.id || null,
+      indicators: 0,
+      events: 0,
+      relationships: 0,
+      skipped: []
+    };
+
+    for (const obj of bundle.objects) {
+      try {
+        switch (obj.type) {
+          case 'indicator':
+            summary.indicators += await this.importIndicator(obj, source, summary.skipped);
+            break;
+          case 'observed-data':
+            summary.events += await this.importObservedData(obj, objects, source);
+            break;
+          case 'sighting':
+            summary.events += await this.importSighting(obj, objects, source);
+            break;
+          default:
+            break;
+        }
+      } catch (error) {
+        summary.skipped.push({ id: obj.id, type: obj.type, reason: error.message });
+      }
+    }
+
+    // Relationships last so both ends have been imported
+    for (const obj of bundle.objects.filter(o => o.type === 'relationship')) {
+      try {
+        summary.relationships += await this.importRelationship(obj, objects);
+      } catch (error) {
+        summary.skipped.push({ id: obj.id, type: obj.type, reason: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  validateBundle(bundle) {
+    if (!bundle || bundle.type !== 'bundle') {
+      throw new Error('Expected a STIX bundle object with type "bundle"');
+    }
+    if (!Array.isArray(bundle.objects)) {
+      throw new Error('STIX bundle must contain an objects array');
+    }
+  }
+
+  resolveSource(bundle, objects) {
+    const creatorRef = bundle.objects.find(o => o.created_by_ref)?.created_by_ref;
+    const identity = creatorRef && objects.get(creatorRef);
+    return identity?.name ? `stix:${identity.name}` : 'stix';
+  }
+
+  /**
+   * Parse equality comparisons out of a STIX pattern into indicator values.
+   * Comparisons whose value is not valid for its observable are collected in
+   * `rejected` rather than imported.
+   */
+  parsePattern(pattern, rejected = []) {
+    const results = [];
+    const comparison = /([a-z0-9-]+:[\w.'-]+)\s*=\s*'((?:[^'\\]|\\.)*)'/g;
+    let match;
+
+    while ((match = comparison.exec(pattern)) !== null) {
+      const path = match[1];
+      const value = match[2].replace(/\\(['\\])/g, '$1');
+      let entry = null;
+
+      if (OBSERVABLE_TYPES[path]) {
+        entry = { type: OBSERVABLE_TYPES[path], value };
+      } else {
+        const hashMatch = path.match(/^(file|artifact|x509-certificate):hashes\.'?([\w-]+)'?$/);
+        if (!hashMatch) continue;
+        entry = {
+          type: hashMatch[1] === 'x509-certificate' ? 'certificate' : 'hash',
+          value,
+          algorithm: hashMatch[2]
+        };
+      }
+
+      const canonical = this.canonicalize(entry);
+      if (canonical) results.push(canonical);
+      else rejected.push({ path, value });
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate a value and put it in the shared canonical form so graph nodes
+   * line up with stored indicators. Returns null for values the type does not
+   * allow; hashes must also match the algorithm STIX names for them.
+   */
+  canonicalize(entry) {
+    let type = entry.type;
+    if (type === 'hash' && entry.algorithm) {
+      // SHA-256, MD5, ... pin the algorithm; ones the parser does not know (SSDEEP, TLSH) are not imported
+      if (indicatorParser.resolveType(entry.algorithm) !== 'hash') return null;
+      type = entry.algorithm;
+    }
+
+    const canonical = indicatorParser.canonicalize(type, entry.value);
+    if (!canonical) return null;
+    return {
+      type: canonical.type,
+      value: canonical.value,
+      algorithm: canonical.attributes.hash_algorithm
+    };
+  }
+
+  /**
+   * Resolve a cyber-observable object into an indicator value
+   */
+  observableToIndicator(sco) {
+    if (!sco) return null;
+
+    const type = OBSERVABLE_TYPES[`${sco.type}:value`];
+    if (type && sco.value) {
+      return this.canonicalize({ type, value: sco.value });
+    }
+
+    if ((sco.type === 'file' || sco.type === 'artifact' || sco.type === 'x509-certificate') && sco.hashes) {
+      const [algorithm, value] = Object.entries(sco.hashes)[0] || [];
+      if (value) {
+        return this.canonicalize({
+          type: sco.type === 'x509-certificate' ? 'certificate' : 'hash',
+          value,
+          algorithm
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * STIX confidence is 0-100; the engine stores 0-1
+   */
+  convertConfidence(confidence) {
+    if (typeof confidence !== 'number') return 0.5;
+    return Math.max(0, Math.min(confidence, 100)) / 100;
+  }
+
+  async importIndicator(indicator, source, skipped = []) {
+    if (indicator.pattern_type && indicator.pattern_type !== 'stix') {
+      throw new Error(`Unsupported pattern type: ${indicator.pattern_type}`);
+    }
+
+    const rejected = [];
+    const values = this.parsePattern(indicator.pattern || '', rejected);
+    for (const { path, value } of rejected) {
+      skipped.push({ id: indicator.id, type: indicator.type, reason: `Invalid value for ${path}: '${value}'` });
+    }
+    if (values.length === 0 && rejected.length === 0) {
+      throw new Error('No supported observables in pattern');
+    }
+
+    const rating = sourceRegistry.reliability(source);
+    const claimed = this.convertConfidence(indicator.confidence);
+
+    for (const entry of values) {
+      await this.upsertIndicator({
+        type: entry.type,
+        value: entry.value,
+        source,
+        confidence: claimed * sourceRegistry.weight(rating),
+        first_seen: indicator.valid_from || indicator.created || new Date().toISOString(),
+        valid_until: indicator.valid_until || null,
+        metadata: {
+          stix_id: indicator.id,
+          name: indicator.name,
+          description: indicator.description,
+          labels: indicator.labels,
+          indicator_types: indicator.indicator_types,
+          kill_chain_phases: indicator.kill_chain_phases,
+          hash_algorithm: entry.algorithm,
+          pattern: indicator.pattern,
+          confidence_claimed: claimed,
+          source_reliability: rating
+        }
+      });
+    }
+
+    return values.length;
+  }
+
+  /**
+   * Insert or refresh an indicator row with the STIX-provided lifetime. Like
+   * ingestion, an existing indicator keeps the metadata other sources gave it
+   * and its highest confidence; a bundle without valid_until keeps the expiry
+   * it already had.
+   */
+  upsertIndicator({ type, value, source, confidence, first_seen, valid_until, metadata }) {
+    const now = new Date().toISOString();
+    const stixMetadata = Object.fromEntries(
+      Object.entries(metadata).filter(([_, v]) => v !== undefined && v !== null)
+    );
+    const cleanMetadata = JSON.stringify(stixMetadata);
+
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT id, metadata FROM indicators WHERE value = ? AND type = ?',
+        [value, type],
+        (err, row) => {
+          if (err) return reject(err);
+
+          if (row) {
+            let existingMetadata = {};
+            try {
+              existingMetadata = JSON.parse(row.metadata || '{}');
+            } catch (e) {}
+
+            const merged = { ...existingMetadata, ...stixMetadata };
+            const reliability = sourceRegistry.strongest(
+              existingMetadata.source_reliability,
+              stixMetadata.source_reliability
+            );
+            if (reliability) merged.source_reliability = reliability;
+
+            db.run(
+              `UPDATE indicators
+               SET last_seen = ?,
+                   confidence = MAX(confidence, ?),
+                   valid_until = COALESCE(?, valid_until),
+                   metadata = ?
+               WHERE id = ?`,
+              [now, confidence, valid_until, JSON.stringify(merged), row.id],
+              (err) => {
+                if (err) reject(err);
+                else resolve(row.id);
+              }
+            );
+          } else {
+            const id = uuidv4();
+            db.run(
+              `INSERT INTO indicators
+               (id, type, value, source, confidence, first_seen, last_seen, valid_until, metadata)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [id, type, value, source, confidence, first_seen, now, valid_until, cleanMetadata],
+              (err) => {
+                if (err) reject(err);
+                else resolve(id);
+              }
+            );
+          }
+        }
+      );
+    });
+  }
+
+  async importObservedData(observed, objects, source) {
+    // STIX 2.1 uses object_refs; the deprecated embedded objects map is still common
+    const scos = observed.object_refs
+      ? observed.object_refs.map(ref => objects.get(ref))
+      : Object.values(observed.objects || {});
+
+    let stored = 0;
+    for (const sco of scos) {
+      const indicator = this.observableToIndicator(sco);
+      if (!indicator) continue;
+
+      const result = await ingestionService.ingestEvent({
+        indicator_type: indicator.type,
+        indicator_value: indicator.value,
+        event_type: 'observed_data',
+        timestamp: observed.first_observed || observed.created,
+        source,
+        attempts: observed.number_observed || 1,
+        confidence: this.convertConfidence(observed.confidence),
+        metadata: {
+          observed_data_id: observed.id,
+          last_observed: observed.last_observed,
+          hash_algorithm: indicator.algorithm
+        }
+      });
+      if (result.success) stored++;
+    }
+
+    return stored;
+  }
+
+  async importSighting(sighting, objects, source) {
+    const target = objects.get(sighting.sighting_of_ref);
+    if (!target) {
+      throw new Error(`Sighted object ${sighting.sighting_of_ref} not in bundle`);
+    }
+
+    const values = target.type === 'indicator'
+      ? this.parsePattern(target.pattern || '')
+      : [this.observableToIndicator(target)].filter(Boolean);
+
+    let stored = 0;
+    for (const value of values) {
+      const result = await ingestionService.ingestEvent({
+        indicator_type: value.type,
+        indicator_value: value.value,
+        event_type: 'sighting',
+        timestamp: sighting.first_seen || sighting.created,
+        source,
+        attempts: sighting.count || 1,
+        confidence: this.convertConfidence(sighting.confidence ?? target.confidence),
+        metadata: {
+          sighting_id: sighting.id,
+          sighting_of_ref: sighting.sighting_of_ref,
+          last_seen: sighting.last_seen,
+          where_sighted_refs: sighting.where_sighted_refs
+        }
+      });
+      if (result.success) stored++;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Resolve a STIX object into one or more graph entities
+   */
+  resolveGraphEntities(ref, objects) {
+    const obj = objects.get(ref);
+    if (!obj) return [];
+
+    if (obj.type === 'indicator') {
+      return this.parsePattern(obj.pattern || '').map(v => ({ type: v.type, value: v.value }));
+    }
+
+    const observable = this.observableToIndicator(obj);
+    if (observable) return [{ type: observable.type, value: observable.value }];
+    // Cyber-observables whose value did not validate are left out of the graph
+    if (OBSERVABLE_TYPES[`${obj.type}:value`] || obj.hashes) return [];
+
+    return [{ type: obj.type, value: obj.name || obj.id }];
+  }
+
+  async importRelationship(relationship, objects) {
+    const sources = this.resolveGraphEntities(relationship.source_ref, objects);
+    const targets = this.resolveGraphEntities(relationship.target_ref, objects);
+
+    if (sources.length === 0 || targets.length === 0) {
+      throw new Error('Relationship endpoints not in bundle');
+    }
+
+    const weight = typeof relationship.confidence === 'number'
+      ? this.convertConfidence(relationship.confidence)
+      : 1.0;
+
+    let created = 0;
+    for (const source of sources) {
+      const sourceNode = await graphEngine.addNode(source.value, source.type);
+      for (const target of targets) {
+        const targetNode = await graphEngine.addNode(target.value, target.type);
+        // Re-importing a bundle must not duplicate its relationships
+        if (await graphEngine.addEdgeOnce(sourceNode, targetNode, relationship.relationship_type, weight)) {
+          created++;
+        }
+      }
+    }
+
+    return created;
+  }
+}
+
+export default new StixImporter();
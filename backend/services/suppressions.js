@@ -0,0 +1,469 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import MatchIndex, { parseEntry } from './matchIndex.js';
+
+// Allowlist entries and suppression scopes name an indicator, a CIDR range or a domain with its subdomains
+const SCOPE_MATCH_TYPES = ['exact', 'cidr', 'domain'];
+
+// Rule ids of built-in rules, watchlist hits ("watchlist:<name>") and IDS signatures ("suricata:2010935")
+const RULE_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Allowlists and suppression rules for known-good activity: CDN ranges,
+ * internal and vulnerability scanners and the like.
+ *
+ * An allowlisted indicator matches no rules at all, so it neither scores nor
+ * raises alerts. A suppression hides one rule, either for every indicator or
+ * for those in its scope (an indicator, CIDR or domain), until it expires.
+ * Both record who added them and why, and every match they hide is written to
+ * suppressed_matches so the impact of each can be reviewed.
+ */
+class SuppressionService {
+  constructor() {
+    this.allowlist = new Map();
+    this.suppressions = new Map();
+    this.allowlistIndex = new MatchIndex();
+    this.scopedSuppressions = new MatchIndex();
+    this.unscopedSuppressions = [];
+    this.loaded = false;
+    this.loading = null;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async load() {
+    const allowlistRows = await this.all('SELECT * FROM allowlist_entries');
+    const suppressionRows = await this.all('SELECT * FROM suppression_rules');
+
+    const allowlistIndex = new MatchIndex();
+    allowlistRows.forEach(entry => allowlistIndex.add(entry));
+    const scopedSuppressions = new MatchIndex();
+    suppressionRows.filter(suppression => suppression.value).forEach(suppression => scopedSuppressions.add(suppression));
+
+    this.allowlist = new Map(allowlistRows.map(entry => [entry.id, entry]));
+    this.suppressions = new Map(suppressionRows.map(suppression => [suppression.id, suppression]));
+    this.allowlistIndex = allowlistIndex;
+    this.scopedSuppressions = scopedSuppressions;
+    this.unscopedSuppressions = suppressionRows.filter(suppression => !suppression.value);
+    this.loaded = true;
+  }
+
+  ensureLoaded() {
+    if (this.loaded) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  isLive(item, now = new Date().toISOString()) {
+    return !item.expires_at || item.expires_at > now;
+  }
+
+  /**
+   * Split an indicator's matched rules ([{ id, name, score, ... }]) into those
+   * that count and those hidden: { rules, suppressed, allowlisted }, where
+   * suppressed is [{ rule, kind, suppression }] and allowlisted the allowlist
+   * entry covering the indicator, if any
+   */
+  async review(event, rules = []) {
+    await this.ensureLoaded();
+    const now = new Date().toISOString();
+    const type = event.indicator_type;
+    const value = event.indicator_value;
+    const metadata = event.metadata || {};
+
+    const allowlisted = this.allowlistIndex.match(type, value, metadata).find(entry => this.isLive(entry, now)) || null;
+    if (allowlisted) {
+      return {
+        rules: [],
+        suppressed: rules.map(rule => ({ rule, kind: 'allowlist', suppression: allowlisted })),
+        allowlisted
+      };
+    }
+
+    // Scoped suppressions come most specific first, ahead of the unscoped ones
+    const candidates = [...this.scopedSuppressions.match(type, value, metadata), ...this.unscopedSuppressions]
+      .filter(suppression => this.isLive(suppression, now));
+    const kept = [];
+    const suppressed = [];
+    rules.forEach(rule => {
+      const suppression = candidates.find(candidate => candidate.rule_id === rule.id);
+      if (suppression) suppressed.push({ rule, kind: 'suppression', suppression });
+      else kept.push(rule);
+    });
+
+    return { rules: kept, suppressed, allowlisted: null };
+  }
+
+  /**
+   * Apply allowlists and suppressions to a rule engine result ({ score,
+   * triggered_rules }). Hidden rules stop counting towards the score and are
+   * returned under suppressed_rules; an allowlisted indicator scores nothing.
+   */
+  async apply(event, ruleScore) {
+    const review = await this.review(event, ruleScore.triggered_rules || []);
+    if (review.suppressed.length === 0 && !review.allowlisted) return ruleScore;
+
+    const hidden = review.suppressed.reduce((total, { rule }) => total + (rule.score || 0), 0);
+    return {
+      ...ruleScore,
+      score: review.allowlisted ? 0 : Math.max(0, ruleScore.score - hidden),
+      triggered_rules: review.rules,
+      suppressed_rules: review.suppressed,
+      allowlisted: review.allowlisted
+    };
+  }
+
+  /**
+   * Final risk for a rule result that went through apply(). An allowlisted
+   * indicator is known-good, so its ML and graph scores are dropped as well and
+   * it scores 0. A suppression removes only the suppressed rules' share, which
+   * apply() has already taken out of the rule score.
+   */
+  adjustRisk(ruleScore, riskResult) {
+    if (!ruleScore.allowlisted) return riskResult;
+    return { ...riskResult, final_score: 0, severity: 'Low', unsuppressed_score: riskResult.final_score };
+  }
+
+  /**
+   * No alert is raised for an allowlisted indicator, nor when every rule it
+   * matched was suppressed
+   */
+  suppressesAlert(ruleScore) {
+    if (ruleScore.allowlisted) return true;
+    return (ruleScore.suppressed_rules || []).length > 0 && (ruleScore.triggered_rules || []).length === 0;
+  }
+
+  /**
+   * Write the matches a rule result had hidden to the audit trail. An
+   * allowlisted indicator that matched no rules is recorded once.
+   */
+  async record(event, { indicatorId, eventId, ruleScore, riskResult, alertSuppressed }) {
+    let hidden = ruleScore.suppressed_rules || [];
+    if (hidden.length === 0 && ruleScore.allowlisted) {
+      hidden = [{ rule: null, kind: 'allowlist', suppression: ruleScore.allowlisted }];
+    }
+
+    const now = new Date().toISOString();
+    for (const { rule, kind, suppression } of hidden) {
+      await this.run(
+        `INSERT INTO suppressed_matches
+           (suppression_kind, suppression_id, indicator_id, indicator_type, indicator_value, event_id, event_type,
+            rule_id, rule_name, score, alert_suppressed, final_risk_score, severity, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          kind, suppression.id, indicatorId || null, event.indicator_type, event.indicator_value, eventId || null,
+          event.event_type || null, rule?.id || null, rule?.name || null, rule?.score || 0, alertSuppressed ? 1 : 0,
+          riskResult?.final_score ?? null, riskResult?.severity || null, now
+        ]
+      );
+    }
+    return hidden.length;
+  }
+
+  toPublic(item) {
+    if (!item) return null;
+    return { ...item, expired: !this.isLive(item) };
+  }
+
+  /**
+   * Check allowlist (`kind` 'allowlist') or suppression fields. A suppression
+   * without a value applies to every indicator. Returns { item, errors }.
+   */
+  validate(kind, fields, existing = null) {
+    const errors = [];
+    const item = {
+      match_type: existing?.match_type ?? null,
+      value: existing?.value ?? null,
+      indicator_type: existing?.indicator_type ?? null,
+      reason: existing?.reason ?? null,
+      created_by: existing?.created_by ?? null,
+      expires_at: existing?.expires_at ?? null
+    };
+
+    if (kind === 'suppression') {
+      item.rule_id = existing?.rule_id ?? null;
+      if (!existing || fields.rule_id !== undefined) {
+        item.rule_id = String(fields.rule_id ?? '').trim();
+        if (!RULE_ID_PATTERN.test(item.rule_id)) errors.push('rule_id must name the rule to suppress');
+      }
+    }
+
+    const scopeChanged = fields.value !== undefined || fields.match_type !== undefined || fields.type !== undefined;
+    if (kind === 'suppression' && (fields.value === null || fields.value === '')) {
+      Object.assign(item, { match_type: null, value: null, indicator_type: null });
+    } else if (scopeChanged || (!existing && kind === 'allowlist')) {
+      // A new value keeps the match type, but its indicator type is detected again
+      const valueChanged = fields.value !== undefined;
+      const parsed = parseEntry(
+        fields.match_type ?? existing?.match_type,
+        valueChanged ? String(fields.value ?? '') : existing?.value,
+        fields.type ?? (valueChanged ? undefined : existing?.indicator_type)
+      );
+      if (parsed.error) {
+        errors.push(parsed.error);
+      } else if (!SCOPE_MATCH_TYPES.includes(parsed.match_type)) {
+        errors.push(`match_type must be one of: ${SCOPE_MATCH_TYPES.join(', ')}`);
+      } else {
+        Object.assign(item, parsed);
+      }
+    }
+
+    if (fields.reason !== undefined) item.reason = String(fields.reason || '').trim() || null;
+    if (!item.reason) errors.push('reason is required');
+
+    // The author of an entry is fixed when it is created
+    if (!existing) item.created_by = String(fields.created_by || '').trim() || null;
+    if (!item.created_by) errors.push('created_by is required');
+
+    if (fields.expires_at !== undefined) {
+      if (fields.expires_at === null || fields.expires_at === '') {
+        item.expires_at = null;
+      } else {
+        const expires = new Date(fields.expires_at);
+        if (Number.isNaN(expires.getTime())) errors.push('expires_at must be an ISO-8601 date');
+        else item.expires_at = expires.toISOString();
+      }
+    }
+
+    return { item, errors };
+  }
+
+  invalid(kind, errors) {
+    const error = new Error(kind === 'allowlist' ? 'Invalid allowlist entry' : 'Invalid suppression');
+    error.details = errors;
+    return error;
+  }
+
+  async listAllowlist({ active = false } = {}) {
+    await this.ensureLoaded();
+    return Array.from(this.allowlist.values())
+      .filter(entry => !active || this.isLive(entry))
+      .sort((a, b) => a.value.localeCompare(b.value))
+      .map(entry => this.toPublic(entry));
+  }
+
+  async getAllowlistEntry(id) {
+    await this.ensureLoaded();
+    return this.toPublic(this.allowlist.get(id));
+  }
+
+  /**
+   * Allowlist an indicator, CIDR or domain, or update the entry already
+   * covering the same value. Resolves to { entry, created }.
+   */
+  async allow(fields = {}) {
+    await this.ensureLoaded();
+    const { item, errors } = this.validate('allowlist', fields);
+    if (errors.length > 0) throw this.invalid('allowlist', errors);
+
+    const existing = Array.from(this.allowlist.values())
+      .find(entry => entry.match_type === item.match_type && entry.value === item.value);
+    if (existing) {
+      const { value, match_type: matchType, type, ...rest } = fields;
+      return { entry: await this.updateAllowlistEntry(existing.id, rest), created: false };
+    }
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO allowlist_entries
+         (id, match_type, value, indicator_type, reason, created_by, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, item.match_type, item.value, item.indicator_type, item.reason, item.created_by, item.expires_at, now, now]
+    );
+    await this.load();
+    return { entry: this.toPublic(this.allowlist.get(id)), created: true };
+  }
+
+  /**
+   * Update an allowlist entry; omitted fields keep their current values.
+   * Resolves to null when the entry does not exist.
+   */
+  async updateAllowlistEntry(id, fields = {}) {
+    await this.ensureLoaded();
+    const existing = this.allowlist.get(id);
+    if (!existing) return null;
+
+    const { item, errors } = this.validate('allowlist', fields, existing);
+    const conflict = Array.from(this.allowlist.values())
+      .find(entry => entry.match_type === item.match_type && entry.value === item.value && entry.id !== id);
+    if (conflict) errors.push(`${item.value} is already allowlisted`);
+    if (errors.length > 0) throw this.invalid('allowlist', errors);
+
+    await this.run(
+      `UPDATE allowlist_entries
+       SET match_type = ?, value = ?, indicator_type = ?, reason = ?, expires_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [item.match_type, item.value, item.indicator_type, item.reason, item.expires_at, new Date().toISOString(), id]
+    );
+    await this.load();
+    return this.toPublic(this.allowlist.get(id));
+  }
+
+  async removeAllowlistEntry(id) {
+    const result = await this.run('DELETE FROM allowlist_entries WHERE id = ?', [id]);
+    if (result.changes > 0) await this.load();
+    return result.changes > 0;
+  }
+
+  async listSuppressions({ ruleId, active = false } = {}) {
+    await this.ensureLoaded();
+    return Array.from(this.suppressions.values())
+      .filter(suppression => !ruleId || suppression.rule_id === ruleId)
+      .filter(suppression => !active || this.isLive(suppression))
+      .sort((a, b) => a.rule_id.localeCompare(b.rule_id) || (a.value || '').localeCompare(b.value || ''))
+      .map(suppression => this.toPublic(suppression));
+  }
+
+  async getSuppression(id) {
+    await this.ensureLoaded();
+    return this.toPublic(this.suppressions.get(id));
+  }
+
+  async suppress(fields = {}) {
+    await this.ensureLoaded();
+    const { item, errors } = this.validate('suppression', fields);
+    if (errors.length > 0) throw this.invalid('suppression', errors);
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO suppression_rules
+         (id, rule_id, match_type, value, indicator_type, reason, created_by, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, item.rule_id, item.match_type, item.value, item.indicator_type, item.reason, item.created_by,
+        item.expires_at, now, now]
+    );
+    await this.load();
+    return this.toPublic(this.suppressions.get(id));
+  }
+
+  /**
+   * Update a suppression; omitted fields keep their current values. Resolves
+   * to null when the suppression does not exist.
+   */
+  async updateSuppression(id, fields = {}) {
+    await this.ensureLoaded();
+    const existing = this.suppressions.get(id);
+    if (!existing) return null;
+
+    const { item, errors } = this.validate('suppression', fields, existing);
+    if (errors.length > 0) throw this.invalid('suppression', errors);
+
+    await this.run(
+      `UPDATE suppression_rules
+       SET rule_id = ?, match_type = ?, value = ?, indicator_type = ?, reason = ?, expires_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [item.rule_id, item.match_type, item.value, item.indicator_type, item.reason, item.expires_at,
+        new Date().toISOString(), id]
+    );
+    await this.load();
+    return this.toPublic(this.suppressions.get(id));
+  }
+
+  async removeSuppression(id) {
+    const result = await this.run('DELETE FROM suppression_rules WHERE id = ?', [id]);
+    if (result.changes > 0) await this.load();
+    return result.changes > 0;
+  }
+
+  /**
+   * What each allowlist entry and suppression has hidden since `since`: match,
+   * alert and indicator counts, the rule score withheld and the rules involved
+   */
+  async impact({ since } = {}) {
+    await this.ensureLoaded();
+    const where = since ? 'WHERE created_at >= ?' : '';
+    const params = since ? [since] : [];
+
+    const totals = await this.all(
+      `SELECT suppression_id,
+              COUNT(*) as hidden_matches,
+              COUNT(DISTINCT CASE WHEN alert_suppressed = 1 THEN COALESCE(event_id, id) END) as hidden_alerts,
+              COUNT(DISTINCT indicator_value) as indicators,
+              SUM(score) as hidden_score,
+              MIN(created_at) as first_hidden_at,
+              MAX(created_at) as last_hidden_at
+       FROM suppressed_matches
+       ${where}
+       GROUP BY suppression_id`,
+      params
+    );
+    const byRule = await this.all(
+      `SELECT suppression_id, rule_id, COUNT(*) as count
+       FROM suppressed_matches
+       ${where ? `${where} AND` : 'WHERE'} rule_id IS NOT NULL
+       GROUP BY suppression_id, rule_id`,
+      params
+    );
+
+    const impacts = new Map(totals.map(({ suppression_id: id, ...total }) => [id, { ...total, rules: {} }]));
+    byRule.forEach(row => {
+      if (impacts.has(row.suppression_id)) impacts.get(row.suppression_id).rules[row.rule_id] = row.count;
+    });
+
+    const withImpact = item => ({
+      ...this.toPublic(item),
+      impact: impacts.get(item.id) || {
+        hidden_matches: 0,
+        hidden_alerts: 0,
+        indicators: 0,
+        hidden_score: 0,
+        first_hidden_at: null,
+        last_hidden_at: null,
+        rules: {}
+      }
+    });
+
+    return {
+      since: since || null,
+      allowlist: Array.from(this.allowlist.values()).map(withImpact),
+      suppressions: Array.from(this.suppressions.values()).map(withImpact)
+    };
+  }
+
+  /**
+   * The matches one allowlist entry or suppression has hidden, newest first.
+   * Resolves to null when it neither exists nor hid anything.
+   */
+  async hidden(id, { limit = 100 } = {}) {
+    await this.ensureLoaded();
+    const matches = await this.all(
+      `SELECT * FROM suppressed_matches
+       WHERE suppression_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [id, Math.min(limit, 1000)]
+    );
+
+    const item = this.allowlist.get(id) || this.suppressions.get(id);
+    if (!item && matches.length === 0) return null;
+    return {
+      id,
+      kind: this.allowlist.has(id) ? 'allowlist' : this.suppressions.has(id) ? 'suppression' : matches[0].suppression_kind,
+      // Deleted entries keep their audit trail
+      deleted: !item,
+      matches: matches.map(match => ({ ...match, alert_suppressed: !!match.alert_suppressed }))
+    };
+  }
+}
+
+export default new SuppressionService();
@@ -0,0 +1,226 @@
+import readline from 'readline';
+import ingestionService from './ingestion.js';
+import { idsSeverity } from './severity.js';
+
+const EVENT_TYPES = ['alert', 'dns', 'http', 'tls', 'flow', 'fileinfo'];
+
+// Cap on per-line errors echoed back to the caller
+const MAX_REPORTED_ERRORS = 100;
+
+class SuricataParser {
+  /**
+   * Ingest a Suricata eve.json stream (one JSON object per line)
+   */
+  async ingestStream(input, { source = 'suricata' } = {}) {
+    const summary = { records: 0, events: 0, skipped: 0, failed: 0, by_type: {}, errors: [] };
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        this.recordFailure(summary, lineNumber, `Invalid JSON: ${error.message}`);
+        continue;
+      }
+
+      summary.records++;
+      const rawEvent = this.toRawEvent(record, source);
+      if (!rawEvent) {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = await ingestionService.ingestEvent(rawEvent);
+      if (result.success) {
+        summary.events++;
+        summary.by_type[record.event_type] = (summary.by_type[record.event_type] || 0) + 1;
+      } else {
+        this.recordFailure(summary, lineNumber, result.error);
+      }
+    }
+
+    return summary;
+  }
+
+  recordFailure(summary, line, error) {
+    summary.failed++;
+    if (summary.errors.length < MAX_REPORTED_ERRORS) {
+      summary.errors.push({ line, error });
+    }
+  }
+
+  /**
+   * Map an EVE record to the raw event shape; returns null for unsupported event types
+   */
+  toRawEvent(record, source) {
+    if (!EVENT_TYPES.includes(record.event_type)) return null;
+
+    const base = {
+      timestamp: record.timestamp,
+      source,
+      protocol: record.app_proto || record.proto,
+      port: record.dest_port,
+      metadata: {
+        eve_event_type: record.event_type,
+        flow_id: record.flow_id,
+        src_ip: record.src_ip,
+        src_port: record.src_port,
+        dest_ip: record.dest_ip,
+        in_iface: record.in_iface,
+        community_id: record.community_id
+      }
+    };
+
+    switch (record.event_type) {
+      case 'alert': {
+        const alert = record.alert || {};
+        // Rules with a target keyword say which side is the attacker
+        const attacker = alert.source?.ip || record.src_ip;
+        return {
+          ...base,
+          indicator_type: 'IP',
+          indicator_value: attacker,
+          event_type: 'ids_alert',
+          severity: idsSeverity(alert.severity),
+          metadata: {
+            ...base.metadata,
+            action: alert.action,
+            detection: {
+              engine: 'suricata',
+              signature_id: alert.signature_id,
+              rev: alert.rev,
+              gid: alert.gid,
+              signature: alert.signature,
+              category: alert.category,
+              severity: alert.severity
+            }
+          }
+        };
+      }
+
+      case 'dns': {
+        const dns = record.dns || {};
+        const name = dns.rrname || dns.queries?.[0]?.rrname;
+        if (!name) return null;
+        const answers = (dns.answers || [])
+          .map(a => a.rdata)
+          .concat(dns.type === 'answer' && dns.rdata ? [dns.rdata] : [])
+          .filter(Boolean);
+        return {
+          ...base,
+          indicator_type: 'domain',
+          indicator_value: name.toLowerCase(),
+          event_type: 'dns_query',
+          metadata: {
+            ...base.metadata,
+            dns_type: dns.type,
+            rrtype: dns.rrtype,
+            rcode: dns.rcode,
+            answers: answers.length > 0 ? answers : undefined
+          }
+        };
+      }
+
+      case 'http': {
+        const http = record.http || {};
+        const host = http.hostname || record.dest_ip;
+        if (!host) return null;
+        return {
+          ...base,
+          indicator_type: http.hostname ? 'domain' : 'IP',
+          indicator_value: host.toLowerCase(),
+          event_type: 'http_request',
+          user_agent: http.http_user_agent,
+          payload_size: http.length,
+          metadata: {
+            ...base.metadata,
+            url: http.url,
+            method: http.http_method,
+            status: http.status,
+            content_type: http.http_content_type,
+            referrer: http.http_refer
+          }
+        };
+      }
+
+      case 'tls': {
+        const tls = record.tls || {};
+        const host = tls.sni || record.dest_ip;
+        if (!host) return null;
+        return {
+          ...base,
+          indicator_type: tls.sni ? 'domain' : 'IP',
+          indicator_value: host.toLowerCase(),
+          event_type: 'tls_connection',
+          metadata: {
+            ...base.metadata,
+            version: tls.version,
+            subject: tls.subject,
+            issuer: tls.issuerdn,
+            fingerprint: tls.fingerprint,
+            ja3: tls.ja3?.hash,
+            ja3s: tls.ja3s?.hash,
+            not_before: tls.notbefore,
+            not_after: tls.notafter
+          }
+        };
+      }
+
+      case 'flow': {
+        const flow = record.flow || {};
+        if (!record.dest_ip) return null;
+        const bytes = (flow.bytes_toserver || 0) + (flow.bytes_toclient || 0);
+        return {
+          ...base,
+          indicator_type: 'IP',
+          indicator_value: record.dest_ip,
+          event_type: 'network_connection',
+          payload_size: bytes || undefined,
+          metadata: {
+            ...base.metadata,
+            state: flow.state,
+            reason: flow.reason,
+            pkts_toserver: flow.pkts_toserver,
+            pkts_toclient: flow.pkts_toclient,
+            bytes_toserver: flow.bytes_toserver,
+            bytes_toclient: flow.bytes_toclient,
+            alerted: flow.alerted
+          }
+        };
+      }
+
+      case 'fileinfo': {
+        const file = record.fileinfo || {};
+        const hash = file.sha256 || file.sha1 || file.md5;
+        if (!hash) return null;
+        return {
+          ...base,
+          indicator_type: 'hash',
+          indicator_value: hash.toLowerCase(),
+          event_type: 'file_download',
+          payload_size: file.size,
+          metadata: {
+            ...base.metadata,
+            filename: file.filename,
+            magic: file.magic,
+            md5: file.md5,
+            sha1: file.sha1,
+            sha256: file.sha256,
+            stored: file.stored,
+            http_host: record.http?.hostname
+          }
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+export default new SuricataParser();
@@ -0,0 +1,509 @@
+import dgram from 'dgram';
+import net from 'net';
+import normalizer from './normalizer.js';
+import ingestionService from './ingestion.js';
+
+const FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+
+const SEVERITIES = [
+  'emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Maximum bytes buffered per TCP connection before it is dropped
+const MAX_TCP_BUFFER = 1024 * 1024;
+
+class SyslogReceiver {
+  constructor() {
+    this.defaultPort = parseInt(process.env.SYSLOG_PORT) || 5514;
+    this.defaultHost = process.env.SYSLOG_HOST || '0.0.0.0';
+    this.listeners = new Map();
+    this.nextListenerId = 1;
+
+    // Message patterns used to derive an event type from free-text syslog
+    this.eventPatterns = [
+      { pattern: /failed password|authentication failure|invalid user|login failed|failed login/i, type: 'failed_login' },
+      { pattern: /accepted (password|publickey|keyboard-interactive)|session opened|login succeeded/i, type: 'successful_login' },
+      { pattern: /sudo:.*COMMAND=|\bsu\b.*session opened for user root/i, type: 'privilege_escalation' },
+      { pattern: /port ?scan/i, type: 'port_scan' },
+      { pattern: /\bquery(\[[A-Z]+\])?:? /i, type: 'dns_query' }
+    ];
+  }
+
+  /**
+   * Resolve the listener definitions configured through the environment
+   */
+  getConfiguredListeners() {
+    if (process.env.SYSLOG_LISTENERS) {
+      try {
+        return JSON.parse(process.env.SYSLOG_LISTENERS);
+      } catch (error) {
+        console.error('Invalid SYSLOG_LISTENERS configuration:', error.message);
+        return [];
+      }
+    }
+
+    if (!process.env.SYSLOG_PORT) return [];
+
+    return [
+      { protocol: 'udp', port: this.defaultPort, source: 'syslog' },
+      { protocol: 'tcp', port: this.defaultPort, source: 'syslog' }
+    ];
+  }
+
+  /**
+   * Start all listeners from configuration
+   */
+  async start(definitions = this.getConfiguredListeners()) {
+    const started = [];
+    for (const definition of definitions) {
+      try {
+        started.push(await this.addListener(definition));
+      } catch (error) {
+        console.error(`Failed to start syslog listener on ${definition.protocol}/${definition.port}:`, error.message);
+      }
+    }
+    return started;
+  }
+
+  /**
+   * Start a single UDP or TCP listener
+   */
+  addListener({ protocol = 'udp', port = this.defaultPort, host = this.defaultHost, source = 'syslog' } = {}) {
+    protocol = String(protocol).toLowerCase();
+    if (protocol !== 'udp' && protocol !== 'tcp') {
+      return Promise.reject(new Error(`Unsupported syslog protocol: ${protocol}`));
+    }
+
+    const listener = {
+      id: String(this.nextListenerId++),
+      protocol,
+      port: parseInt(port),
+      host,
+      source,
+      received: 0,
+      errors: 0,
+      dropped: 0,
+      started_at: new Date().toISOString()
+    };
+
+    const start = protocol === 'udp'
+      ? this.startUdpListener(listener)
+      : this.startTcpListener(listener);
+
+    return start.then(server => {
+      Object.defineProperty(listener, 'server', { value: server, enumerable: false });
+      this.listeners.set(listener.id, listener);
+      console.log(`Syslog ${protocol.toUpperCase()} listener on ${host}:${listener.port} (source: ${source})`);
+      return listener;
+    });
+  }
+
+  startUdpListener(listener) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(listener.host.includes(':') ? 'udp6' : 'udp4');
+
+      socket.on('message', (buffer, rinfo) => {
+        this.handleMessage(buffer.toString('utf8'), listener, rinfo.address);
+      });
+
+      socket.once('error', reject);
+      socket.bind(listener.port, listener.host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (err) => {
+          listener.errors++;
+          console.error('Syslog UDP error:', err.message);
+        });
+        resolve(socket);
+      });
+    });
+  }
+
+  startTcpListener(listener) {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => {
+        let buffer = '';
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+          buffer += chunk;
+          if (buffer.length > MAX_TCP_BUFFER) {
+            listener.errors++;
+            socket.destroy();
+            return;
+          }
+
+          const { messages, rest } = this.splitFrames(buffer);
+          buffer = rest;
+          messages.forEach(message => this.handleMessage(message, listener, socket.remoteAddress));
+
+          // Apply backpressure: stop reading until the ingestion queue drains
+          if (ingestionService.isSaturated()) {
+            socket.pause();
+            ingestionService.once('drain', () => socket.resume());
+          }
+        });
+
+        socket.on('end', () => {
+          if (buffer.trim()) {
+            this.handleMessage(buffer, listener, socket.remoteAddress);
+          }
+          buffer = '';
+        });
+
+        socket.on('error', (err) => {
+          listener.errors++;
+          console.error('Syslog TCP connection error:', err.message);
+        });
+      });
+
+      server.once('error', reject);
+      server.listen(listener.port, listener.host, () => {
+        server.removeListener('error', reject);
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Split a TCP stream into messages using octet-counting (RFC 6587 3.4.1)
+   * or newline-delimited non-transparent framing (RFC 6587 3.4.2)
+   */
+  splitFrames(buffer) {
+    const messages = [];
+    let rest = buffer;
+
+    while (rest.length > 0) {
+      const octetMatch = rest.match(/^(\d+) /);
+
+      if (octetMatch) {
+        const length = parseInt(octetMatch[1]);
+        const start = octetMatch[0].length;
+        const bytes = Buffer.from(rest.slice(start), 'utf8');
+        if (bytes.length < length) break;
+
+        const message = bytes.subarray(0, length).toString('utf8');
+        messages.push(message);
+        rest = bytes.subarray(length).toString('utf8');
+        continue;
+      }
+
+      const newline = rest.search(/[\n\0]/);
+      if (newline === -1) break;
+
+      const message = rest.slice(0, newline).replace(/\r$/, '');
+      if (message.trim()) messages.push(message);
+      rest = rest.slice(newline + 1);
+    }
+
+    return { messages, rest };
+  }
+
+  /**
+   * Parse, normalize and queue a single syslog message
+   */
+  handleMessage(message, listener, remoteAddress) {
+    try {
+      const parsed = this.parse(message);
+      if (!parsed) {
+        listener.errors++;
+        return null;
+      }
+
+      const rawEvent = this.toRawEvent(parsed, listener.source, remoteAddress);
+      const normalized = normalizer.normalizeEvent(rawEvent);
+      listener.received++;
+      ingestionService.queueEvent(normalized).catch(error => {
+        // UDP has no flow control, so a full queue means the message is lost
+        if (error.code === 'QUEUE_FULL') {
+          listener.dropped++;
+        } else {
+          listener.errors++;
+          console.error('Syslog queue error:', error.message);
+        }
+      });
+      return normalized;
+    } catch (error) {
+      listener.errors++;
+      console.error('Syslog message error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Parse a syslog message in either RFC 5424 or RFC 3164 format
+   */
+  parse(message) {
+    if (typeof message !== 'string') return null;
+
+    const line = message.replace(/[\r\n\0]+$/, '');
+    if (!line.trim()) return null;
+
+    const priMatch = line.match(/^<(\d{1,3})>/);
+    let pri = 13; // user.notice, per RFC 3164 4.3.3
+    let body = line;
+
+    if (priMatch) {
+      pri = Math.min(parseInt(priMatch[1]), 191);
+      body = line.slice(priMatch[0].length);
+    }
+
+    const header = {
+      facility: FACILITIES[pri >> 3] || `facility${pri >> 3}`,
+      severity: SEVERITIES[pri & 7],
+      severity_code: pri & 7,
+      priority: pri
+    };
+
+    if (/^[1-9]\d{0,2} /.test(body)) {
+      const parsed = this.parseRFC5424(body);
+      if (parsed) return { ...header, ...parsed };
+    }
+
+    return { ...header, ...this.parseRFC3164(body) };
+  }
+
+  /**
+   * RFC 5424: VERSION SP TIMESTAMP SP HOSTNAME SP APP-NAME SP PROCID SP MSGID SP SD [SP MSG]
+   */
+  parseRFC5424(body) {
+    const match = body.match(/^(\d{1,3}) (\S+) (\S+) (\S+) (\S+) (\S+) /);
+    if (!match) return null;
+
+    const [prefix, version, timestamp, hostname, appName, procId, msgId] = match;
+    const sd = this.parseStructuredData(body.slice(prefix.length));
+    if (!sd) return null;
+
+    let msg = sd.rest.replace(/^ /, '');
+    if (msg.startsWith('\uFEFF')) msg = msg.slice(1);
+
+    const nil = (value) => (value === '-' ? null : value);
+
+    return {
+      format: 'rfc5424',
+      version: parseInt(version),
+      timestamp: nil(timestamp),
+      hostname: nil(hostname),
+      app_name: nil(appName),
+      proc_id: nil(procId),
+      msg_id: nil(msgId),
+      structured_data: sd.elements,
+      message: msg
+    };
+  }
+
+  /**
+   * Parse RFC 5424 STRUCTURED-DATA into { sdId: { param: value } }
+   */
+  parseStructuredData(text) {
+    if (text.startsWith('-')) {
+      return { elements: {}, rest: text.slice(1) };
+    }
+
+    const elements = {};
+    let i = 0;
+
+    while (text[i] === '[') {
+      i++;
+      const idMatch = text.slice(i).match(/^[^\s\]="]+/);
+      if (!idMatch) return null;
+
+      const sdId = idMatch[0];
+      const params = {};
+      i += sdId.length;
+
+      while (text[i] === ' ') {
+        i++;
+        const nameMatch = text.slice(i).match(/^([^\s\]="]+)="/);
+        if (!nameMatch) return null;
+        i += nameMatch[0].length;
+
+        let value = '';
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '\\' && ['"', '\\', ']'].includes(text[i + 1])) {
+            value += text[i + 1];
+            i += 2;
+          } else {
+            value += text[i++];
+          }
+        }
+        if (text[i] !== '"') return null;
+        i++;
+
+        params[nameMatch[1]] = value;
+      }
+
+      if (text[i] !== ']') return null;
+      i++;
+      elements[sdId] = { ...(elements[sdId] || {}), ...params };
+    }
+
+    if (i === 0) return null;
+    return { elements, rest: text.slice(i) };
+  }
+
+  /**
+   * RFC 3164: TIMESTAMP SP HOSTNAME SP TAG[PID]: MSG
+   */
+  parseRFC3164(body) {
+    const result = {
+      format: 'rfc3164',
+      timestamp: null,
+      hostname: null,
+      app_name: null,
+      proc_id: null,
+      msg_id: null,
+      structured_data: {},
+      message: body
+    };
+
+    let rest = body;
+    const tsMatch = rest.match(/^([A-Z][a-z]{2}) {1,2}(\d{1,2}) (\d{2}):(\d{2}):(\d{2}) /);
+
+    if (tsMatch) {
+      result.timestamp = this.resolveBsdTimestamp(tsMatch);
+      rest = rest.slice(tsMatch[0].length);
+
+      // Hostname is optional when relayed; a trailing colon marks a tag instead
+      const hostMatch = rest.match(/^([^\s:\[]+) /);
+      if (hostMatch) {
+        result.hostname = hostMatch[1];
+        rest = rest.slice(hostMatch[0].length);
+      }
+    } else {
+      const isoMatch = rest.match(/^(\d{4}-\d{2}-\d{2}T\S+) (\S+) /);
+      if (isoMatch) {
+        result.timestamp = isoMatch[1];
+        result.hostname = isoMatch[2];
+        rest = rest.slice(isoMatch[0].length);
+      }
+    }
+
+    // CEF/LEEF payloads start with a colon-terminated marker that is not a tag
+    const tagMatch = !/^(CEF|LEEF):/.test(rest) && rest.match(/^([\w\-./]{1,48})(?:\[([^\]]*)\])?: ?/);
+    if (tagMatch) {
+      result.app_name = tagMatch[1];
+      result.proc_id = tagMatch[2] || null;
+      rest = rest.slice(tagMatch[0].length);
+    }
+
+    result.message = rest;
+    return result;
+  }
+
+  /**
+   * BSD timestamps carry no year; assume the current one unless that lands in the future
+   */
+  resolveBsdTimestamp([, month, day, hours, minutes, seconds]) {
+    const monthIndex = MONTHS.indexOf(month);
+    if (monthIndex === -1) return null;
+
+    const now = new Date();
+    const date = new Date(now.getFullYear(), monthIndex, parseInt(day),
+      parseInt(hours), parseInt(minutes), parseInt(seconds));
+
+    if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+      date.setFullYear(date.getFullYear() - 1);
+    }
+
+    return date.toISOString();
+  }
+
+  /**
+   * Map a parsed syslog message onto the raw event shape DataNormalizer expects
+   */
+  toRawEvent(parsed, source, remoteAddress) {
+    const sdParams = Object.assign({}, ...Object.values(parsed.structured_data || {}));
+    const message = parsed.message || '';
+
+    if (normalizer.isCEF(message) || normalizer.isLEEF(message)) {
+      const deviceEvent = normalizer.parseRawMessage(message);
+      return {
+        ...deviceEvent,
+        timestamp: deviceEvent.timestamp || parsed.timestamp || new Date().toISOString(),
+        source,
+        metadata: {
+          ...deviceEvent.metadata,
+          hostname: parsed.hostname,
+          sender: remoteAddress || null
+        }
+      };
+    }
+
+    const ip = sdParams.src || sdParams.src_ip || sdParams.ip ||
+               this.extractIP(message) ||
+               (remoteAddress ? remoteAddress.replace(/^::ffff:/, '') : null);
+
+    const portMatch = message.match(/\bport (\d{1,5})\b/i);
+    const userMatch = message.match(/\b(?:for(?: invalid user)?|user)[= ]([\w.\-@$]+)/i);
+
+    return {
+      ip,
+      event_type: sdParams.event_type || this.classifyMessage(message),
+      timestamp: parsed.timestamp || new Date().toISOString(),
+      source,
+      port: parseInt(sdParams.dpt || sdParams.port || (portMatch && portMatch[1])) || null,
+      severity: parsed.severity,
+      metadata: {
+        syslog_format: parsed.format,
+        facility: parsed.facility,
+        hostname: parsed.hostname,
+        app_name: parsed.app_name,
+        proc_id: parsed.proc_id,
+        msg_id: parsed.msg_id,
+        username: sdParams.user || (userMatch && userMatch[1]) || null,
+        structured_data: Object.keys(parsed.structured_data || {}).length > 0
+          ? parsed.structured_data
+          : null,
+        message,
+        sender: remoteAddress || null
+      }
+    };
+  }
+
+  classifyMessage(message) {
+    const match = this.eventPatterns.find(({ pattern }) => pattern.test(message));
+    return match ? match.type : 'syslog_message';
+  }
+
+  extractIP(message) {
+    const match = message.match(/\b(?:\d{1,3}\.){3}\d{1,3}\b/);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Stop a listener by id
+   */
+  removeListener(id) {
+    const listener = this.listeners.get(id);
+    if (!listener) return Promise.resolve(false);
+
+    this.listeners.delete(id);
+    return new Promise((resolve) => {
+      listener.server.close(() => resolve(true));
+    });
+  }
+
+  /**
+   * Stop all listeners
+   */
+  async stop() {
+    for (const id of Array.from(this.listeners.keys())) {
+      await this.removeListener(id);
+    }
+  }
+
+  /**
+   * Get listener status
+   */
+  getListeners() {
+    return Array.from(this.listeners.values()).map(l => ({ ...l }));
+  }
+}
+
+export default new SyslogReceiver();
@@ -0,0 +1,291 @@
+import db from '../db.js';
+import { v5 as uuidv5 } from 'uuid';
+
+export const TAXII_MEDIA_TYPE = 'application/taxii+json;version=2.1';
+
+// Namespace for deterministic collection ids so they stay stable across restarts
+const COLLECTION_NAMESPACE = '6f1b6a1e-3c1d-4b7e-9a55-2f6c0f2b9d41';
+
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+const HASH_ALGORITHMS = {
+  32: 'MD5',
+  40: 'SHA-1',
+  64: 'SHA-256',
+  128: 'SHA-512'
+};
+
+class TaxiiServer {
+  constructor() {
+    this.apiRootPath = '/taxii2/api/';
+    this.defaultLimit = 100;
+    this.maxLimit = 1000;
+  }
+
+  /**
+   * Discovery resource
+   */
+  getDiscovery() {
+    return {
+      title: 'ThreatSim TAXII Server',
+      description: 'Scored indicators and alerts from the ThreatSim Intelligence Engine',
+      default: this.apiRootPath,
+      api_roots: [this.apiRootPath]
+    };
+  }
+
+  /**
+   * API root resource
+   */
+  getApiRoot() {
+    return {
+      title: 'ThreatSim Indicators',
+      description: 'Indicators and alert sightings grouped by severity and MITRE stage',
+      versions: [TAXII_MEDIA_TYPE],
+      max_content_length: 10 * 1024 * 1024
+    };
+  }
+
+  /**
+   * Collections are derived from alert severities and observed MITRE stages
+   */
+  async getCollections() {
+    const stages = await this.getMitreStages();
+
+    const severityCollections = SEVERITIES.map(severity => this.buildCollection(
+      `severity-${severity.toLowerCase()}`,
+      `${severity} severity`,
+      `Indicators with ${severity.toLowerCase()} severity alerts`,
+      { severity }
+    ));
+
+    const stageCollections = stages.map(stage => this.buildCollection(
+      `mitre-${stage.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      `MITRE: ${stage}`,
+      `Indicators with alerts mapped to the ${stage} stage`,
+      { mitre_stage: stage }
+    ));
+
+    return [...severityCollections, ...stageCollections];
+  }
+
+  buildCollection(alias, title, description, filter) {
+    const collection = {
+      id: uuidv5(alias, COLLECTION_NAMESPACE),
+      title,
+      description,
+      alias,
+      can_read: true,
+      can_write: false,
+      media_types: ['application/stix+json;version=2.1']
+    };
+    Object.defineProperty(collection, 'filter', { value: filter, enumerable: false });
+    return collection;
+  }
+
+  async getCollection(id) {
+    const collections = await this.getCollections();
+    return collections.find(c => c.id === id || c.alias === id) || null;
+  }
+
+  getMitreStages() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT DISTINCT mitre_stage FROM alerts WHERE mitre_stage IS NOT NULL ORDER BY mitre_stage',
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve((rows || []).map(r => r.mitre_stage));
+        }
+      );
+    });
+  }
+
+  /**
+   * Page through alerts in a collection ordered by date added
+   */
+  getCollectionAlerts(collection, { addedAfter, limit, next, matchId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (collection.filter.severity) {
+      conditions.push('a.severity = ?');
+      params.push(collection.filter.severity);
+    }
+    if (collection.filter.mitre_stage) {
+      conditions.push('a.mitre_stage = ?');
+      params.push(collection.filter.mitre_stage);
+    }
+    if (addedAfter) {
+      conditions.push('a.created_at > ?');
+      params.push(addedAfter);
+    }
+    if (matchId) {
+      conditions.push('(a.id = ? OR i.id = ?)');
+      params.push(matchId, matchId);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || this.defaultLimit, this.maxLimit);
+    const offset = parseInt(next) || 0;
+
+    const query = `
+      SELECT a.*, i.type as indicator_type, i.value as indicator_value,
+             i.confidence, i.first_seen, i.last_seen, i.valid_until,
+             i.metadata as indicator_metadata
+      FROM alerts a
+      JOIN indicators i ON a.indicator_id = i.id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY a.created_at ASC, a.id ASC
+      LIMIT ? OFFSET ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      // Fetch one extra row to know whether another page exists
+      db.all(query, [...params, pageSize + 1, offset], (err, rows) => {
+        if (err) return reject(err);
+        const more = rows.length > pageSize;
+        resolve({
+          rows: rows.slice(0, pageSize),
+          more,
+          next: more ? String(offset + pageSize) : null
+        });
+      });
+    });
+  }
+
+  /**
+   * Objects envelope for a collection
+   */
+  async getObjects(collection, options = {}) {
+    const { rows, more, next } = await this.getCollectionAlerts(collection, options);
+    const objects = [];
+    const seenIndicators = new Set();
+
+    rows.forEach(row => {
+      if (!seenIndicators.has(row.indicator_id)) {
+        const indicator = this.toStixIndicator(row);
+        if (indicator) objects.push(indicator);
+        seenIndicators.add(row.indicator_id);
+      }
+      objects.push(this.toStixSighting(row));
+    });
+
+    const envelope = { more };
+    if (next) envelope.next = next;
+    if (objects.length > 0) envelope.objects = objects;
+
+    return {
+      envelope,
+      firstAdded: rows[0]?.created_at || null,
+      lastAdded: rows[rows.length - 1]?.created_at || null
+    };
+  }
+
+  /**
+   * Manifest entries for a collection
+   */
+  async getManifest(collection, options = {}) {
+    const { envelope, firstAdded, lastAdded } = await this.getObjects(collection, options);
+    const objects = (envelope.objects || []).map(obj => ({
+      id: obj.id,
+      date_added: obj.created,
+      version: obj.modified,
+      media_type: 'application/stix+json;version=2.1'
+    }));
+
+    const manifest = { more: envelope.more };
+    if (envelope.next) manifest.next = envelope.next;
+    if (objects.length > 0) manifest.objects = objects;
+
+    return { envelope: manifest, firstAdded, lastAdded };
+  }
+
+  /**
+   * Build a STIX pattern for an indicator row
+   */
+  buildPattern(type, value) {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+    switch (type?.toLowerCase()) {
+      case 'ip':
+      case 'cidr':
+        // STIX address objects accept CIDR notation in value
+        return value.includes(':')
+          ? `[ipv6-addr:value = '${escaped}']`
+          : `[ipv4-addr:value = '${escaped}']`;
+      case 'domain':
+        return `[domain-name:value = '${escaped}']`;
+      case 'url':
+        return `[url:value = '${escaped}']`;
+      case 'hash': {
+        const algorithm = HASH_ALGORITHMS[value.length];
+        return algorithm ? `[file:hashes.'${algorithm}' = '${escaped}']` : null;
+      }
+      case 'email':
+        return `[email-addr:value = '${escaped}']`;
+      case 'certificate': {
+        const algorithm = HASH_ALGORITHMS[value.length];
+        return algorithm ? `[x509-certificate:hashes.'${algorithm}' = '${escaped}']` : null;
+      }
+      case 'user':
+        return `[user-account:user_id = '${escaped}']`;
+      case 'file':
+        return `[file:name = '${escaped}']`;
+      default:
+        return null;
+    }
+  }
+
+  toStixIndicator(row) {
+    const pattern = this.buildPattern(row.indicator_type, row.indicator_value);
+    if (!pattern) return null;
+
+    let metadata = {};
+    try {
+      metadata = JSON.parse(row.indicator_metadata || '{}');
+    } catch (e) {}
+
+    const indicator = {
+      type: 'indicator',
+      spec_version: '2.1',
+      id: `indicator--${row.indicator_id}`,
+      created: row.first_seen,
+      modified: row.last_seen,
+      name: row.indicator_value,
+      pattern,
+      pattern_type: 'stix',
+      valid_from: row.first_seen,
+      confidence: Math.round((row.confidence ?? 0.5) * 100),
+      indicator_types: ['malicious-activity']
+    };
+
+    if (row.valid_until) indicator.valid_until = row.valid_until;
+    if (Array.isArray(metadata.labels) && metadata.labels.length > 0) {
+      indicator.labels = metadata.labels;
+    }
+
+    return indicator;
+  }
+
+  toStixSighting(row) {
+    return {
+      type: 'sighting',
+      spec_version: '2.1',
+      id: `sighting--${row.id}`,
+      created: row.created_at,
+      modified: row.created_at,
+      sighting_of_ref: `indicator--${row.indicator_id}`,
+      first_seen: row.created_at,
+      last_seen: row.created_at,
+      count: 1,
+      x_threatsim_severity: row.severity,
+      x_threatsim_final_risk_score: row.final_risk_score,
+      x_threatsim_rule_score: row.rule_score,
+      x_threatsim_ml_score: row.ml_score,
+      x_threatsim_graph_score: row.graph_score,
+      x_threatsim_mitre_stage: row.mitre_stage || undefined
+    };
+  }
+}
+
+export default new TaxiiServer();
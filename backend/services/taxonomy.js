@@ -0,0 +1,272 @@
+import db from '../db.js';
+
+// Seeded into an empty taxonomy; afterwards the database is authoritative
+const DEFAULT_EVENT_TYPES = {
+  failed_login: 'Failed authentication attempt',
+  successful_login: 'Successful authentication',
+  port_scan: 'Port or host scan',
+  dns_query: 'DNS lookup',
+  http_request: 'HTTP request',
+  tls_connection: 'TLS handshake or session',
+  network_connection: 'Network flow or connection',
+  file_download: 'File downloaded over the network',
+  file_transfer: 'File transferred over a non-HTTP protocol',
+  file_create: 'File written to disk',
+  process_creation: 'Process started',
+  script_execution: 'Script interpreter or LOLBin launched',
+  privilege_escalation: 'Privilege escalation or use of special privileges',
+  malware_detected: 'Malware detected or executed',
+  c2_communication: 'Command and control traffic',
+  data_exfiltration: 'Data leaving the environment',
+  ids_alert: 'Alert raised by an IDS signature',
+  observed_data: 'Observation imported from threat intelligence',
+  sighting: 'Sighting imported from threat intelligence',
+  syslog_message: 'Unclassified syslog message'
+};
+
+const DEFAULT_ALIASES = {
+  login_failure: 'failed_login',
+  authentication_failure: 'failed_login',
+  login_success: 'successful_login',
+  scan: 'port_scan',
+  dns: 'dns_query',
+  web_request: 'http_request',
+  download: 'file_download',
+  virus: 'malware_detected',
+  malware_execution: 'malware_detected',
+  exfil: 'data_exfiltration',
+  command_control: 'c2_communication',
+  dns_beacon: 'c2_communication',
+  beacon: 'c2_communication'
+};
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.details = [message];
+  return error;
+}
+
+/**
+ * Canonical event types with global and per-source aliases. Lookups are served
+ * from memory so normalization stays synchronous; edits write through to the
+ * database and refresh the cache.
+ */
+class EventTaxonomy {
+  constructor() {
+    this.eventTypes = new Set(Object.keys(DEFAULT_EVENT_TYPES));
+    this.aliases = new Map(Object.entries(DEFAULT_ALIASES).map(([alias, type]) => [this.aliasKey(alias, ''), type]));
+  }
+
+  aliasKey(alias, source) {
+    return `${(source || '').toLowerCase()}\u0000${alias.toLowerCase()}`;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Seed an empty taxonomy with the defaults, then load it into memory
+   */
+  async load() {
+    const [{ count }] = await this.all('SELECT COUNT(*) as count FROM event_types');
+    if (count === 0) {
+      const now = new Date().toISOString();
+      for (const [name, description] of Object.entries(DEFAULT_EVENT_TYPES)) {
+        await this.run(
+          'INSERT OR IGNORE INTO event_types (name, description, created_at, updated_at) VALUES (?, ?, ?, ?)',
+          [name, description, now, now]
+        );
+      }
+      for (const [alias, eventType] of Object.entries(DEFAULT_ALIASES)) {
+        await this.run(
+          "INSERT OR IGNORE INTO event_type_aliases (alias, source, event_type, created_at) VALUES (?, '', ?, ?)",
+          [alias, eventType, now]
+        );
+      }
+    }
+
+    await this.refresh();
+  }
+
+  async refresh() {
+    const types = await this.all('SELECT name FROM event_types');
+    const aliases = await this.all('SELECT alias, source, event_type FROM event_type_aliases');
+
+    this.eventTypes = new Set(types.map(row => row.name));
+    this.aliases = new Map(aliases.map(row => [this.aliasKey(row.alias, row.source), row.event_type]));
+  }
+
+  /**
+   * Map a raw event type to its canonical name: canonical types match themselves,
+   * then the source's aliases win over global ones. Unknown types pass through
+   * unchanged and are counted in the unmapped report.
+   */
+  resolve(rawType, source) {
+    if (!rawType || typeof rawType !== 'string') return rawType || 'unknown';
+    const type = rawType.trim();
+    const lower = type.toLowerCase();
+
+    if (this.eventTypes.has(lower)) return lower;
+
+    const mapped = (source && this.aliases.get(this.aliasKey(lower, source))) ||
+      this.aliases.get(this.aliasKey(lower, ''));
+    if (mapped) return mapped;
+
+    if (lower !== 'unknown') {
+      this.recordUnmapped(type, source);
+    }
+    return type;
+  }
+
+  recordUnmapped(rawType, source) {
+    const now = new Date().toISOString();
+    this.run(
+      `INSERT INTO unmapped_event_types (raw_type, source, count, first_seen, last_seen)
+       VALUES (?, ?, 1, ?, ?)
+       ON CONFLICT(raw_type, source) DO UPDATE SET
+         count = count + 1,
+         last_seen = excluded.last_seen`,
+      [rawType, source || 'unknown', now, now]
+    ).catch(error => console.error('Error recording unmapped event type:', error.message));
+  }
+
+  /**
+   * Canonical types with their global and per-source aliases
+   */
+  async listEventTypes() {
+    const types = await this.all('SELECT * FROM event_types ORDER BY name');
+    const aliases = await this.all('SELECT * FROM event_type_aliases ORDER BY source, alias');
+
+    return types.map(type => {
+      const own = aliases.filter(a => a.event_type === type.name);
+      return {
+        ...type,
+        aliases: own.filter(a => a.source === '').map(a => a.alias),
+        source_aliases: own.filter(a => a.source !== '').map(a => ({ source: a.source, alias: a.alias }))
+      };
+    });
+  }
+
+  async saveEventType(name, { description } = {}) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw validationError('Event type names may contain letters, digits, ".", "_" and "-" (max 64)');
+    }
+
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO event_types (name, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         description = excluded.description,
+         updated_at = excluded.updated_at`,
+      [name.toLowerCase(), description || null, now, now]
+    );
+    await this.refresh();
+    return (await this.listEventTypes()).find(type => type.name === name.toLowerCase());
+  }
+
+  /**
+   * Remove a canonical type together with the aliases pointing at it
+   */
+  async removeEventType(name) {
+    const result = await this.run('DELETE FROM event_types WHERE name = ?', [name]);
+    if (result.changes === 0) return false;
+
+    await this.run('DELETE FROM event_type_aliases WHERE event_type = ?', [name]);
+    await this.refresh();
+    return true;
+  }
+
+  listAliases({ source } = {}) {
+    return source !== undefined
+      ? this.all('SELECT * FROM event_type_aliases WHERE source = ? ORDER BY alias', [source.toLowerCase()])
+      : this.all('SELECT * FROM event_type_aliases ORDER BY source, alias');
+  }
+
+  /**
+   * Create or repoint an alias. An empty source makes it global. Resolved raw
+   * types are cleared from the unmapped report.
+   */
+  async saveAlias(alias, { event_type: eventType, source = '' } = {}) {
+    if (!NAME_PATTERN.test(alias || '')) {
+      throw validationError('Aliases may contain letters, digits, ".", "_" and "-" (max 64)');
+    }
+    if (!this.eventTypes.has(eventType)) {
+      throw validationError(`Unknown event type "${eventType}"; create it before aliasing to it`);
+    }
+    if (this.eventTypes.has(alias.toLowerCase())) {
+      throw validationError(`"${alias}" is a canonical event type and cannot be an alias`);
+    }
+
+    const normalizedAlias = alias.toLowerCase();
+    const normalizedSource = (source || '').toLowerCase();
+    await this.run(
+      `INSERT INTO event_type_aliases (alias, source, event_type, created_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(alias, source) DO UPDATE SET event_type = excluded.event_type`,
+      [normalizedAlias, normalizedSource, eventType, new Date().toISOString()]
+    );
+
+    if (normalizedSource) {
+      await this.run('DELETE FROM unmapped_event_types WHERE LOWER(raw_type) = ? AND LOWER(source) = ?',
+        [normalizedAlias, normalizedSource]);
+    } else {
+      await this.run('DELETE FROM unmapped_event_types WHERE LOWER(raw_type) = ?', [normalizedAlias]);
+    }
+
+    await this.refresh();
+    return { alias: normalizedAlias, source: normalizedSource, event_type: eventType };
+  }
+
+  async removeAlias(alias, source = '') {
+    const result = await this.run(
+      'DELETE FROM event_type_aliases WHERE alias = ? AND source = ?',
+      [alias.toLowerCase(), (source || '').toLowerCase()]
+    );
+    if (result.changes > 0) await this.refresh();
+    return result.changes > 0;
+  }
+
+  /**
+   * Raw types that matched neither a canonical type nor an alias, busiest first
+   */
+  listUnmapped({ source, limit } = {}) {
+    const params = [];
+    let where = '';
+    if (source) {
+      where = 'WHERE source = ?';
+      params.push(source);
+    }
+
+    return this.all(
+      `SELECT * FROM unmapped_event_types ${where} ORDER BY count DESC, last_seen DESC LIMIT ?`,
+      [...params, parseInt(limit) || 100]
+    );
+  }
+
+  async dismissUnmapped(rawType, source) {
+    const result = source
+      ? await this.run('DELETE FROM unmapped_event_types WHERE raw_type = ? AND source = ?', [rawType, source])
+      : await this.run('DELETE FROM unmapped_event_types WHERE raw_type = ?', [rawType]);
+    return result.changes > 0;
+  }
+}
+
+export default new EventTaxonomy();
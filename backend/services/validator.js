@@ -0,0 +1,150 @@
+import indicatorParser from './indicators.js';
+import sourceRegistry from './sources.js';
+
+// What a valid value looks like, per canonical indicator type
+const VALUE_DESCRIPTIONS = {
+  IP: 'a valid IPv4 or IPv6 address',
+  cidr: 'a valid CIDR range',
+  domain: 'a valid domain',
+  url: 'a valid absolute URL',
+  email: 'a valid email address',
+  hash: 'a valid MD5, SHA1, SHA256 or SHA512 hash',
+  ja3: 'a valid JA3 fingerprint (32 hex characters)',
+  ja3s: 'a valid JA3S fingerprint (32 hex characters)',
+  certificate: 'a valid SHA1 or SHA256 certificate thumbprint',
+  cve: 'a valid CVE ID (CVE-YYYY-NNNN)'
+};
+
+// Events stamped further ahead than this are treated as bad clocks or bad parsing
+const MAX_FUTURE_SKEW_MS = 24 * 60 * 60 * 1000;
+
+class EventValidator {
+  /**
+   * Validate a normalized event. Returns a list of { field, reason } errors; empty when valid.
+   * The raw event, when given, lets errors quote the original input.
+   */
+  validate(event, rawEvent = null) {
+    const errors = [];
+    const fail = (field, reason) => errors.push({ field, reason });
+
+    if (!event || typeof event !== 'object') {
+      return [{ field: 'event', reason: 'Event must be an object' }];
+    }
+
+    this.validateIndicator(event, fail);
+    this.validateEventType(event, fail);
+    this.validateTimestamp(event, rawEvent, fail);
+
+    if (typeof event.source !== 'string' || !event.source.trim()) {
+      fail('source', 'Source is required');
+    } else {
+      const rejection = sourceRegistry.check(event.source);
+      if (rejection) fail('source', rejection);
+    }
+
+    this.validateMetadata(event.metadata || {}, fail);
+
+    return errors;
+  }
+
+  /**
+   * Errors for input the normalizer could not parse at all, such as a truncated
+   * CEF header. They are rejected like any other invalid event, never retried.
+   */
+  parseErrors(error) {
+    return [{ field: 'format', reason: error.message }];
+  }
+
+  validateIndicator(event, fail) {
+    const rawType = String(event.indicator_type || '');
+    const type = indicatorParser.resolveType(rawType);
+    const value = event.indicator_value;
+
+    if (!rawType || rawType === 'unknown') {
+      fail('indicator_type', 'Could not determine indicator type');
+    } else if (!type) {
+      fail('indicator_type', `Unsupported indicator type "${event.indicator_type}"`);
+    }
+
+    if (value === null || value === undefined || value === '') {
+      fail('indicator_value', 'Indicator value is missing');
+      return;
+    }
+    if (typeof value !== 'string') {
+      fail('indicator_value', `Indicator value must be a string, got ${typeof value}`);
+      return;
+    }
+    if (value.toLowerCase() === 'unknown') {
+      fail('indicator_value', 'Indicator value is the placeholder "unknown"');
+      return;
+    }
+    if (value.length > 2048) {
+      fail('indicator_value', 'Indicator value exceeds 2048 characters');
+      return;
+    }
+
+    if (VALUE_DESCRIPTIONS[type] && !indicatorParser.canonicalize(rawType, value)) {
+      fail('indicator_value', `"${value}" is not ${VALUE_DESCRIPTIONS[type]}`);
+    }
+  }
+
+  validateEventType(event, fail) {
+    const type = event.event_type;
+    if (!type || type === 'unknown') {
+      fail('event_type', 'Event type is missing');
+    } else if (typeof type !== 'string' || !/^[\w.-]{1,64}$/.test(type)) {
+      fail('event_type', `Event type "${type}" must be 1-64 letters, digits, "_", "." or "-"`);
+    }
+  }
+
+  validateTimestamp(event, rawEvent, fail) {
+    if (!event.timestamp) {
+      const original = rawEvent && typeof rawEvent === 'object' ? (rawEvent.timestamp ?? rawEvent.time) : undefined;
+      fail('timestamp', original !== undefined
+        ? `Timestamp "${original}" could not be parsed`
+        : 'Timestamp is missing or could not be parsed');
+      return;
+    }
+
+    const time = new Date(event.timestamp).getTime();
+    if (Number.isNaN(time)) {
+      fail('timestamp', `Timestamp "${event.timestamp}" could not be parsed`);
+    } else if (time - Date.now() > MAX_FUTURE_SKEW_MS) {
+      fail('timestamp', `Timestamp ${event.timestamp} is more than 24h in the future`);
+    } else if (time < Date.UTC(1990, 0, 1)) {
+      fail('timestamp', `Timestamp ${event.timestamp} is before 1990`);
+    }
+  }
+
+  validateMetadata(metadata, fail) {
+    if (metadata.port !== undefined) {
+      const port = Number(metadata.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        fail('metadata.port', `Port "${metadata.port}" must be an integer between 0 and 65535`);
+      }
+    }
+
+    if (metadata.payload_size !== undefined) {
+      const size = Number(metadata.payload_size);
+      if (!Number.isFinite(size) || size < 0) {
+        fail('metadata.payload_size', `Payload size "${metadata.payload_size}" must be a non-negative number`);
+      }
+    }
+
+    if (metadata.attempts !== undefined) {
+      const attempts = Number(metadata.attempts);
+      if (!Number.isInteger(attempts) || attempts < 1) {
+        fail('metadata.attempts', `Attempts "${metadata.attempts}" must be a positive integer`);
+      }
+    }
+
+    if (metadata.confidence !== undefined) {
+      const confidence = Number(metadata.confidence);
+      if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        fail('metadata.confidence', `Confidence "${metadata.confidence}" must be between 0 and 1`);
+      }
+    }
+  }
+}
+
+export default new EventValidator();
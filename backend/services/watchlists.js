@@ -0,0 +1,598 @@
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import MatchIndex, { parseEntry } from './matchIndex.js';
+import { parseCSVRow } from './csv.js';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// blacklist_score of an indicator on a list of each severity
+const SEVERITY_BLACKLIST_SCORES = {
+  low: 50,
+  medium: 70,
+  high: 90,
+  critical: 100
+};
+
+// Seeded into an empty store; the sample data relies on this listing
+const DEFAULT_WATCHLISTS = [
+  {
+    name: 'default',
+    description: 'Known-bad indicators',
+    severity: 'high',
+    score: 35,
+    entries: [{ value: 'malicious-c2.com', reason: 'Command-and-control domain' }]
+  }
+];
+
+// Import header names for each entry field
+const CSV_COLUMNS = {
+  value: ['value', 'indicator', 'ioc', 'entry', 'pattern'],
+  match_type: ['match_type', 'match'],
+  type: ['type', 'indicator_type'],
+  reason: ['reason', 'description', 'comment', 'notes'],
+  owner: ['owner', 'added_by'],
+  expires_at: ['expires_at', 'expires', 'expiry', 'valid_until']
+};
+
+// Rows written per INSERT during bulk imports
+const IMPORT_BATCH_SIZE = 500;
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.details = [message];
+  return error;
+}
+
+/**
+ * Named watchlists of indicators, each with a severity and the score a match
+ * contributes. Entries match exact values, CIDR ranges, domains with their
+ * subdomains, wildcards and (for URLs by default) regular expressions, and may
+ * expire. Like the asset inventory, every live entry is indexed in memory so
+ * feature extraction can match synchronously.
+ */
+class WatchlistService {
+  constructor() {
+    this.lists = new Map();
+    this.entries = new Map();
+    this.index = new MatchIndex();
+    this.loaded = false;
+    this.loading = null;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Seed an empty store with the defaults, then index the lists and their
+   * unexpired entries
+   */
+  async load() {
+    const [{ count }] = await this.all('SELECT COUNT(*) as count FROM watchlists');
+    if (count === 0) {
+      for (const { entries, ...list } of DEFAULT_WATCHLISTS) {
+        await this.writeList(list.name, { ...list, enabled: true, owner: null });
+        for (const fields of entries) {
+          const { entry } = this.validateEntry(fields);
+          await this.insertEntry(list.name, entry);
+        }
+      }
+    }
+
+    await this.refreshLists();
+    const rows = await this.all(
+      'SELECT * FROM watchlist_entries WHERE expires_at IS NULL OR expires_at > ?',
+      [new Date().toISOString()]
+    );
+    const index = new MatchIndex();
+    const entries = new Map();
+    rows.forEach(row => {
+      if (index.add(row)) entries.set(row.id, row);
+    });
+
+    this.index = index;
+    this.entries = entries;
+    this.loaded = true;
+  }
+
+  ensureLoaded() {
+    if (this.loaded) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  async refreshLists() {
+    const rows = await this.all('SELECT * FROM watchlists');
+    this.lists = new Map(rows.map(row => [row.name, row]));
+  }
+
+  /**
+   * Enabled watchlists an indicator is on, highest score first:
+   * [{ watchlist, severity, score, entries }]
+   */
+  match(type, value, metadata = {}) {
+    const now = new Date().toISOString();
+    const hits = new Map();
+
+    this.index.match(type, value, metadata).forEach(entry => {
+      if (entry.expires_at && entry.expires_at <= now) return;
+      const list = this.lists.get(entry.watchlist);
+      if (!list || !list.enabled) return;
+
+      if (!hits.has(list.name)) {
+        hits.set(list.name, { watchlist: list.name, severity: list.severity, score: list.score, entries: [] });
+      }
+      hits.get(list.name).entries.push({
+        id: entry.id,
+        match_type: entry.match_type,
+        value: entry.value,
+        reason: entry.reason
+      });
+    });
+
+    return Array.from(hits.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * blacklist_score for a set of watchlist hits: that of the most severe list
+   */
+  blacklistScore(hits) {
+    return hits.reduce((score, hit) => Math.max(score, SEVERITY_BLACKLIST_SCORES[hit.severity] || 0), 0);
+  }
+
+  toPublic(list, counts = {}) {
+    if (!list) return null;
+    return {
+      ...list,
+      enabled: !!list.enabled,
+      entries: counts.entries || 0,
+      expired_entries: counts.expired || 0
+    };
+  }
+
+  toPublicEntry(entry) {
+    if (!entry) return null;
+    return { ...entry, expired: Boolean(entry.expires_at && entry.expires_at <= new Date().toISOString()) };
+  }
+
+  async entryCounts(name = null) {
+    const rows = await this.all(
+      `SELECT watchlist,
+              COUNT(*) as entries,
+              SUM(CASE WHEN expires_at IS NOT NULL AND expires_at <= ? THEN 1 ELSE 0 END) as expired
+       FROM watchlist_entries
+       ${name ? 'WHERE watchlist = ?' : ''}
+       GROUP BY watchlist`,
+      name ? [new Date().toISOString(), name] : [new Date().toISOString()]
+    );
+    return new Map(rows.map(row => [row.watchlist, row]));
+  }
+
+  async list() {
+    await this.ensureLoaded();
+    const counts = await this.entryCounts();
+    return Array.from(this.lists.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(list => this.toPublic(list, counts.get(list.name)));
+  }
+
+  async get(name) {
+    await this.ensureLoaded();
+    const list = this.lists.get(name);
+    if (!list) return null;
+    const counts = await this.entryCounts(name);
+    return this.toPublic(list, counts.get(name));
+  }
+
+  /**
+   * Create or update a watchlist. Omitted fields keep their current values.
+   */
+  async save(name, fields = {}) {
+    await this.ensureLoaded();
+    if (!NAME_PATTERN.test(name || '')) {
+      throw validationError('Watchlist names may contain letters, digits, ".", "_" and "-" (max 64)');
+    }
+
+    const existing = this.lists.get(name);
+    const list = {
+      description: existing?.description ?? null,
+      severity: existing?.severity || 'high',
+      score: existing?.score ?? 35,
+      enabled: existing ? !!existing.enabled : true,
+      owner: existing?.owner ?? null
+    };
+
+    const details = [];
+    if (fields.severity !== undefined) {
+      const severity = String(fields.severity).toLowerCase();
+      if (!SEVERITIES.includes(severity)) {
+        details.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+      }
+      list.severity = severity;
+    }
+    if (fields.score !== undefined) {
+      if (!Number.isInteger(fields.score) || fields.score < 0 || fields.score > 100) {
+        details.push('score must be an integer from 0 to 100');
+      }
+      list.score = fields.score;
+    }
+    if (fields.enabled !== undefined) {
+      if (typeof fields.enabled !== 'boolean') details.push('enabled must be a boolean');
+      list.enabled = fields.enabled;
+    }
+    if (fields.owner !== undefined) list.owner = fields.owner || null;
+    if (fields.description !== undefined) list.description = fields.description || null;
+
+    if (details.length > 0) {
+      const error = new Error('Invalid watchlist');
+      error.details = details;
+      throw error;
+    }
+
+    await this.writeList(name, list);
+    await this.refreshLists();
+    return this.get(name);
+  }
+
+  writeList(name, list) {
+    const now = new Date().toISOString();
+    return this.run(
+      `INSERT INTO watchlists (name, description, severity, score, enabled, owner, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         description = excluded.description,
+         severity = excluded.severity,
+         score = excluded.score,
+         enabled = excluded.enabled,
+         owner = excluded.owner,
+         updated_at = excluded.updated_at`,
+      [name, list.description, list.severity, list.score, list.enabled ? 1 : 0, list.owner, now, now]
+    );
+  }
+
+  /**
+   * Delete a watchlist with all its entries
+   */
+  async remove(name) {
+    await this.run('DELETE FROM watchlist_entries WHERE watchlist = ?', [name]);
+    const result = await this.run('DELETE FROM watchlists WHERE name = ?', [name]);
+    if (result.changes > 0) await this.load();
+    return result.changes > 0;
+  }
+
+  /**
+   * Entries of a watchlist, newest first. Expired entries are included unless
+   * `active` is set. Resolves to null when the watchlist does not exist.
+   */
+  async listEntries(name, { matchType, search, active = false, limit = 100, offset = 0 } = {}) {
+    await this.ensureLoaded();
+    if (!this.lists.has(name)) return null;
+
+    const conditions = ['watchlist = ?'];
+    const params = [name];
+    if (matchType) {
+      conditions.push('match_type = ?');
+      params.push(matchType);
+    }
+    if (search) {
+      conditions.push('value LIKE ?');
+      params.push(`%${search}%`);
+    }
+    if (active) {
+      conditions.push('(expires_at IS NULL OR expires_at > ?)');
+      params.push(new Date().toISOString());
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM watchlist_entries
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, value
+       LIMIT ? OFFSET ?`,
+      [...params, Math.min(limit, 1000), offset]
+    );
+    return rows.map(row => this.toPublicEntry(row));
+  }
+
+  async getEntry(name, id) {
+    const [row] = await this.all('SELECT * FROM watchlist_entries WHERE watchlist = ? AND id = ?', [name, id]);
+    return this.toPublicEntry(row);
+  }
+
+  /**
+   * Check entry fields. `type` names the indicator type of exact values and
+   * the type a regex applies to. Returns { entry, errors }.
+   */
+  validateEntry(fields, existing = null) {
+    const errors = [];
+    const entry = {
+      match_type: existing?.match_type,
+      value: existing?.value,
+      indicator_type: existing?.indicator_type ?? null,
+      reason: existing?.reason ?? null,
+      owner: existing?.owner ?? null,
+      expires_at: existing?.expires_at ?? null
+    };
+
+    if (!existing || fields.value !== undefined || fields.match_type !== undefined || fields.type !== undefined) {
+      // A new value keeps the entry's match type, but its indicator type is detected again
+      const valueChanged = fields.value !== undefined;
+      const parsed = parseEntry(
+        fields.match_type ?? existing?.match_type,
+        valueChanged ? (typeof fields.value === 'string' ? fields.value : String(fields.value ?? '')) : existing?.value,
+        fields.type ?? (valueChanged ? undefined : existing?.indicator_type)
+      );
+      if (parsed.error) {
+        errors.push(parsed.error);
+      } else {
+        entry.match_type = parsed.match_type;
+        entry.value = parsed.value;
+        entry.indicator_type = parsed.indicator_type;
+      }
+    }
+
+    if (fields.expires_at !== undefined) {
+      if (fields.expires_at === null || fields.expires_at === '') {
+        entry.expires_at = null;
+      } else {
+        const expires = new Date(fields.expires_at);
+        if (Number.isNaN(expires.getTime())) errors.push('expires_at must be an ISO-8601 date');
+        else entry.expires_at = expires.toISOString();
+      }
+    }
+
+    ['reason', 'owner'].forEach(field => {
+      if (fields[field] !== undefined) {
+        entry[field] = String(fields[field] || '').trim() || null;
+      }
+    });
+
+    return { entry, errors };
+  }
+
+  async insertEntry(name, entry) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO watchlist_entries
+         (id, watchlist, match_type, value, indicator_type, reason, owner, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, entry.match_type, entry.value, entry.indicator_type, entry.reason, entry.owner, entry.expires_at, now, now]
+    );
+    return id;
+  }
+
+  async updateEntryRow(id, entry) {
+    await this.run(
+      `UPDATE watchlist_entries
+       SET match_type = ?, value = ?, indicator_type = ?, reason = ?, owner = ?, expires_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [entry.match_type, entry.value, entry.indicator_type, entry.reason, entry.owner, entry.expires_at,
+        new Date().toISOString(), id]
+    );
+  }
+
+  /**
+   * Swap an entry's indexed copy for its current row
+   */
+  async reindex(id) {
+    const previous = this.entries.get(id);
+    if (previous) {
+      this.index.remove(previous);
+      this.entries.delete(id);
+    }
+
+    const [row] = await this.all('SELECT * FROM watchlist_entries WHERE id = ?', [id]);
+    if (row && (!row.expires_at || row.expires_at > new Date().toISOString()) && this.index.add(row)) {
+      this.entries.set(id, row);
+    }
+    return row || null;
+  }
+
+  /**
+   * Add an entry to a watchlist, or update the one with the same match type
+   * and value. Resolves to { entry, created }, or null when the watchlist
+   * does not exist.
+   */
+  async addEntry(name, fields = {}) {
+    await this.ensureLoaded();
+    if (!this.lists.has(name)) return null;
+
+    const { entry, errors } = this.validateEntry(fields);
+    if (errors.length > 0) {
+      const error = new Error('Invalid watchlist entry');
+      error.details = errors;
+      throw error;
+    }
+
+    const [existing] = await this.all(
+      'SELECT * FROM watchlist_entries WHERE watchlist = ? AND match_type = ? AND value = ?',
+      [name, entry.match_type, entry.value]
+    );
+    if (existing) {
+      const { entry: merged } = this.validateEntry({ ...fields, value: undefined, match_type: undefined, type: undefined }, existing);
+      await this.updateEntryRow(existing.id, merged);
+      return { entry: this.toPublicEntry(await this.reindex(existing.id)), created: false };
+    }
+
+    const id = await this.insertEntry(name, entry);
+    return { entry: this.toPublicEntry(await this.reindex(id)), created: true };
+  }
+
+  /**
+   * Update an entry; omitted fields keep their current values. Resolves to
+   * null when the entry does not exist.
+   */
+  async updateEntry(name, id, fields = {}) {
+    await this.ensureLoaded();
+    const [existing] = await this.all('SELECT * FROM watchlist_entries WHERE watchlist = ? AND id = ?', [name, id]);
+    if (!existing) return null;
+
+    const { entry, errors } = this.validateEntry(fields, existing);
+    if (errors.length === 0) {
+      const [conflict] = await this.all(
+        'SELECT id FROM watchlist_entries WHERE watchlist = ? AND match_type = ? AND value = ? AND id != ?',
+        [name, entry.match_type, entry.value, id]
+      );
+      if (conflict) errors.push(`${entry.match_type} entry ${entry.value} is already on the watchlist`);
+    }
+    if (errors.length > 0) {
+      const error = new Error('Invalid watchlist entry');
+      error.details = errors;
+      throw error;
+    }
+
+    await this.updateEntryRow(id, entry);
+    return this.toPublicEntry(await this.reindex(id));
+  }
+
+  /**
+   * Expire entries of a watchlist, each given as entry fields like addEntry's,
+   * as of `at` unless they already expire sooner. Expired entries stay on the
+   * list but stop matching. Resolves to the number of entries expired.
+   */
+  async expireEntries(name, items, at = new Date().toISOString()) {
+    await this.ensureLoaded();
+    let expired = 0;
+
+    for (const fields of items) {
+      const { entry, errors } = this.validateEntry(fields);
+      if (errors.length > 0) continue;
+      const result = await this.run(
+        `UPDATE watchlist_entries SET expires_at = ?, updated_at = ?
+         WHERE watchlist = ? AND match_type = ? AND value = ? AND (expires_at IS NULL OR expires_at > ?)`,
+        [at, at, name, entry.match_type, entry.value, at]
+      );
+      expired += result.changes;
+    }
+
+    if (expired > 0) await this.load();
+    return expired;
+  }
+
+  async removeEntry(name, id) {
+    await this.ensureLoaded();
+    const result = await this.run('DELETE FROM watchlist_entries WHERE watchlist = ? AND id = ?', [name, id]);
+    if (result.changes > 0) await this.reindex(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Read an import stream: a CSV with a header row naming the columns (value
+   * is required), or a plain list with one value per line. Yields
+   * { line, fields } for each entry.
+   */
+  async *readImport(input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let columns;
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim() || line.startsWith('#')) continue;
+
+      if (columns === undefined) {
+        const header = parseCSVRow(line).map(value =>
+          Object.keys(CSV_COLUMNS).find(field => CSV_COLUMNS[field].includes(value.trim().toLowerCase())) || null
+        );
+        columns = header.includes('value') ? header : null;
+        if (columns) continue;
+      }
+
+      if (!columns) {
+        // Plain lists often carry trailing " # comment" annotations
+        yield { line: lineNumber, fields: { value: line.replace(/\s+#.*$/, '').trim() } };
+        continue;
+      }
+
+      const fields = {};
+      parseCSVRow(line).forEach((value, i) => {
+        if (columns[i] && value.trim() !== '') fields[columns[i]] = value.trim();
+      });
+      yield { line: lineNumber, fields };
+    }
+  }
+
+  /**
+   * Bulk-add entries to a watchlist from { line, fields } items (an array or
+   * async iterable). `defaults` fill fields a row leaves out. Entries already
+   * on the list are updated. Resolves to counts and the rows that failed
+   * validation, or null when the watchlist does not exist.
+   */
+  async importEntries(name, items, defaults = {}) {
+    await this.ensureLoaded();
+    if (!this.lists.has(name)) return null;
+
+    const summary = { created: 0, updated: 0, failed: 0, errors: [] };
+    const rows = await this.all('SELECT id, match_type, value FROM watchlist_entries WHERE watchlist = ?', [name]);
+    // Entry ids by match type and value, including those imported earlier in this run
+    const known = new Map(rows.map(row => [`${row.match_type}|${row.value}`, row.id]));
+    let batch = new Map();
+
+    for await (const { line, fields } of items) {
+      const { entry, errors } = this.validateEntry({ ...defaults, ...fields });
+      if (errors.length > 0) {
+        summary.failed++;
+        summary.errors.push({ line, errors });
+        continue;
+      }
+
+      const key = `${entry.match_type}|${entry.value}`;
+      if (known.has(key)) {
+        summary.updated++;
+      } else {
+        known.set(key, uuidv4());
+        summary.created++;
+      }
+      batch.set(key, { ...entry, id: known.get(key) });
+
+      if (batch.size >= IMPORT_BATCH_SIZE) {
+        await this.writeBatch(name, Array.from(batch.values()));
+        batch = new Map();
+      }
+    }
+    if (batch.size > 0) await this.writeBatch(name, Array.from(batch.values()));
+
+    await this.load();
+    return summary;
+  }
+
+  writeBatch(name, entries) {
+    const now = new Date().toISOString();
+    return this.run(
+      `INSERT INTO watchlist_entries
+         (id, watchlist, match_type, value, indicator_type, reason, owner, expires_at, created_at, updated_at)
+       VALUES ${entries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+       ON CONFLICT DO UPDATE SET
+         indicator_type = excluded.indicator_type,
+         reason = COALESCE(excluded.reason, reason),
+         owner = COALESCE(excluded.owner, owner),
+         expires_at = excluded.expires_at,
+         updated_at = excluded.updated_at`,
+      entries.flatMap(entry => [
+        entry.id, name, entry.match_type, entry.value, entry.indicator_type, entry.reason, entry.owner,
+        entry.expires_at, now, now
+      ])
+    );
+  }
+}
+
+export default new WatchlistService();
@@ -0,0 +1,337 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import db from '../db.js';
+import indicatorParser from './indicators.js';
+import graphEngine from '../engines/graphEngine.js';
+import { parseCSVRow } from './csv.js';
+
+// Field names used by WHOIS dumps (WhoisXML, DomainTools-style CSVs, flattened JSON)
+const FIELDS = {
+  domain: ['domain', 'domain_name', 'domainname', 'ldhname'],
+  created: ['creation_date', 'created', 'created_date', 'createddate', 'create_date', 'registered', 'registration_date'],
+  updated: ['updated_date', 'updated', 'updateddate', 'last_updated', 'last_changed'],
+  expires: ['expiration_date', 'expires', 'expiry_date', 'expiresdate', 'registry_expiry_date'],
+  registrar: ['registrar', 'registrar_name', 'registrarname'],
+  registrant_country: ['registrant_country', 'registrant_country_code', 'registrantcountry', 'country'],
+  name_servers: ['name_servers', 'nameservers', 'name_server', 'nameserver', 'ns']
+};
+
+// RDAP event actions for each date field
+const RDAP_EVENTS = {
+  registration: 'created',
+  'last changed': 'updated',
+  expiration: 'expires'
+};
+
+/**
+ * Offline WHOIS/RDAP lookups from WHOIS_DATABASE: a JSON file (an array of
+ * records, RDAP domain objects or flat WHOIS fields), JSON lines, or a CSV/TSV
+ * dump with a header row. Domains are matched exactly, then by their parent
+ * domains, so a subdomain picks up its registered domain's record.
+ */
+class WhoisService {
+  constructor() {
+    this.records = null;
+    this.filePath = null;
+    this.loadedAt = null;
+    this.watcher = null;
+    this.watchedPath = null;
+    this.watchIntervalMs = parseInt(process.env.WHOIS_WATCH_INTERVAL_MS) || 30000;
+    // Domains younger than this are "newly registered"
+    this.newDomainDays = parseInt(process.env.WHOIS_NEW_DOMAIN_DAYS) || 30;
+    // Name servers with more observed domains than this are shared hosting
+    // (Cloudflare, GoDaddy and the like) and say nothing about their neighbours
+    this.maxNameserverDomains = parseInt(process.env.WHOIS_MAX_NAMESERVER_DOMAINS) || 50;
+    this.stats = { hits: 0, misses: 0, reloads: 0 };
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  async load(filePath = process.env.WHOIS_DATABASE) {
+    if (!filePath) {
+      console.log('WHOIS enrichment disabled (set WHOIS_DATABASE to a JSON or CSV dump)');
+      return;
+    }
+    await this.open(filePath);
+    this.watch();
+    console.log(`WHOIS database loaded from ${filePath} (${this.records.size} domains)`);
+  }
+
+  reload() {
+    if (!this.filePath) {
+      return Promise.reject(new Error('No WHOIS database is configured'));
+    }
+    return this.open(this.filePath);
+  }
+
+  /**
+   * Read the dump into a fresh table, then swap it in. A file that fails to
+   * load leaves the previous records in place.
+   */
+  async open(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    let items;
+    if (['.jsonl', '.ndjson'].includes(extension)) {
+      items = await this.readJsonLines(filePath);
+    } else if (extension === '.json') {
+      const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      items = Array.isArray(parsed) ? parsed : parsed.records || parsed.domains || parsed.data || [parsed];
+    } else {
+      items = await this.readCSV(filePath);
+    }
+
+    const records = new Map();
+    items.forEach(item => {
+      const record = this.toRecord(item);
+      if (record) records.set(record.domain, record);
+    });
+    if (records.size === 0) {
+      throw new Error(`${filePath} contains no WHOIS records`);
+    }
+
+    this.records = records;
+    this.filePath = filePath;
+    this.loadedAt = new Date().toISOString();
+  }
+
+  watch() {
+    this.unwatch();
+    const filePath = this.filePath;
+
+    this.watcher = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || current.mtimeMs === 0) return;
+      this.open(filePath)
+        .then(() => {
+          this.stats.reloads++;
+          console.log(`WHOIS database reloaded from ${filePath}`);
+        })
+        .catch(error => console.error('Error reloading WHOIS database:', error.message));
+    };
+    this.watchedPath = filePath;
+    fs.watchFile(filePath, { interval: this.watchIntervalMs, persistent: false }, this.watcher);
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      fs.unwatchFile(this.watchedPath, this.watcher);
+      this.watcher = null;
+      this.watchedPath = null;
+    }
+  }
+
+  stop() {
+    this.unwatch();
+  }
+
+  async readJsonLines(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    const items = [];
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        items.push(JSON.parse(line));
+      } catch (error) {
+        // A malformed line only loses that record
+      }
+    }
+    return items;
+  }
+
+  async readCSV(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    const items = [];
+    let header = null;
+
+    for await (const line of lines) {
+      if (!line.trim() || line.startsWith('#')) continue;
+      const values = line.includes('\t') ? line.split('\t') : parseCSVRow(line);
+      if (!header) {
+        header = values.map(value => value.trim());
+        continue;
+      }
+      items.push(Object.fromEntries(header.map((name, i) => [name, values[i]?.trim()])));
+    }
+    return items;
+  }
+
+  /**
+   * Normalize a dump entry: { domain, created, updated, expires, registrar,
+   * registrant_country, name_servers }, or null without a valid domain
+   */
+  toRecord(item) {
+    if (!item || typeof item !== 'object') return null;
+    if (item.objectClassName === 'domain') return this.fromRdap(item);
+
+    const fields = {};
+    Object.entries(item).forEach(([key, value]) => {
+      const field = Object.keys(FIELDS).find(name => FIELDS[name].includes(key.toLowerCase()));
+      if (field && fields[field] === undefined && value !== '' && value !== null) fields[field] = value;
+    });
+
+    const domain = indicatorParser.canonicalDomain(String(fields.domain || ''));
+    if (!domain) return null;
+
+    return this.compact({
+      domain,
+      created: this.parseDate(fields.created),
+      updated: this.parseDate(fields.updated),
+      expires: this.parseDate(fields.expires),
+      registrar: typeof fields.registrar === 'string' ? fields.registrar.trim() || undefined : undefined,
+      registrant_country: typeof fields.registrant_country === 'string'
+        ? fields.registrant_country.trim().toUpperCase() || undefined
+        : undefined,
+      name_servers: this.parseNameServers(fields.name_servers)
+    });
+  }
+
+  /**
+   * RDAP domain object (RFC 9083)
+   */
+  fromRdap(item) {
+    const domain = indicatorParser.canonicalDomain(String(item.ldhName || item.unicodeName || ''));
+    if (!domain) return null;
+
+    const record = { domain };
+    (item.events || []).forEach(event => {
+      const field = RDAP_EVENTS[String(event.eventAction).toLowerCase()];
+      if (field) record[field] = this.parseDate(event.eventDate);
+    });
+
+    const entities = item.entities || [];
+    const registrar = entities.find(entity => entity.roles?.includes('registrar'));
+    const registrant = entities.find(entity => entity.roles?.includes('registrant'));
+    record.registrar = this.vcardValue(registrar, 'fn');
+    const address = this.vcardProperty(registrant, 'adr');
+    // The country is the last adr component, or its cc parameter
+    const country = address?.[1]?.cc || (Array.isArray(address?.[3]) ? address[3][6] : null);
+    record.registrant_country = country ? String(country).toUpperCase() : undefined;
+    record.name_servers = this.parseNameServers((item.nameservers || []).map(ns => ns.ldhName));
+
+    return this.compact(record);
+  }
+
+  vcardProperty(entity, name) {
+    return entity?.vcardArray?.[1]?.find(property => property[0] === name) || null;
+  }
+
+  vcardValue(entity, name) {
+    const value = this.vcardProperty(entity, name)?.[3];
+    return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+  }
+
+  parseDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    // Unix timestamps (seconds) appear in some dumps
+    const date = /^\d{9,10}$/.test(String(value)) ? new Date(parseInt(value) * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  parseNameServers(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[|,;\s]+/);
+    const servers = list
+      .map(server => indicatorParser.canonicalDomain(String(server || '').trim()))
+      .filter(Boolean);
+    return servers.length > 0 ? Array.from(new Set(servers)).sort() : undefined;
+  }
+
+  compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([_, value]) => value !== undefined && value !== null));
+  }
+
+  /**
+   * Record for a domain or its closest registered parent, or null
+   */
+  lookup(name) {
+    if (!this.records) return null;
+    const domain = indicatorParser.canonicalDomain(String(name || ''));
+    if (!domain) return null;
+
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const record = this.records.get(labels.slice(i).join('.'));
+      if (record) {
+        this.stats.hits++;
+        return record;
+      }
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * The host a domain or URL indicator is registered under, or null
+   */
+  domainOf(type, value, metadata = {}) {
+    const canonicalType = indicatorParser.resolveType(type);
+    if (canonicalType === 'domain') return value;
+    if (canonicalType === 'url') return metadata.url_host || null;
+    return null;
+  }
+
+  /**
+   * Age in whole days of a WHOIS record at `now`, or null without a creation date
+   */
+  ageDays(record, now = Date.now()) {
+    if (!record?.created) return null;
+    return Math.max(0, Math.floor((now - new Date(record.created).getTime()) / 86400000));
+  }
+
+  isNewlyRegistered(ageDays) {
+    return ageDays !== null && ageDays <= this.newDomainDays;
+  }
+
+  /**
+   * Attach a looked-up WHOIS record to a domain or URL indicator's metadata
+   */
+  apply(metadata, record) {
+    metadata.whois = record;
+  }
+
+  /**
+   * Record a stored indicator's name servers, for shared-nameserver features,
+   * and its registered domain's uses_nameserver edges
+   */
+  async link(event, indicatorId) {
+    const whois = event.metadata?.whois;
+    if (!whois || !indicatorId) return;
+
+    const servers = whois.name_servers || [];
+    await this.run('DELETE FROM domain_nameservers WHERE indicator_id = ?', [indicatorId]);
+    for (const server of servers) {
+      await this.run(
+        'INSERT OR IGNORE INTO domain_nameservers (indicator_id, nameserver, updated_at) VALUES (?, ?, ?)',
+        [indicatorId, server, new Date().toISOString()]
+      );
+    }
+
+    if (servers.length === 0) return;
+    const domainNode = await graphEngine.addNode(whois.domain, 'domain');
+    for (const server of servers) {
+      const serverNode = await graphEngine.addNode(server, 'nameserver');
+      await graphEngine.addEdgeOnce(domainNode, serverNode, 'uses_nameserver', 0.5);
+    }
+  }
+
+  status() {
+    return {
+      loaded: Boolean(this.records),
+      path: this.filePath,
+      loaded_at: this.loadedAt,
+      domains: this.records ? this.records.size : null,
+      new_domain_days: this.newDomainDays,
+      max_nameserver_domains: this.maxNameserverDomains,
+      lookups: { hits: this.stats.hits, misses: this.stats.misses },
+      reloads: this.stats.reloads
+    };
+  }
+}
+
+export default new WhoisService();
@@ -0,0 +1,301 @@
+import ingestionService from './ingestion.js';
+
+// Processes whose launch is treated as script execution
+const SCRIPT_HOSTS = /\\(powershell|pwsh|cmd|wscript|cscript|mshta|rundll32|regsvr32|msbuild|installutil)\.exe$/i;
+
+const XML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&amp;': '&' };
+
+class WindowsEventParser {
+  /**
+   * Ingest Windows events given as parsed JSON, JSON lines or Event Log XML
+   */
+  async ingest(body, { source } = {}) {
+    const records = this.parseBody(body);
+    const summary = { records: records.length, events: 0, skipped: 0, failed: 0, by_event_id: {}, errors: [] };
+
+    for (const [index, record] of records.entries()) {
+      const rawEvent = this.toRawEvent(record, source);
+      if (!rawEvent) {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = await ingestionService.ingestEvent(rawEvent);
+      if (result.success) {
+        summary.events++;
+        const key = `${record.provider}:${record.eventId}`;
+        summary.by_event_id[key] = (summary.by_event_id[key] || 0) + 1;
+      } else {
+        summary.failed++;
+        summary.errors.push({ index, error: result.error });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Convert any supported body into common { eventId, provider, channel, computer, timestamp, data } records
+   */
+  parseBody(body) {
+    if (typeof body === 'string') {
+      const text = body.trim();
+      if (text.startsWith('<')) return this.parseXML(text);
+      return text.split(/\r?\n/).filter(l => l.trim()).map(line => this.fromJSON(JSON.parse(line)));
+    }
+
+    const items = Array.isArray(body) ? body : (body.events || [body]);
+    return items.map(item => this.fromJSON(item));
+  }
+
+  /**
+   * Winlogbeat documents and flat EventID/EventData objects
+   */
+  fromJSON(item) {
+    const winlog = item.winlog || {};
+    const system = item.System || {};
+
+    return {
+      eventId: parseInt(winlog.event_id ?? item.EventID ?? system.EventID ?? item.event?.code),
+      provider: winlog.provider_name || item.Provider || system.Provider?.Name || item.ProviderName || '',
+      channel: winlog.channel || item.Channel || system.Channel || '',
+      computer: winlog.computer_name || item.Computer || system.Computer || item.host?.name,
+      timestamp: item['@timestamp'] || item.TimeCreated || system.TimeCreated?.SystemTime || item.timestamp,
+      data: winlog.event_data || item.EventData || item.event_data || {}
+    };
+  }
+
+  /**
+   * Minimal Event Log XML reader: <Event><System/><EventData><Data Name=".."/></EventData></Event>
+   */
+  parseXML(text) {
+    const events = text.match(/<Event[\s>][\s\S]*?<\/Event>/g) || [];
+
+    return events.map(xml => {
+      const data = {};
+      const dataRegex = /<Data Name=['"]([^'"]+)['"]\s*(?:\/>|>([\s\S]*?)<\/Data>)/g;
+      let match;
+      while ((match = dataRegex.exec(xml)) !== null) {
+        data[match[1]] = this.decodeEntities(match[2] || '');
+      }
+
+      return {
+        eventId: parseInt(this.xmlText(xml, 'EventID')),
+        provider: xml.match(/<Provider[^>]*Name=['"]([^'"]+)['"]/)?.[1] || '',
+        channel: this.xmlText(xml, 'Channel') || '',
+        computer: this.xmlText(xml, 'Computer'),
+        timestamp: xml.match(/<TimeCreated[^>]*SystemTime=['"]([^'"]+)['"]/)?.[1],
+        data
+      };
+    });
+  }
+
+  xmlText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+    return match ? this.decodeEntities(match[1].trim()) : null;
+  }
+
+  decodeEntities(value) {
+    return value
+      .replace(/&(lt|gt|quot|apos|amp);/g, entity => XML_ENTITIES[entity])
+      .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, code) => String.fromCharCode(parseInt(code, hex ? 16 : 10)));
+  }
+
+  isSysmon(record) {
+    return /sysmon/i.test(record.provider) || /sysmon/i.test(record.channel);
+  }
+
+  /**
+   * Sysmon Hashes field: "SHA256=...,MD5=..." -> { SHA256: ..., MD5: ... }
+   */
+  parseHashes(value) {
+    if (!value) return {};
+    return Object.fromEntries(
+      String(value).split(',')
+        .map(pair => pair.split('='))
+        .filter(([algorithm, hash]) => algorithm && hash)
+        .map(([algorithm, hash]) => [algorithm.trim().toUpperCase(), hash.trim().toLowerCase()])
+    );
+  }
+
+  isScriptHost(image) {
+    return SCRIPT_HOSTS.test(image || '');
+  }
+
+  formatUser(domain, user) {
+    if (!user || user === '-') return null;
+    return domain && domain !== '-' ? `${domain}\\${user}` : user;
+  }
+
+  /**
+   * Map a Windows event onto the raw event shape; null when the event id is not handled
+   */
+  toRawEvent(record, source) {
+    const d = record.data;
+    const base = {
+      timestamp: record.timestamp,
+      source: source || (this.isSysmon(record) ? 'sysmon' : 'windows_security'),
+      metadata: {
+        windows_event_id: record.eventId,
+        provider: record.provider,
+        channel: record.channel,
+        computer: record.computer
+      }
+    };
+
+    if (this.isSysmon(record)) {
+      return this.mapSysmonEvent(record, d, base);
+    }
+    return this.mapSecurityEvent(record, d, base);
+  }
+
+  mapSysmonEvent(record, d, base) {
+    switch (record.eventId) {
+      case 1: {
+        const hashes = this.parseHashes(d.Hashes);
+        const hash = hashes.SHA256 || hashes.SHA1 || hashes.MD5;
+        return {
+          ...base,
+          indicator_type: hash ? 'hash' : 'file',
+          indicator_value: hash || d.Image,
+          event_type: this.isScriptHost(d.Image) ? 'script_execution' : 'process_creation',
+          metadata: {
+            ...base.metadata,
+            image: d.Image,
+            command_line: d.CommandLine,
+            parent_image: d.ParentImage,
+            parent_command_line: d.ParentCommandLine,
+            username: d.User,
+            integrity_level: d.IntegrityLevel,
+            process_guid: d.ProcessGuid,
+            hashes: Object.keys(hashes).length > 0 ? hashes : undefined
+          }
+        };
+      }
+
+      case 3:
+        if (!d.DestinationIp) return null;
+        return {
+          ...base,
+          indicator_type: 'IP',
+          indicator_value: d.DestinationIp,
+          event_type: 'network_connection',
+          port: parseInt(d.DestinationPort) || undefined,
+          protocol: d.Protocol,
+          metadata: {
+            ...base.metadata,
+            image: d.Image,
+            username: d.User,
+            source_ip: d.SourceIp,
+            source_port: parseInt(d.SourcePort) || undefined,
+            destination_hostname: d.DestinationHostname,
+            initiated: d.Initiated
+          }
+        };
+
+      case 11:
+        if (!d.TargetFilename) return null;
+        return {
+          ...base,
+          indicator_type: 'file',
+          indicator_value: d.TargetFilename,
+          event_type: 'file_create',
+          metadata: {
+            ...base.metadata,
+            image: d.Image,
+            username: d.User,
+            process_guid: d.ProcessGuid
+          }
+        };
+
+      case 22:
+        if (!d.QueryName) return null;
+        return {
+          ...base,
+          indicator_type: 'domain',
+          indicator_value: d.QueryName.toLowerCase(),
+          event_type: 'dns_query',
+          metadata: {
+            ...base.metadata,
+            image: d.Image,
+            username: d.User,
+            query_status: d.QueryStatus,
+            query_results: d.QueryResults
+          }
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  mapSecurityEvent(record, d, base) {
+    switch (record.eventId) {
+      case 4624:
+      case 4625: {
+        const user = this.formatUser(d.TargetDomainName, d.TargetUserName);
+        // Prefer the remote address; local logons only identify the account
+        const ip = d.IpAddress && !['-', '::1', '127.0.0.1'].includes(d.IpAddress) ? d.IpAddress : null;
+        if (!ip && !user) return null;
+        return {
+          ...base,
+          indicator_type: ip ? 'IP' : 'user',
+          indicator_value: ip || user,
+          event_type: record.eventId === 4624 ? 'successful_login' : 'failed_login',
+          port: parseInt(d.IpPort) || undefined,
+          metadata: {
+            ...base.metadata,
+            username: user,
+            logon_type: parseInt(d.LogonType) || undefined,
+            workstation: d.WorkstationName,
+            process: d.ProcessName,
+            status: d.Status,
+            sub_status: d.SubStatus,
+            failure_reason: d.FailureReason
+          }
+        };
+      }
+
+      case 4672: {
+        const user = this.formatUser(d.SubjectDomainName, d.SubjectUserName);
+        if (!user) return null;
+        return {
+          ...base,
+          indicator_type: 'user',
+          indicator_value: user,
+          event_type: 'privilege_escalation',
+          metadata: {
+            ...base.metadata,
+            logon_id: d.SubjectLogonId,
+            privileges: d.PrivilegeList
+              ? d.PrivilegeList.split(/\s+/).filter(Boolean)
+              : undefined
+          }
+        };
+      }
+
+      case 4688: {
+        if (!d.NewProcessName) return null;
+        return {
+          ...base,
+          indicator_type: 'file',
+          indicator_value: d.NewProcessName,
+          event_type: this.isScriptHost(d.NewProcessName) ? 'script_execution' : 'process_creation',
+          metadata: {
+            ...base.metadata,
+            username: this.formatUser(d.SubjectDomainName, d.SubjectUserName),
+            command_line: d.CommandLine,
+            parent_image: d.ParentProcessName,
+            token_elevation_type: d.TokenElevationType,
+            mandatory_label: d.MandatoryLabel
+          }
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+export default new WindowsEventParser();
@@ -0,0 +1,374 @@
+import readline from 'readline';
+import ingestionService from './ingestion.js';
+import graphEngine from '../engines/graphEngine.js';
+
+const LOG_TYPES = ['conn', 'dns', 'http', 'ssl', 'files'];
+
+// Cap on per-line errors echoed back to the caller
+const MAX_REPORTED_ERRORS = 100;
+
+class ZeekParser {
+  /**
+   * Ingest a Zeek log stream in TSV (with #fields header) or JSON-lines form
+   */
+  async ingestStream(input, { logType, source = 'zeek' } = {}) {
+    const summary = { log_type: logType || null, records: 0, events: 0, failed: 0, correlations: 0, errors: [] };
+    const correlations = new Map(); // uid -> Map(key -> entity)
+
+    for await (const { line, record, path, error } of this.readRecords(input)) {
+      if (error) {
+        this.recordFailure(summary, line, error);
+        continue;
+      }
+
+      summary.records++;
+      const type = logType || path || this.detectLogType(record);
+      if (!type) {
+        this.recordFailure(summary, line, 'Unable to determine Zeek log type');
+        continue;
+      }
+      summary.log_type = summary.log_type || type;
+
+      let events;
+      try {
+        events = this.toRawEvents(type, record, source);
+      } catch (error) {
+        this.recordFailure(summary, line, error.message);
+        continue;
+      }
+
+      for (const event of events) {
+        const result = await ingestionService.ingestEvent(event);
+        if (result.success) {
+          summary.events++;
+        } else {
+          this.recordFailure(summary, line, result.error);
+        }
+      }
+
+      this.trackCorrelations(correlations, type, record, events);
+    }
+
+    summary.correlations = await this.linkCorrelatedEntities(correlations);
+    return summary;
+  }
+
+  recordFailure(summary, line, error) {
+    summary.failed++;
+    if (summary.errors.length < MAX_REPORTED_ERRORS) {
+      summary.errors.push({ line, error });
+    }
+  }
+
+  /**
+   * Yield records from either format, switching on the first non-empty line
+   */
+  async *readRecords(input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const header = { separator: '\t', setSeparator: ',', unset: '-', empty: '(empty)', fields: null, path: null };
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      if (line.startsWith('{')) {
+        try {
+          yield { line: lineNumber, record: JSON.parse(line), path: null };
+        } catch (error) {
+          yield { line: lineNumber, error: `Invalid JSON: ${error.message}` };
+        }
+        continue;
+      }
+
+      if (line.startsWith('#')) {
+        this.parseHeaderLine(line, header);
+        continue;
+      }
+
+      if (!header.fields) {
+        yield { line: lineNumber, error: 'TSV record before #fields header' };
+        continue;
+      }
+
+      const values = line.split(header.separator);
+      const record = {};
+      header.fields.forEach((field, i) => {
+        const value = values[i];
+        if (value === undefined || value === header.unset) return;
+        if (value === header.empty) {
+          record[field] = header.types?.[i]?.match(/^(set|vector)/) ? [] : '';
+          return;
+        }
+        record[field] = header.types?.[i]?.match(/^(set|vector)/)
+          ? value.split(header.setSeparator)
+          : value;
+      });
+
+      yield { line: lineNumber, record, path: header.path };
+    }
+  }
+
+  parseHeaderLine(line, header) {
+    // #separator itself is space-delimited; every other directive uses the current separator
+    const delimiter = line.startsWith('#separator') ? ' ' : header.separator;
+    const [directive, ...rest] = line.slice(1).split(delimiter);
+    const value = rest.join(header.separator);
+
+    switch (directive) {
+      case 'separator':
+        header.separator = value.trim().replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        break;
+      case 'set_separator':
+        header.setSeparator = value;
+        break;
+      case 'unset_field':
+        header.unset = value;
+        break;
+      case 'empty_field':
+        header.empty = value;
+        break;
+      case 'path':
+        header.path = LOG_TYPES.includes(value) ? value : null;
+        break;
+      case 'fields':
+        header.fields = rest;
+        break;
+      case 'types':
+        header.types = rest;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Infer the log type of a JSON record from its characteristic fields
+   */
+  detectLogType(record) {
+    if (record._path && LOG_TYPES.includes(record._path)) return record._path;
+    if (record.query !== undefined && record.qtype_name !== undefined) return 'dns';
+    if (record.query !== undefined && record.rcode !== undefined) return 'dns';
+    if (record.method !== undefined || record.uri !== undefined) return 'http';
+    if (record.server_name !== undefined || record.cipher !== undefined) return 'ssl';
+    if (record.fuid !== undefined && record.mime_type !== undefined) return 'files';
+    if (record.conn_state !== undefined || record.orig_bytes !== undefined) return 'conn';
+    return null;
+  }
+
+  parseTime(ts) {
+    if (ts === undefined || ts === null) return undefined;
+    if (/^\d+(\.\d+)?$/.test(String(ts))) {
+      return new Date(parseFloat(ts) * 1000).toISOString();
+    }
+    return ts;
+  }
+
+  isIP(value) {
+    return /^(\d{1,3}\.){3}\d{1,3}$/.test(value) || (String(value).includes(':') && /^[0-9a-fA-F:.]+$/.test(value));
+  }
+
+  hostIndicator(host) {
+    return this.isIP(host) ? { indicator_type: 'IP' } : { indicator_type: 'domain' };
+  }
+
+  /**
+   * Map a Zeek record to one or more raw events
+   */
+  toRawEvents(type, record, source) {
+    const base = {
+      timestamp: this.parseTime(record.ts),
+      source,
+      metadata: {
+        zeek_log: type,
+        zeek_uid: record.uid,
+        orig_h: record['id.orig_h'],
+        orig_p: record['id.orig_p'] !== undefined ? parseInt(record['id.orig_p']) : undefined,
+        resp_h: record['id.resp_h']
+      }
+    };
+    const respPort = record['id.resp_p'] !== undefined ? parseInt(record['id.resp_p']) : undefined;
+
+    switch (type) {
+      case 'conn': {
+        const bytes = (parseInt(record.orig_bytes) || 0) + (parseInt(record.resp_bytes) || 0);
+        return [{
+          ...base,
+          indicator_type: 'IP',
+          indicator_value: record['id.resp_h'],
+          event_type: 'network_connection',
+          port: respPort,
+          protocol: record.proto,
+          payload_size: bytes || undefined,
+          metadata: {
+            ...base.metadata,
+            service: record.service,
+            duration: record.duration !== undefined ? parseFloat(record.duration) : undefined,
+            conn_state: record.conn_state,
+            orig_bytes: record.orig_bytes !== undefined ? parseInt(record.orig_bytes) : undefined,
+            resp_bytes: record.resp_bytes !== undefined ? parseInt(record.resp_bytes) : undefined
+          }
+        }];
+      }
+
+      case 'dns': {
+        if (!record.query) return [];
+        return [{
+          ...base,
+          indicator_type: 'domain',
+          indicator_value: record.query.toLowerCase(),
+          event_type: 'dns_query',
+          port: respPort,
+          protocol: record.proto,
+          metadata: {
+            ...base.metadata,
+            qtype: record.qtype_name,
+            rcode: record.rcode_name,
+            answers: this.asArray(record.answers),
+            ttls: this.asArray(record.TTLs)
+          }
+        }];
+      }
+
+      case 'http': {
+        const host = record.host || record['id.resp_h'];
+        if (!host) return [];
+        return [{
+          ...base,
+          ...this.hostIndicator(host),
+          indicator_value: host.toLowerCase(),
+          event_type: 'http_request',
+          port: respPort,
+          protocol: 'http',
+          user_agent: record.user_agent,
+          payload_size: parseInt(record.response_body_len) || undefined,
+          metadata: {
+            ...base.metadata,
+            method: record.method,
+            uri: record.uri,
+            status_code: record.status_code !== undefined ? parseInt(record.status_code) : undefined,
+            referrer: record.referrer,
+            resp_fuids: this.asArray(record.resp_fuids)
+          }
+        }];
+      }
+
+      case 'ssl': {
+        const host = record.server_name || record['id.resp_h'];
+        if (!host) return [];
+        return [{
+          ...base,
+          ...this.hostIndicator(host),
+          indicator_value: host.toLowerCase(),
+          event_type: 'tls_connection',
+          port: respPort,
+          protocol: 'tls',
+          metadata: {
+            ...base.metadata,
+            version: record.version,
+            cipher: record.cipher,
+            established: record.established,
+            validation_status: record.validation_status,
+            ja3: record.ja3,
+            ja3s: record.ja3s,
+            subject: record.subject,
+            issuer: record.issuer
+          }
+        }];
+      }
+
+      case 'files': {
+        const hash = record.sha256 || record.sha1 || record.md5;
+        if (!hash) return [];
+        return [{
+          ...base,
+          indicator_type: 'hash',
+          indicator_value: hash.toLowerCase(),
+          event_type: record.source === 'HTTP' ? 'file_download' : 'file_transfer',
+          payload_size: parseInt(record.seen_bytes || record.total_bytes) || undefined,
+          metadata: {
+            ...base.metadata,
+            zeek_uid: record.uid || this.asArray(record.conn_uids)[0],
+            fuid: record.fuid,
+            file_source: record.source,
+            mime_type: record.mime_type,
+            filename: record.filename,
+            md5: record.md5,
+            sha1: record.sha1,
+            sha256: record.sha256,
+            tx_hosts: this.asArray(record.tx_hosts),
+            rx_hosts: this.asArray(record.rx_hosts)
+          }
+        }];
+      }
+
+      default:
+        throw new Error(`Unsupported Zeek log type: ${type}`);
+    }
+  }
+
+  asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : String(value).split(',');
+  }
+
+  /**
+   * Remember which entities share a connection uid
+   */
+  trackCorrelations(correlations, type, record, events) {
+    const uids = type === 'files'
+      ? [record.uid, ...this.asArray(record.conn_uids)].filter(Boolean)
+      : [record.uid].filter(Boolean);
+
+    const entities = events.map(e => ({ type: e.indicator_type, value: e.indicator_value }));
+
+    // The responder is part of the conversation, except for DNS where it is the resolver
+    if (record['id.resp_h'] && type !== 'conn' && type !== 'dns') {
+      entities.push({ type: 'IP', value: record['id.resp_h'] });
+    }
+    if (type === 'files') {
+      this.asArray(record.tx_hosts).forEach(host => entities.push({ type: 'IP', value: host }));
+    }
+
+    uids.forEach(uid => {
+      if (!correlations.has(uid)) correlations.set(uid, new Map());
+      const group = correlations.get(uid);
+      entities.forEach(entity => group.set(`${entity.type}:${entity.value}`, entity));
+    });
+  }
+
+  /**
+   * Link domains and file hashes to the IPs they were seen with
+   */
+  async linkCorrelatedEntities(correlations) {
+    let created = 0;
+    const seen = new Set();
+
+    for (const group of correlations.values()) {
+      const entities = Array.from(group.values());
+      const ips = entities.filter(e => e.type === 'IP');
+      const domains = entities.filter(e => e.type === 'domain');
+      const hashes = entities.filter(e => e.type === 'hash');
+
+      const pairs = [
+        ...domains.flatMap(d => ips.map(ip => [d, ip, 'resolves_to'])),
+        ...hashes.flatMap(h => [...domains, ...ips].map(host => [h, host, 'downloaded_from']))
+      ];
+
+      for (const [from, to, relation] of pairs) {
+        const key = `${from.type}:${from.value}|${relation}|${to.type}:${to.value}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const fromNode = await graphEngine.addNode(from.value, from.type);
+        const toNode = await graphEngine.addNode(to.value, to.type);
+        await graphEngine.addEdge(fromNode, toNode, relation, 0.9);
+        created++;
+      }
+    }
+
+    return created;
+  }
+}
+
+export default new ZeekParser();